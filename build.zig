@@ -1,5 +1,36 @@
 const std = @import("std");
 
+/// Symbols the WASM build must export for `web/wasm_bindings.js`.
+/// Consumer projects pass this to `export_symbol_names` in their build.zig via
+/// `@import("zig_webgpu_platform").wasm_export_symbol_names` so the JS bridge
+/// finds the same entry points as in this repository's own web build.
+pub const wasm_export_symbol_names = [_][]const u8{
+    "wasm_main", // Our custom WASM entry point
+    "web_update_mouse_position", // JS → WASM mouse move events
+    "web_update_mouse_button", // JS → WASM mouse button events
+    "web_update_mouse_wheel", // JS → WASM wheel events
+    "web_update_mouse_delta", // JS → WASM relative mouse movement
+    "web_pointer_lock_changed", // JS → WASM pointer lock acquired/released
+    "web_update_touch", // JS → WASM touch and pen contacts
+    "web_gamepad_connected", // JS → WASM gamepad plugged in
+    "web_gamepad_disconnected", // JS → WASM gamepad removed
+    "web_update_gamepad_button", // JS → WASM gamepad button state, polled per frame
+    "web_update_gamepad_axis", // JS → WASM gamepad axis state, polled per frame
+    "web_text_input", // JS → WASM committed text (UTF-8)
+    "web_text_composition", // JS → WASM IME preedit text (UTF-8)
+    "web_update_key_state", // JS → WASM keyboard events
+    "web_update_canvas_size", // JS → WASM canvas resize events
+    "web_request_quit", // JS → WASM quit request
+    "web_gpu_device_lost", // JS → WASM device lost, recovery started
+    "web_gpu_device_restored", // JS → WASM replacement adapter/device
+    "web_gpu_device_recovery_failed", // JS → WASM device recovery gave up
+    "web_gpu_pass_timings", // JS → WASM per-pass GPU timings
+    "web_alloc", // JS → WASM scratch allocation (mapped buffer ranges)
+    "web_free", // JS → WASM scratch deallocation
+    "web_wgpu_struct_size", // JS → WASM struct layout check at startup
+    "web_wgpu_field_offset", // JS → WASM struct layout check at startup
+};
+
 /// Link all native dependencies (Dawn, GLFW, system SDKs) needed for a desktop
 /// build against zig-webgpu-platform. Consumer projects call this in their build.zig
 /// via `@import("zig_webgpu_platform").linkNativeDeps(platform_dep, exe)`.
@@ -245,14 +276,7 @@ pub fn build(b: *std.Build) void {
         // Export the wasm_main entry point which is explicitly defined for WASM builds.
         // We don't export _start/main to avoid triggering the standard library's
         // start.zig which doesn't support wasm32-emscripten architecture.
-        exe.root_module.export_symbol_names = &.{
-            "wasm_main", // Our custom WASM entry point
-            "web_update_mouse_position", // JS → WASM mouse move events
-            "web_update_mouse_button", // JS → WASM mouse button events
-            "web_update_key_state", // JS → WASM keyboard events
-            "web_update_canvas_size", // JS → WASM canvas resize events
-            "web_request_quit", // JS → WASM quit request
-        };
+        exe.root_module.export_symbol_names = &wasm_export_symbol_names;
 
         // For emscripten specifically, mark that we don't need a standard entry point
         // since the browser/JS will call our exported wasm_main function
@@ -282,13 +306,20 @@ pub fn build(b: *std.Build) void {
         // This provides Emscripten runtime stubs and WebGPU integration
         const js_glue = b.addWriteFiles();
         _ = js_glue.add("zig_webgpu_platform.js", @embedFile("web/wasm_bindings.js"));
+        // Struct layout schema imported by the glue as ./wgpu_structs.js
+        _ = js_glue.add("wgpu_structs.js", @embedFile("web/wgpu_structs.js"));
 
-        // Install the JS glue file to the web output directory
+        // Install the JS glue files to the web output directory
         b.getInstallStep().dependOn(&b.addInstallFileWithDir(
             js_glue.getDirectory().path(b, "zig_webgpu_platform.js"),
             .{ .custom = "." },
             "zig_webgpu_platform.js",
         ).step);
+        b.getInstallStep().dependOn(&b.addInstallFileWithDir(
+            js_glue.getDirectory().path(b, "wgpu_structs.js"),
+            .{ .custom = "." },
+            "wgpu_structs.js",
+        ).step);
 
         // Copy index.html from web/ to the web output directory
         b.getInstallStep().dependOn(&b.addInstallFileWithDir(
@@ -334,4 +365,16 @@ pub fn build(b: *std.Build) void {
     const compare_step = b.step("compare-backends", "Compare screenshots from desktop and web backends");
     const compare_cmd = b.addSystemCommand(&.{"./scripts/compare_backends.sh"});
     compare_step.dependOn(&compare_cmd.step);
+
+    // Web bridge test (Node, no GPU needed)
+    // Runs the WASM build against web/wasm_bindings.js with the fake WebGPU
+    // device from web/test/mock_gpu.js and checks the descriptors of real frames.
+    // Only available for -Dtarget=wasm32-emscripten; requires node on PATH.
+    if (is_wasm) {
+        const test_web_step = b.step("test-web", "Run the web bridge harness against the WASM build (requires node)");
+        const test_web_cmd = b.addSystemCommand(&.{"node"});
+        test_web_cmd.addFileArg(b.path("web/test/harness.mjs"));
+        test_web_cmd.addArtifactArg(exe);
+        test_web_step.dependOn(&test_web_cmd.step);
+    }
 }
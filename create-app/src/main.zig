@@ -577,7 +577,7 @@ fn writeBuildZig(allocator: std.mem.Allocator, dir: std.fs.Dir, project_name: []
         \\        exe.max_memory = null;
         \\        exe.import_symbols = true;
         \\
-        \\        exe.root_module.export_symbol_names = &.{"wasm_main"};
+        \\        exe.root_module.export_symbol_names = &platform_build.wasm_export_symbol_names;
         \\        exe.entry = .disabled;
         \\    }
         \\
@@ -592,6 +592,11 @@ fn writeBuildZig(allocator: std.mem.Allocator, dir: std.fs.Dir, project_name: []
     );
     try buf.print(allocator, "            \"{s}.js\",\n", .{project_name});
     try buf.appendSlice(allocator,
+        \\        ).step);
+        \\        b.getInstallStep().dependOn(&b.addInstallFileWithDir(
+        \\            platform_dep.path("web/wgpu_structs.js"),
+        \\            .{ .custom = "." },
+        \\            "wgpu_structs.js",
         \\        ).step);
         \\        b.getInstallStep().dependOn(&b.addInstallFileWithDir(
         \\            b.path("web/index.html"),
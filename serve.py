@@ -9,6 +9,11 @@ enable TLS with an auto-generated self-signed certificate.
 Usage:
     python serve.py [port]            # HTTP on localhost (default)
     python serve.py --https [port]    # HTTPS with self-signed cert
+    python serve.py --hot-reload      # Also serve src/shaders/ for shader hot reload
+
+With --hot-reload, the WGSL files in src/shaders/ (or --shader-dir=DIR) are
+served under /__shaders/ so the page can reload them when opened with
+?hotreload in the URL.
 
 The server serves files from zig-out/ on the specified port (default 8000).
 
@@ -17,13 +22,17 @@ then WebGPU will work because the page is served over a secure context.
 """
 
 import http.server
+import json
 import os
 import ssl
 import subprocess
 import sys
 from functools import partial
+from urllib.parse import unquote
 
 DEFAULT_PORT = 8000
+SHADER_ENDPOINT = "/__shaders/"
+DEFAULT_SHADER_DIR = os.path.join(os.path.dirname(os.path.abspath(__file__)), "src", "shaders")
 CERT_DIR = os.path.join(os.path.dirname(os.path.abspath(__file__)), "certs")
 CERT_FILE = os.path.join(CERT_DIR, "cert.pem")
 KEY_FILE = os.path.join(CERT_DIR, "key.pem")
@@ -39,6 +48,46 @@ class WebGPURequestHandler(http.server.SimpleHTTPRequestHandler):
         ".mjs": "application/javascript",
     }
 
+    # Directory of WGSL sources served under SHADER_ENDPOINT (None = disabled)
+    shader_dir = None
+
+    def do_GET(self):
+        path = self.path.split("?", 1)[0]
+        if self.shader_dir and path.startswith(SHADER_ENDPOINT):
+            self.serve_shader(unquote(path[len(SHADER_ENDPOINT):]))
+        else:
+            super().do_GET()
+
+    def serve_shader(self, name):
+        """List the WGSL sources (empty name) or return one of them, uncached."""
+        if name == "":
+            entries = [
+                {"name": f, "mtime": os.path.getmtime(os.path.join(self.shader_dir, f))}
+                for f in sorted(os.listdir(self.shader_dir))
+                if f.endswith(".wgsl")
+            ]
+            body = json.dumps(entries).encode()
+            content_type = "application/json"
+        else:
+            # Only plain file names inside shader_dir
+            if os.path.basename(name) != name or not name.endswith(".wgsl"):
+                self.send_error(404)
+                return
+            try:
+                with open(os.path.join(self.shader_dir, name), "rb") as f:
+                    body = f.read()
+            except OSError:
+                self.send_error(404)
+                return
+            content_type = "text/plain; charset=utf-8"
+
+        self.send_response(200)
+        self.send_header("Content-Type", content_type)
+        self.send_header("Content-Length", str(len(body)))
+        self.send_header("Cache-Control", "no-store")
+        self.end_headers()
+        self.wfile.write(body)
+
 
 def get_lan_ips():
     """Get local IPv4 addresses for SAN entries in the certificate."""
@@ -98,7 +147,12 @@ def generate_cert():
 
 def main():
     use_https = "--https" in sys.argv
-    args = [a for a in sys.argv[1:] if a != "--https"]
+    hot_reload = "--hot-reload" in sys.argv
+    shader_dir = DEFAULT_SHADER_DIR
+    for a in sys.argv[1:]:
+        if a.startswith("--shader-dir="):
+            shader_dir = os.path.abspath(a[len("--shader-dir="):])
+    args = [a for a in sys.argv[1:] if not a.startswith("--")]
     port = int(args[0]) if args else DEFAULT_PORT
 
     web_dir = os.path.join(os.path.dirname(os.path.abspath(__file__)), "zig-out")
@@ -110,6 +164,12 @@ def main():
 
     os.chdir(web_dir)
 
+    if hot_reload:
+        if not os.path.isdir(shader_dir):
+            print(f"Error: Shader directory not found: {shader_dir}")
+            sys.exit(1)
+        WebGPURequestHandler.shader_dir = shader_dir
+
     handler = partial(WebGPURequestHandler, directory=".")
     server = http.server.HTTPServer(("0.0.0.0", port), handler)
 
@@ -137,6 +197,9 @@ def main():
         print()
         print("NOTE: You will need to accept the self-signed certificate warning")
         print("in your browser on first visit.")
+    if hot_reload:
+        print(f"Shader hot reload: serving {shader_dir} at {SHADER_ENDPOINT}")
+        print("  open the page with ?hotreload to enable it")
     print("Press Ctrl+C to stop")
 
     try:
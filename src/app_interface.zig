@@ -29,6 +29,7 @@ const Canvas = canvas_mod.Canvas;
 /// - `requestQuit()` — signal the app to stop (e.g., on Escape key)
 /// - `shouldTakeScreenshot()` — check if a screenshot is pending
 /// - `onScreenshotComplete()` — notify the app that a screenshot was taken
+/// - `onDeviceRestored()` — notify the app that the GPU device was recreated
 ///
 /// Usage:
 /// ```zig
@@ -73,6 +74,13 @@ pub const AppInterface = struct {
     /// Called after a screenshot has been successfully taken.
     onScreenshotCompleteFn: ?*const fn (self: *Self) void,
 
+    // Optional function pointer — for GPU device-loss recovery (web).
+    // Defaults to null so existing apps need not provide it.
+
+    /// Called after a lost GPU device was replaced and the renderer rebuilt.
+    /// Apps holding their own GPU resources must recreate them here.
+    onDeviceRestoredFn: ?*const fn (self: *Self) void = null,
+
     // Public API methods that delegate to the function pointers.
 
     /// Advance application state for the current frame.
@@ -117,6 +125,14 @@ pub const AppInterface = struct {
             func(self);
         }
     }
+
+    /// Notify the app that the GPU device was lost and replaced.
+    /// No-op if the app doesn't handle device restoration.
+    pub fn onDeviceRestored(self: *Self) void {
+        if (self.onDeviceRestoredFn) |func| {
+            func(self);
+        }
+    }
 };
 
 test "AppInterface struct has expected function pointers" {
@@ -125,8 +141,8 @@ test "AppInterface struct has expected function pointers" {
     const info = @typeInfo(AppInterface);
     const fields = info.@"struct".fields;
 
-    // Should have context + 5 required fn pointers + 2 optional fn pointers = 8 fields
-    try std.testing.expectEqual(@as(usize, 8), fields.len);
+    // Should have context + 5 required fn pointers + 3 optional fn pointers = 9 fields
+    try std.testing.expectEqual(@as(usize, 9), fields.len);
 }
 
 test "AppInterface methods delegate correctly" {
@@ -146,4 +162,5 @@ test "AppInterface methods delegate correctly" {
     // Optional methods should return null / no-op when function pointers are null
     try std.testing.expectEqual(@as(?[]const u8, null), iface.shouldTakeScreenshot());
     iface.onScreenshotComplete(); // Should be a no-op, not crash
+    iface.onDeviceRestored(); // Defaults to null, should be a no-op
 }
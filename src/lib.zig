@@ -29,6 +29,12 @@
 //! - `MouseState` - Mouse position and button state
 //! - `MouseButton` - Mouse button identifiers
 //! - `Key` - Keyboard key identifiers
+//! - `KeyMods` - Modifier keys (shift, control, alt, super)
+//! - `Touch` / `TouchState` - Active touch and pen contacts (web only)
+//! - `Gamepad` / `GamepadButton` / `GamepadAxis` - Controller state (web only)
+//! - `TextComposition` / `TextInputRect` - Typed text and IME state (web only)
+//! - `CursorStyle` - Mouse cursor shapes for `setCursor()` (web only)
+//! - `WebGpuOptions` - Browser adapter/device request options (`RunOptions.web_gpu`)
 
 const std = @import("std");
 const builtin = @import("builtin");
@@ -51,9 +57,22 @@ const platform_mod = @import("platform.zig");
 pub const MouseState = platform_mod.MouseState;
 pub const MouseButton = platform_mod.MouseButton;
 pub const Key = platform_mod.Key;
+pub const KeyMods = platform_mod.KeyMods;
+pub const Touch = platform_mod.Touch;
+pub const TouchState = platform_mod.TouchState;
+pub const Gamepad = platform_mod.Gamepad;
+pub const GamepadButton = platform_mod.GamepadButton;
+pub const GamepadAxis = platform_mod.GamepadAxis;
+pub const MAX_GAMEPADS = platform_mod.MAX_GAMEPADS;
+pub const TextComposition = platform_mod.TextComposition;
+pub const TextInputRect = platform_mod.TextInputRect;
+pub const CursorStyle = platform_mod.CursorStyle;
+
+// --- Public Types from renderer.zig ---
+const renderer_mod = @import("renderer.zig");
+pub const WebGpuOptions = renderer_mod.WebGpuOptions;
 
 // --- Internal modules (not exported, but needed for run()) ---
-const renderer_mod = @import("renderer.zig");
 const Renderer = renderer_mod.Renderer;
 const render_target_mod = @import("render_target.zig");
 const SwapChainRenderTarget = render_target_mod.SwapChainRenderTarget;
@@ -160,32 +179,67 @@ pub const RunOptions = struct {
 
     /// Window title (desktop only).
     window_title: [:0]const u8 = "Zig WebGPU Application",
+
+    /// Adapter/device request options (web only): power preference,
+    /// fallback adapter, required features and required limits.
+    web_gpu: WebGpuOptions = .{},
 };
 
 /// Convert mouse coordinates from physical window/canvas space to logical viewport space.
 /// Accounts for letterbox/pillarbox offsets so clicks in the bars are clamped to
 /// the viewport edges and coordinates within the active area map correctly.
 fn toLogicalCoordinates(mouse: MouseState, window_size: platform_mod.Size, viewport: Viewport) MouseState {
+    var result = mouse;
+    const point = toLogicalPoint(mouse.x, mouse.y, window_size, viewport);
+    result.x = point[0];
+    result.y = point[1];
+
+    // Relative movement is only scaled: it has no origin and may leave the viewport
+    const letterbox = computeLetterboxViewport(window_size.width, window_size.height, viewport);
+    if (letterbox.width > 0 and letterbox.height > 0) {
+        result.delta_x = mouse.delta_x * (viewport.logical_width / letterbox.width);
+        result.delta_y = mouse.delta_y * (viewport.logical_height / letterbox.height);
+    }
+    return result;
+}
+
+/// Map a rectangle from logical viewport space to physical window/canvas space.
+/// The inverse of toLogicalPoint(), without clamping.
+fn toPhysicalRect(rect: TextInputRect, window_size: platform_mod.Size, viewport: Viewport) TextInputRect {
+    const letterbox = computeLetterboxViewport(window_size.width, window_size.height, viewport);
+    const scale_x = letterbox.width / viewport.logical_width;
+    const scale_y = letterbox.height / viewport.logical_height;
+    return .{
+        .x = letterbox.x + rect.x * scale_x,
+        .y = letterbox.y + rect.y * scale_y,
+        .width = rect.width * scale_x,
+        .height = rect.height * scale_y,
+    };
+}
+
+/// Map one point from physical window/canvas space to logical viewport space.
+/// Shared by mouse and touch input.
+fn toLogicalPoint(x: f32, y: f32, window_size: platform_mod.Size, viewport: Viewport) [2]f32 {
     const win_w: f32 = @floatFromInt(window_size.width);
     const win_h: f32 = @floatFromInt(window_size.height);
 
     // Guard against division by zero (minimized window or uninitialized state)
-    if (win_w <= 0 or win_h <= 0) return mouse;
+    if (win_w <= 0 or win_h <= 0) return .{ x, y };
 
     const letterbox = computeLetterboxViewport(window_size.width, window_size.height, viewport);
 
     // Guard against zero-size letterbox (degenerate state)
-    if (letterbox.width <= 0 or letterbox.height <= 0) return mouse;
+    if (letterbox.width <= 0 or letterbox.height <= 0) return .{ x, y };
 
-    var result = mouse;
     // Map from window pixel coords to logical coords via the letterbox rect
-    result.x = (mouse.x - letterbox.x) * (viewport.logical_width / letterbox.width);
-    result.y = (mouse.y - letterbox.y) * (viewport.logical_height / letterbox.height);
+    const logical_x = (x - letterbox.x) * (viewport.logical_width / letterbox.width);
+    const logical_y = (y - letterbox.y) * (viewport.logical_height / letterbox.height);
 
     // Clamp to viewport bounds — clicks in the letterbox bars map to edges
-    result.x = @max(0, @min(result.x, viewport.logical_width));
-    result.y = @max(0, @min(result.y, viewport.logical_height));
-    return result;
+    return .{
+        @max(0, @min(logical_x, viewport.logical_width)),
+        @max(0, @min(logical_y, viewport.logical_height)),
+    };
 }
 
 /// Run the platform with the provided application interface.
@@ -229,6 +283,157 @@ pub fn run(app: *AppInterface, options: RunOptions) void {
     }
 }
 
+/// GPU time in milliseconds of each render and compute pass in the most
+/// recently measured frame, in submission order.
+///
+/// Measured on the web with timestamp queries when the device has
+/// `timestamp-query`: request it in the device descriptor, or open the page
+/// with `?gputimer` / `?debug` to have the bridge add it. Results lag the
+/// current frame by the readback latency. Returns an empty slice on native
+/// builds and when the feature is off.
+pub fn gpuPassTimings() []const f64 {
+    if (is_wasm) return web.gpuPassTimings();
+    return &.{};
+}
+
+/// Whether `key` is currently held down. Poll it from `AppInterface.update()`.
+/// Always false in headless mode and outside `run()`.
+pub fn isKeyPressed(key: Key) bool {
+    if (is_wasm) {
+        const p = web.global_web_platform orelse return false;
+        return p.isKeyPressed(key);
+    }
+    const p = native_platform orelse return false;
+    return p.isKeyPressed(key);
+}
+
+/// Modifier keys currently held. On the web this is the state reported with
+/// the most recent keyboard event.
+pub fn keyMods() KeyMods {
+    if (is_wasm) {
+        const p = web.global_web_platform orelse return .{};
+        return p.getKeyMods();
+    }
+    const p = native_platform orelse return .{};
+    return p.getKeyMods();
+}
+
+/// Touch and pen contacts currently on the canvas, in logical coordinates
+/// like the MouseState passed to `AppInterface.update()`.
+/// Only the web build receives touches; native builds always report none.
+pub fn touches() TouchState {
+    if (is_wasm) {
+        const p = web.global_web_platform orelse return .{};
+        var state = p.getTouches();
+        const window_size = p.getWindowSize();
+        for (state.points[0..state.count]) |*touch| {
+            const point = toLogicalPoint(touch.x, touch.y, window_size, wasm_viewport);
+            touch.x = point[0];
+            touch.y = point[1];
+        }
+        return state;
+    }
+    return .{};
+}
+
+/// State of gamepad slot `index` (0 to MAX_GAMEPADS - 1), or null if no
+/// controller is connected there. Polled by the browser once per frame.
+/// Only the web build reads gamepads; native builds always report none.
+pub fn gamepad(index: usize) ?Gamepad {
+    if (is_wasm) {
+        const p = web.global_web_platform orelse return null;
+        return p.getGamepad(index);
+    }
+    return null;
+}
+
+/// Start receiving typed text for a text field at `rect` (logical
+/// coordinates). While active, `textInput()` and `textComposition()` report
+/// what the user types, including dead keys and IME input. Call again when
+/// the caret moves so IME candidate windows follow it.
+///
+/// Key events keep arriving through `isKeyPressed()`; use them for Enter,
+/// Backspace and caret movement. No-op on native builds.
+pub fn startTextInput(rect: TextInputRect) void {
+    if (is_wasm) {
+        const p = web.global_web_platform orelse return;
+        const physical = toPhysicalRect(rect, p.getWindowSize(), wasm_viewport);
+        p.startTextInput(physical.x, physical.y, physical.width, physical.height);
+    }
+}
+
+/// Stop receiving typed text and discard any IME composition in progress.
+pub fn stopTextInput() void {
+    if (is_wasm) {
+        const p = web.global_web_platform orelse return;
+        p.stopTextInput();
+    }
+}
+
+/// UTF-8 text committed since the previous frame while text input is
+/// active. Insert it at the caret. Empty on native builds.
+pub fn textInput() []const u8 {
+    if (is_wasm) {
+        const p = web.global_web_platform orelse return "";
+        return p.getTextInput();
+    }
+    return "";
+}
+
+/// IME composition in progress. Draw it at the caret until it is committed
+/// through `textInput()` or cancelled.
+pub fn textComposition() TextComposition {
+    if (is_wasm) {
+        const p = web.global_web_platform orelse return .{};
+        return p.getTextComposition();
+    }
+    return .{};
+}
+
+/// Lock the pointer to the canvas (hidden, unlimited movement) or release it.
+/// While locked, read movement from `MouseState.delta_x` / `delta_y`; the
+/// position stays put. Browsers grant the lock asynchronously and may wait
+/// for the next click on the canvas; poll `isPointerLocked()` for the result.
+/// The user can end the lock at any time with Escape. No-op on native builds.
+pub fn setPointerLock(locked: bool) void {
+    if (is_wasm) {
+        const p = web.global_web_platform orelse return;
+        if (locked) p.requestPointerLock() else p.releasePointerLock();
+    }
+}
+
+/// Whether the pointer is locked to the canvas. Always false on native builds.
+pub fn isPointerLocked() bool {
+    if (is_wasm) {
+        const p = web.global_web_platform orelse return false;
+        return p.isPointerLocked();
+    }
+    return false;
+}
+
+/// Set the cursor shown over the canvas. No-op on native builds.
+pub fn setCursor(style: CursorStyle) void {
+    if (is_wasm) {
+        const p = web.global_web_platform orelse return;
+        p.setCursor(style);
+    }
+}
+
+/// Show an image as the cursor over the canvas. `url` is any CSS image URL,
+/// e.g. a file next to index.html or a `data:` URL; the hotspot is in image
+/// pixels. Browsers fall back to the default cursor if the image cannot be
+/// used. No-op on native builds.
+pub fn setCursorImage(url: [:0]const u8, hotspot_x: u32, hotspot_y: u32) void {
+    if (is_wasm) {
+        const p = web.global_web_platform orelse return;
+        p.setCursorImage(url, hotspot_x, hotspot_y);
+    }
+}
+
+/// Platform of the running native main loop, for isKeyPressed() / keyMods().
+/// The web build reads web.global_web_platform instead.
+var native_platform: ?*const platform_mod.Platform = null;
+
 /// Internal configuration combining RunOptions with CLI overrides.
 const InternalConfig = struct {
     viewport: Viewport,
@@ -327,6 +532,8 @@ fn runWindowed(app: *AppInterface, config: InternalConfig) void {
 
     // Get the platform abstraction interface
     var plat = platform.platform();
+    native_platform = &plat;
+    defer native_platform = null;
 
     log.info("entering main loop", .{});
 
@@ -429,9 +636,11 @@ var wasm_viewport: Viewport = DEFAULT_VIEWPORT;
 /// WASM-specific app interface pointer stored for the main loop callback.
 var wasm_app_ptr: ?*AppInterface = null;
 
-/// Run the platform on WASM (browser). Initializes WebGPU, creates the renderer
-/// and swap chain, and starts the emscripten main loop. This function does not
-/// return (emscripten_set_main_loop takes over).
+/// Run the platform on WASM (browser). Starts the asynchronous WebGPU
+/// initialization and the emscripten main loop; the renderer and swap chain
+/// are created from the main loop once the browser has resolved the adapter
+/// and device requests. This function does not return (emscripten_set_main_loop
+/// takes over).
 fn runWasm(app: *AppInterface, options: RunOptions) void {
     if (!is_wasm) return;
 
@@ -443,14 +652,47 @@ fn runWasm(app: *AppInterface, options: RunOptions) void {
     // Initialize web platform in static storage
     wasm_static.platform = web.WebPlatform.init(std.heap.page_allocator);
 
-    // Get canvas dimensions for renderer initialization
-    const fb_size = wasm_static.platform.getFramebufferSize();
+    // Request adapter and device; completes asynchronously (see finishWasmGpuInit)
+    web.beginGpuInit(options.web_gpu, "#canvas");
+
+    // Initialize global app state for the main loop callback.
+    // renderer/render_target stay null until GPU initialization completes.
+    wasm_static.app_state = .{
+        .platform = &wasm_static.platform,
+        .app_interface = app,
+        .renderer = null,
+        .last_frame_time = web.emscripten.emscripten_get_now(),
+        .render_target = null,
+    };
+
+    web.initGlobalAppState(&wasm_static.app_state);
+
+    log.info("starting main loop", .{});
+    web.emscripten.emscripten_set_main_loop(wasmMainLoopCallback, 0, 1);
+}
+
+/// Create the renderer and swap chain render target once the browser has
+/// delivered the adapter and device. Returns false if GPU initialization
+/// failed and the main loop should stop.
+fn finishWasmGpuInit(state: *web.GlobalAppState) bool {
+    if (!is_wasm) return false;
+
+    switch (web.gpuInitStatus()) {
+        .pending => return true,
+        .idle, .failed => {
+            log.err("WebGPU initialization failed", .{});
+            return false;
+        },
+        .ready => {},
+    }
+
+    const gpu = web.takeGpuContext().?;
+    const fb_size = state.platform.getFramebufferSize();
     log.info("canvas size {}x{}", .{ fb_size.width, fb_size.height });
 
-    // Initialize WebGPU renderer for web platform
-    wasm_static.renderer = Renderer.initWeb(std.heap.page_allocator, fb_size.width, fb_size.height) catch |err| {
+    wasm_static.renderer = Renderer.initWeb(std.heap.page_allocator, gpu, fb_size.width, fb_size.height) catch |err| {
         log.err("failed to initialize web renderer: {}", .{err});
-        return;
+        return false;
     };
     log.info("WebGPU renderer initialized", .{});
 
@@ -459,21 +701,9 @@ fn runWasm(app: *AppInterface, options: RunOptions) void {
     wasm_static.render_target = wasm_static.swap_chain_target.render_target;
     wasm_static.render_target.context = @ptrCast(&wasm_static.swap_chain_target);
 
-    // Initialize global app state for the main loop callback
-    wasm_static.app_state = .{
-        .platform = &wasm_static.platform,
-        .app_interface = app,
-        .renderer = &wasm_static.renderer,
-        .last_frame_time = web.emscripten.emscripten_get_now(),
-        .render_target = &wasm_static.render_target,
-    };
-
-    web.initGlobalAppState(&wasm_static.app_state);
     web.setGlobalRenderer(&wasm_static.renderer);
     web.setGlobalRenderTarget(&wasm_static.render_target);
-
-    log.info("starting main loop", .{});
-    web.emscripten.emscripten_set_main_loop(wasmMainLoopCallback, 0, 1);
+    return true;
 }
 
 /// Main loop callback for web platform, invoked by emscripten's requestAnimationFrame.
@@ -494,8 +724,23 @@ fn wasmMainLoopCallback() callconv(.c) void {
     const mouse_state = toLogicalCoordinates(raw_mouse, state.platform.getWindowSize(), wasm_viewport);
     state.app_interface.update(delta_time, mouse_state);
 
+    // Finish WebGPU initialization once the browser has resolved it
+    if (state.renderer == null and !finishWasmGpuInit(state)) {
+        web.emscripten.emscripten_cancel_main_loop();
+        return;
+    }
+
+    // Rebuild GPU state if the bridge replaced a lost device
+    if (state.renderer != null and !web.handleDeviceRecovery(state)) {
+        web.emscripten.emscripten_cancel_main_loop();
+        return;
+    }
+
     // Render
     if (state.renderer) |renderer| {
+        // While the bridge is requesting a replacement device, skip frames
+        // instead of treating the loss as fatal.
+        if (web.deviceRecoveryStatus() == .recovering) return;
         if (renderer.isDeviceLost()) {
             log.err("GPU device lost on web - requires page reload", .{});
             web.emscripten.emscripten_cancel_main_loop();
@@ -565,6 +810,8 @@ fn runHeadless(app: *AppInterface, config: InternalConfig) void {
 
     // Get the platform abstraction interface
     var plat = platform.platform();
+    native_platform = &plat;
+    defer native_platform = null;
 
     log.info("entering headless main loop", .{});
 
@@ -707,6 +954,82 @@ test "lib exports Key type" {
     try std.testing.expect(key == .escape);
 }
 
+test "keyboard queries report nothing outside run()" {
+    try std.testing.expect(!isKeyPressed(.w));
+    try std.testing.expect(keyMods().isEmpty());
+}
+
+test "touches are empty on native builds" {
+    try std.testing.expectEqual(@as(usize, 0), touches().slice().len);
+}
+
+test "text input is empty on native builds" {
+    startTextInput(.{ .x = 0, .y = 0, .width = 100, .height = 20 });
+    try std.testing.expectEqual(@as(usize, 0), textInput().len);
+    try std.testing.expect(!textComposition().isActive());
+    stopTextInput();
+}
+
+test "toLogicalCoordinates scales the mouse delta without clamping" {
+    // 1200x600 window, 4:3 viewport → active area 800 pixels wide, 0.5 logical units per pixel
+    const viewport: Viewport = .{ .logical_width = 400.0, .logical_height = 300.0 };
+    const window_size: platform_mod.Size = .{ .width = 1200, .height = 600 };
+    const mouse: MouseState = .{
+        .x = 100.0, // in the pillarbox bar, clamped to 0
+        .y = 300.0,
+        .left_pressed = false,
+        .right_pressed = false,
+        .middle_pressed = false,
+        .delta_x = -2000.0,
+        .delta_y = 40.0,
+    };
+    const result = toLogicalCoordinates(mouse, window_size, viewport);
+    try std.testing.expectEqual(@as(f32, 0.0), result.x);
+    try std.testing.expectEqual(@as(f32, -1000.0), result.delta_x);
+    try std.testing.expectEqual(@as(f32, 20.0), result.delta_y);
+}
+
+test "pointer and cursor control are inert on native builds" {
+    setPointerLock(true);
+    try std.testing.expect(!isPointerLocked());
+    setCursor(.crosshair);
+    setCursorImage("cursor.png", 4, 4);
+}
+
+test "toPhysicalRect inverts the letterbox mapping" {
+    // 1200x600 window, 4:3 viewport → pillarbox, active area x=200..1000, scale 2
+    const viewport: Viewport = .{ .logical_width = 400.0, .logical_height = 300.0 };
+    const window_size: platform_mod.Size = .{ .width = 1200, .height = 600 };
+    const rect = toPhysicalRect(.{ .x = 100, .y = 50, .width = 40, .height = 10 }, window_size, viewport);
+    try std.testing.expectEqual(@as(f32, 400.0), rect.x);
+    try std.testing.expectEqual(@as(f32, 100.0), rect.y);
+    try std.testing.expectEqual(@as(f32, 80.0), rect.width);
+    try std.testing.expectEqual(@as(f32, 20.0), rect.height);
+
+    const back = toLogicalPoint(rect.x, rect.y, window_size, viewport);
+    try std.testing.expectEqual(@as(f32, 100.0), back[0]);
+    try std.testing.expectEqual(@as(f32, 50.0), back[1]);
+}
+
+test "gamepads are disconnected on native builds" {
+    for (0..MAX_GAMEPADS) |i| {
+        try std.testing.expect(gamepad(i) == null);
+    }
+}
+
+test "lib exports WebGpuOptions with browser defaults" {
+    const options: RunOptions = .{};
+    try std.testing.expect(options.web_gpu.power_preference == .high_performance);
+    try std.testing.expect(!options.web_gpu.force_fallback_adapter);
+    try std.testing.expectEqual(@as(usize, 0), options.web_gpu.required_features.len);
+    try std.testing.expect(options.web_gpu.required_limits == null);
+}
+
+test "gpuPassTimings is empty on native" {
+    if (is_wasm) return error.SkipZigTest;
+    try std.testing.expectEqual(@as(usize, 0), gpuPassTimings().len);
+}
+
 test "DEFAULT_VIEWPORT has expected dimensions" {
     try std.testing.expectEqual(@as(f32, 400.0), DEFAULT_VIEWPORT.logical_width);
     try std.testing.expectEqual(@as(f32, 300.0), DEFAULT_VIEWPORT.logical_height);
@@ -812,3 +1135,21 @@ test "toLogicalCoordinates with pillarbox clamps to viewport edges" {
     try std.testing.expectEqual(@as(f32, 200.0), result_center.x);
     try std.testing.expectEqual(@as(f32, 150.0), result_center.y);
 }
+
+test "toLogicalCoordinates leaves the wheel delta unscaled" {
+    // Scroll is in wheel notches, not pixels, so the letterbox mapping must not touch it
+    const viewport: Viewport = .{ .logical_width = 400.0, .logical_height = 300.0 };
+    const window_size: platform_mod.Size = .{ .width = 1200, .height = 600 };
+    const mouse: MouseState = .{
+        .x = 600.0,
+        .y = 300.0,
+        .left_pressed = false,
+        .right_pressed = false,
+        .middle_pressed = false,
+        .scroll_x = -0.5,
+        .scroll_y = 2.0,
+    };
+    const result = toLogicalCoordinates(mouse, window_size, viewport);
+    try std.testing.expectEqual(@as(f32, -0.5), result.scroll_x);
+    try std.testing.expectEqual(@as(f32, 2.0), result.scroll_y);
+}
@@ -298,8 +298,23 @@ const wasm_exports = if (is_wasm) struct {
             log.info("web frame {} (dt={d:.3}s)", .{ frame, delta_time });
         }
 
+        // Finish WebGPU initialization once the browser has resolved it
+        if (state.renderer == null and !finishGpuInit(state)) {
+            web.emscripten.emscripten_cancel_main_loop();
+            return;
+        }
+
+        // Rebuild GPU state if the bridge replaced a lost device
+        if (state.renderer != null and !web.handleDeviceRecovery(state)) {
+            web.emscripten.emscripten_cancel_main_loop();
+            return;
+        }
+
         // Render frame if renderer and render target are available
         if (state.renderer) |renderer| {
+            // While the bridge is requesting a replacement device, skip frames
+            // instead of treating the loss as fatal.
+            if (web.deviceRecoveryStatus() == .recovering) return;
             if (renderer.isDeviceLost()) {
                 log.err("GPU device lost on web - requires page reload", .{});
                 web.emscripten.emscripten_cancel_main_loop();
@@ -317,30 +332,49 @@ const wasm_exports = if (is_wasm) struct {
         }
     }
 
-    /// Entry point called from JavaScript.
-    pub fn wasm_main() callconv(.c) void {
-        log.info("wasm_main: initializing web platform", .{});
-
-        // Initialize web platform in static storage
-        static_platform = web.WebPlatform.init(std.heap.page_allocator);
+    /// Create the renderer and render target once the browser has delivered
+    /// the adapter and device. Returns false if GPU initialization failed.
+    fn finishGpuInit(state: *web.GlobalAppState) bool {
+        switch (web.gpuInitStatus()) {
+            .pending => return true,
+            .idle, .failed => {
+                log.err("WebGPU initialization failed", .{});
+                return false;
+            },
+            .ready => {},
+        }
 
-        // Get canvas dimensions for renderer initialization
-        const fb_size = static_platform.getFramebufferSize();
-        log.info("wasm_main: canvas size {}x{}", .{ fb_size.width, fb_size.height });
+        const gpu = web.takeGpuContext().?;
+        const fb_size = state.platform.getFramebufferSize();
+        log.info("canvas size {}x{}", .{ fb_size.width, fb_size.height });
 
-        // Initialize WebGPU renderer for web platform
-        log.info("wasm_main: initializing WebGPU renderer", .{});
-        static_renderer = Renderer.initWeb(std.heap.page_allocator, fb_size.width, fb_size.height) catch |err| {
-            log.err("wasm_main: failed to initialize renderer: {}", .{err});
-            return;
+        static_renderer = Renderer.initWeb(std.heap.page_allocator, gpu, fb_size.width, fb_size.height) catch |err| {
+            log.err("failed to initialize renderer: {}", .{err});
+            return false;
         };
-        log.info("wasm_main: WebGPU renderer initialized successfully", .{});
+        log.info("WebGPU renderer initialized successfully", .{});
 
         // Create SwapChainRenderTarget from the renderer's swap chain
         static_swap_chain_target = static_renderer.createSwapChainRenderTarget();
         static_render_target = static_swap_chain_target.render_target;
         static_render_target.context = @ptrCast(&static_swap_chain_target);
-        log.info("wasm_main: swap chain render target created", .{});
+
+        web.setGlobalRenderer(&static_renderer);
+        web.setGlobalRenderTarget(&static_render_target);
+        return true;
+    }
+
+    /// Entry point called from JavaScript.
+    pub fn wasm_main() callconv(.c) void {
+        log.info("wasm_main: initializing web platform", .{});
+
+        // Initialize web platform in static storage
+        static_platform = web.WebPlatform.init(std.heap.page_allocator);
+
+        // Request adapter and device; the renderer is created from the main
+        // loop once the browser resolves them (see finishGpuInit)
+        log.info("wasm_main: requesting WebGPU adapter and device", .{});
+        web.beginGpuInit(.{}, "#canvas");
 
         // Initialize application state in static storage
         static_app = App.init(std.heap.page_allocator);
@@ -352,15 +386,13 @@ const wasm_exports = if (is_wasm) struct {
         static_app_state = .{
             .platform = &static_platform,
             .app_interface = &static_app_interface,
-            .renderer = &static_renderer,
+            .renderer = null,
             .last_frame_time = web.emscripten.emscripten_get_now(),
-            .render_target = &static_render_target,
+            .render_target = null,
         };
 
         // Set the global state pointer for callback access
         web.initGlobalAppState(&static_app_state);
-        web.setGlobalRenderer(&static_renderer);
-        web.setGlobalRenderTarget(&static_render_target);
 
         log.info("wasm_main: platform and app initialized, starting main loop", .{});
 
@@ -67,6 +67,19 @@ pub const MouseState = struct {
     right_pressed: bool,
     /// Middle mouse button is pressed.
     middle_pressed: bool,
+    /// Horizontal wheel movement since the previous frame, in wheel notches.
+    /// Positive scrolls left (GLFW convention).
+    scroll_x: f32 = 0,
+    /// Vertical wheel movement since the previous frame, in wheel notches.
+    /// One click of a standard mouse wheel is 1.0; positive scrolls up
+    /// (wheel pushed away from the user). Trackpads report fractions.
+    scroll_y: f32 = 0,
+    /// Horizontal mouse movement since the previous frame, in the same units
+    /// as `x`. Unlike `x`, it is not clamped to the window and keeps
+    /// reporting while the pointer is locked.
+    delta_x: f32 = 0,
+    /// Vertical mouse movement since the previous frame (positive is down).
+    delta_y: f32 = 0,
 
     /// Check if a button is currently pressed.
     pub fn isPressed(self: MouseState, button: MouseButton) bool {
@@ -93,7 +106,11 @@ pub const MouseState = struct {
 };
 
 /// Key identifiers for keyboard input.
-/// Currently exposes commonly needed keys; extend as needed.
+/// Keys are identified by physical position (US layout names), so `.w` is the
+/// key left of `.e` regardless of the active keyboard layout.
+///
+/// The ordinals are shared with the web bridge (KEY_CODES in
+/// web/wasm_bindings.js), so only append new keys at the end.
 pub const Key = enum {
     escape,
     space,
@@ -102,7 +119,302 @@ pub const Key = enum {
     down,
     left,
     right,
-    // Add more keys as needed
+
+    // Editing and navigation
+    tab,
+    backspace,
+    insert,
+    delete,
+    home,
+    end,
+    page_up,
+    page_down,
+    caps_lock,
+
+    // Letters
+    a,
+    b,
+    c,
+    d,
+    e,
+    f,
+    g,
+    h,
+    i,
+    j,
+    k,
+    l,
+    m,
+    n,
+    o,
+    p,
+    q,
+    r,
+    s,
+    t,
+    u,
+    v,
+    w,
+    x,
+    y,
+    z,
+
+    // Digits (top row)
+    digit_0,
+    digit_1,
+    digit_2,
+    digit_3,
+    digit_4,
+    digit_5,
+    digit_6,
+    digit_7,
+    digit_8,
+    digit_9,
+
+    // Function keys
+    f1,
+    f2,
+    f3,
+    f4,
+    f5,
+    f6,
+    f7,
+    f8,
+    f9,
+    f10,
+    f11,
+    f12,
+
+    // Punctuation
+    minus,
+    equal,
+    left_bracket,
+    right_bracket,
+    backslash,
+    semicolon,
+    apostrophe,
+    comma,
+    period,
+    slash,
+    grave_accent,
+
+    // Modifiers
+    left_shift,
+    right_shift,
+    left_control,
+    right_control,
+    left_alt,
+    right_alt,
+    left_super,
+    right_super,
+};
+
+/// Modifier keys held during a key event.
+/// The bit layout matches GLFW's modifier bits (and the `mods` argument of
+/// web_update_key_state), so it can be bit-cast from either.
+pub const KeyMods = packed struct(u8) {
+    shift: bool = false,
+    control: bool = false,
+    alt: bool = false,
+    /// Windows key / Command key.
+    super: bool = false,
+    _padding: u4 = 0,
+
+    /// Decode modifier bits: 1=shift, 2=control, 4=alt, 8=super.
+    /// Unknown bits are ignored.
+    pub fn fromBits(bits: u32) KeyMods {
+        return @bitCast(@as(u8, @truncate(bits & 0xF)));
+    }
+
+    /// True if no modifier is held.
+    pub fn isEmpty(self: KeyMods) bool {
+        return !(self.shift or self.control or self.alt or self.super);
+    }
+};
+
+/// Number of gamepad slots. Matches the four slots browsers expose through
+/// navigator.getGamepads().
+pub const MAX_GAMEPADS = 4;
+
+/// Gamepad buttons in the W3C "standard" gamepad mapping order, so the
+/// ordinals equal the browser's button indices. Face buttons are named by
+/// position on an Xbox-style controller (`a` is the bottom button).
+pub const GamepadButton = enum {
+    a,
+    b,
+    x,
+    y,
+    left_bumper,
+    right_bumper,
+    left_trigger,
+    right_trigger,
+    back,
+    start,
+    left_stick,
+    right_stick,
+    dpad_up,
+    dpad_down,
+    dpad_left,
+    dpad_right,
+    guide,
+};
+
+/// Gamepad axes in the W3C "standard" gamepad mapping order.
+/// Values are in [-1, 1]; negative is left / up.
+pub const GamepadAxis = enum {
+    left_x,
+    left_y,
+    right_x,
+    right_y,
+};
+
+/// State of one gamepad slot.
+pub const Gamepad = struct {
+    pub const BUTTON_COUNT = @typeInfo(GamepadButton).@"enum".fields.len;
+    pub const AXIS_COUNT = @typeInfo(GamepadAxis).@"enum".fields.len;
+
+    /// A controller is plugged into this slot.
+    connected: bool = false,
+    /// The browser maps this controller to the standard layout. If false,
+    /// buttons and axes are in the device's own order and the names of
+    /// GamepadButton / GamepadAxis may not match the physical controls.
+    standard_mapping: bool = false,
+    /// Digital state of each button, indexed by GamepadButton ordinal.
+    buttons: [BUTTON_COUNT]bool = [_]bool{false} ** BUTTON_COUNT,
+    /// Analog value of each button in [0, 1] (meaningful for triggers).
+    button_values: [BUTTON_COUNT]f32 = [_]f32{0} ** BUTTON_COUNT,
+    /// Axis values, indexed by GamepadAxis ordinal.
+    axes: [AXIS_COUNT]f32 = [_]f32{0} ** AXIS_COUNT,
+
+    /// Check if a button is currently pressed.
+    pub fn isPressed(self: Gamepad, button: GamepadButton) bool {
+        return self.buttons[@intFromEnum(button)];
+    }
+
+    /// Analog value of a button in [0, 1].
+    pub fn buttonValue(self: Gamepad, button: GamepadButton) f32 {
+        return self.button_values[@intFromEnum(button)];
+    }
+
+    /// Current value of an axis in [-1, 1].
+    pub fn axis(self: Gamepad, which: GamepadAxis) f32 {
+        return self.axes[@intFromEnum(which)];
+    }
+
+    /// Detect if a button was just pressed this frame.
+    /// Returns true if the button is pressed now but was not pressed in the previous state.
+    pub fn buttonJustPressed(current: Gamepad, prev: Gamepad, button: GamepadButton) bool {
+        return current.isPressed(button) and !prev.isPressed(button);
+    }
+
+    /// Detect if a button was just released this frame.
+    /// Returns true if the button is not pressed now but was pressed in the previous state.
+    pub fn buttonJustReleased(current: Gamepad, prev: Gamepad, button: GamepadButton) bool {
+        return !current.isPressed(button) and prev.isPressed(button);
+    }
+};
+
+/// Mouse cursor shapes. The ordinals are the `style` argument of the web
+/// bridge's web_set_cursor import (CURSOR_STYLES in web/wasm_bindings.js).
+pub const CursorStyle = enum(u32) {
+    default,
+    /// Hand, for links and buttons.
+    pointer,
+    /// Open hand, for draggable content.
+    grab,
+    /// Closed hand, while dragging.
+    grabbing,
+    crosshair,
+    /// I-beam, for text fields.
+    text,
+    /// Hidden cursor.
+    none,
+};
+
+/// Maximum number of simultaneous touches tracked. Touches beyond this are ignored.
+pub const MAX_TOUCHES = 10;
+
+/// A finger or pen in contact with the screen.
+pub const Touch = struct {
+    /// Stable identifier for the lifetime of the contact (PointerEvent.pointerId).
+    /// Ids are not reused while the contact is down, but may be reused afterwards.
+    id: u32,
+    /// X position, in the same coordinate space as MouseState.
+    x: f32,
+    /// Y position, in the same coordinate space as MouseState.
+    y: f32,
+    /// Contact pressure in [0, 1]. Hardware without pressure support reports 0.5.
+    pressure: f32,
+};
+
+/// Active touches, in the order they started.
+pub const TouchState = struct {
+    points: [MAX_TOUCHES]Touch = undefined,
+    count: usize = 0,
+
+    /// The active touches.
+    pub fn slice(self: *const TouchState) []const Touch {
+        return self.points[0..self.count];
+    }
+
+    /// Look up an active touch by id.
+    pub fn find(self: *const TouchState, id: u32) ?Touch {
+        for (self.slice()) |touch| {
+            if (touch.id == id) return touch;
+        }
+        return null;
+    }
+
+    /// Add a touch, or update it if its id is already active.
+    /// Returns false if the touch is new and MAX_TOUCHES are already active.
+    pub fn put(self: *TouchState, touch: Touch) bool {
+        for (self.points[0..self.count]) |*existing| {
+            if (existing.id == touch.id) {
+                existing.* = touch;
+                return true;
+            }
+        }
+        if (self.count == MAX_TOUCHES) return false;
+        self.points[self.count] = touch;
+        self.count += 1;
+        return true;
+    }
+
+    /// Remove a touch by id, keeping the remaining touches in order.
+    /// Unknown ids are ignored.
+    pub fn remove(self: *TouchState, id: u32) void {
+        for (self.points[0..self.count], 0..) |touch, i| {
+            if (touch.id != id) continue;
+            std.mem.copyForwards(Touch, self.points[i .. self.count - 1], self.points[i + 1 .. self.count]);
+            self.count -= 1;
+            return;
+        }
+    }
+};
+
+/// In-progress IME composition ("preedit") text, e.g. kana being converted
+/// to kanji or a pending dead key. Apps draw it inline at the caret, typically
+/// underlined; it is replaced by committed text when the composition ends.
+pub const TextComposition = struct {
+    /// UTF-8 preedit text. Empty when no composition is in progress.
+    text: []const u8 = "",
+    /// Caret position within `text`, in bytes.
+    cursor: usize = 0,
+
+    /// True while a composition is in progress.
+    pub fn isActive(self: TextComposition) bool {
+        return self.text.len > 0;
+    }
+};
+
+/// Area of a text field being edited, in the same coordinate space as
+/// MouseState. IME candidate windows and on-screen keyboards are placed
+/// next to it.
+pub const TextInputRect = struct {
+    x: f32,
+    y: f32,
+    width: f32,
+    height: f32,
 };
 
 /// Size structure for window and framebuffer dimensions.
@@ -161,6 +473,9 @@ pub const Platform = struct {
     /// Check if a specific key is currently pressed.
     isKeyPressedFn: *const fn (self: *const Self, key: Key) bool,
 
+    /// Get the modifier keys currently held.
+    getKeyModsFn: *const fn (self: *const Self) KeyMods,
+
     /// Get the window size in screen coordinates.
     getWindowSizeFn: *const fn (self: *const Self) Size,
 
@@ -202,6 +517,11 @@ pub const Platform = struct {
         return self.isKeyPressedFn(self, key);
     }
 
+    /// Get the modifier keys currently held.
+    pub fn getKeyMods(self: *const Self) KeyMods {
+        return self.getKeyModsFn(self);
+    }
+
     /// Get the window size in screen coordinates.
     pub fn getWindowSize(self: *const Self) Size {
         return self.getWindowSizeFn(self);
@@ -321,3 +641,83 @@ test "MouseState.buttonJustReleased returns false on press" {
     // Left was pressed, not released (false -> true)
     try std.testing.expect(!MouseState.buttonJustReleased(current, prev, .left));
 }
+
+test "Key keeps the ordinals the web bridge was built against" {
+    try std.testing.expectEqual(0, @intFromEnum(Key.escape));
+    try std.testing.expectEqual(6, @intFromEnum(Key.right));
+    try std.testing.expectEqual(16, @intFromEnum(Key.a));
+    try std.testing.expectEqual(42, @intFromEnum(Key.digit_0));
+    try std.testing.expectEqual(52, @intFromEnum(Key.f1));
+    try std.testing.expectEqual(64, @intFromEnum(Key.minus));
+    try std.testing.expectEqual(75, @intFromEnum(Key.left_shift));
+    try std.testing.expectEqual(83, @typeInfo(Key).@"enum".fields.len);
+}
+
+test "KeyMods.fromBits decodes GLFW-style modifier bits" {
+    const mods = KeyMods.fromBits(0x1 | 0x4);
+    try std.testing.expect(mods.shift);
+    try std.testing.expect(!mods.control);
+    try std.testing.expect(mods.alt);
+    try std.testing.expect(!mods.super);
+    try std.testing.expect(!mods.isEmpty());
+
+    // Bits above super (e.g. GLFW caps/num lock) are ignored
+    try std.testing.expect(KeyMods.fromBits(0x30).isEmpty());
+    try std.testing.expect(KeyMods.fromBits(0x8).super);
+}
+
+test "TouchState.put adds new touches and updates existing ones" {
+    var touches: TouchState = .{};
+    try std.testing.expect(touches.put(.{ .id = 7, .x = 1, .y = 2, .pressure = 0.5 }));
+    try std.testing.expect(touches.put(.{ .id = 9, .x = 3, .y = 4, .pressure = 0.5 }));
+    try std.testing.expect(touches.put(.{ .id = 7, .x = 5, .y = 6, .pressure = 0.8 }));
+
+    try std.testing.expectEqual(@as(usize, 2), touches.slice().len);
+    const moved = touches.find(7).?;
+    try std.testing.expectEqual(@as(f32, 5), moved.x);
+    try std.testing.expectEqual(@as(f32, 0.8), moved.pressure);
+    try std.testing.expect(touches.find(8) == null);
+}
+
+test "TouchState.remove keeps the remaining touches in order" {
+    var touches: TouchState = .{};
+    for (0..3) |i| {
+        _ = touches.put(.{ .id = @intCast(i), .x = 0, .y = 0, .pressure = 0.5 });
+    }
+    touches.remove(1);
+    touches.remove(42);
+
+    try std.testing.expectEqual(@as(usize, 2), touches.count);
+    try std.testing.expectEqual(@as(u32, 0), touches.slice()[0].id);
+    try std.testing.expectEqual(@as(u32, 2), touches.slice()[1].id);
+}
+
+test "TouchState.put rejects touches beyond MAX_TOUCHES" {
+    var touches: TouchState = .{};
+    for (0..MAX_TOUCHES) |i| {
+        try std.testing.expect(touches.put(.{ .id = @intCast(i), .x = 0, .y = 0, .pressure = 0.5 }));
+    }
+    try std.testing.expect(!touches.put(.{ .id = 100, .x = 0, .y = 0, .pressure = 0.5 }));
+    // Updating an active touch still works when full
+    try std.testing.expect(touches.put(.{ .id = 0, .x = 1, .y = 1, .pressure = 0.5 }));
+}
+
+test "GamepadButton follows the standard gamepad mapping indices" {
+    try std.testing.expectEqual(@as(usize, 17), Gamepad.BUTTON_COUNT);
+    try std.testing.expectEqual(@as(usize, 6), @intFromEnum(GamepadButton.left_trigger));
+    try std.testing.expectEqual(@as(usize, 9), @intFromEnum(GamepadButton.start));
+    try std.testing.expectEqual(@as(usize, 12), @intFromEnum(GamepadButton.dpad_up));
+    try std.testing.expectEqual(@as(usize, 16), @intFromEnum(GamepadButton.guide));
+    try std.testing.expectEqual(@as(usize, 3), @intFromEnum(GamepadAxis.right_y));
+}
+
+test "Gamepad.buttonJustPressed detects press transitions" {
+    const prev: Gamepad = .{ .connected = true };
+    var current = prev;
+    current.buttons[@intFromEnum(GamepadButton.a)] = true;
+
+    try std.testing.expect(Gamepad.buttonJustPressed(current, prev, .a));
+    try std.testing.expect(!Gamepad.buttonJustPressed(current, current, .a));
+    try std.testing.expect(Gamepad.buttonJustReleased(prev, current, .a));
+    try std.testing.expect(!Gamepad.buttonJustPressed(current, prev, .b));
+}
@@ -13,6 +13,7 @@ const platform_mod = @import("../platform.zig");
 const Platform = platform_mod.Platform;
 const MouseState = platform_mod.MouseState;
 const Key = platform_mod.Key;
+const KeyMods = platform_mod.KeyMods;
 const Size = platform_mod.Size;
 const Config = platform_mod.Config;
 
@@ -124,13 +125,24 @@ pub const DesktopPlatform = struct {
         // Register GLFW input callbacks
         _ = window.setCursorPosCallback(cursorPosCallback);
         _ = window.setMouseButtonCallback(mouseButtonCallback);
+        _ = window.setScrollCallback(scrollCallback);
+
+        // Start from the real cursor position so the first move has no jump in delta
+        const cursor_pos = window.getCursorPos();
+        self.mouse_state.x = @floatCast(cursor_pos[0]);
+        self.mouse_state.y = @floatCast(cursor_pos[1]);
 
         log.info("window created successfully: {}x{}", .{ width, height });
     }
 
     /// Poll for pending events and process them.
+    /// Scroll offsets and mouse deltas are per frame, so they are cleared
+    /// before GLFW delivers the new batch of events.
     pub fn pollEvents(self: *Self) void {
-        _ = self;
+        self.mouse_state.scroll_x = 0;
+        self.mouse_state.scroll_y = 0;
+        self.mouse_state.delta_x = 0;
+        self.mouse_state.delta_y = 0;
         zglfw.pollEvents();
     }
 
@@ -175,6 +187,16 @@ pub const DesktopPlatform = struct {
         return false;
     }
 
+    /// Get the modifier keys currently held (either side of each modifier).
+    pub fn getKeyMods(self: *const Self) KeyMods {
+        return .{
+            .shift = self.isKeyPressed(.left_shift) or self.isKeyPressed(.right_shift),
+            .control = self.isKeyPressed(.left_control) or self.isKeyPressed(.right_control),
+            .alt = self.isKeyPressed(.left_alt) or self.isKeyPressed(.right_alt),
+            .super = self.isKeyPressed(.left_super) or self.isKeyPressed(.right_super),
+        };
+    }
+
     /// Check if a GLFW key is currently pressed (direct GLFW key code).
     pub fn isGlfwKeyPressed(self: *const Self, key: zglfw.Key) bool {
         if (self.window) |window| {
@@ -198,8 +220,12 @@ pub const DesktopPlatform = struct {
             log.warn("cursor callback: no user pointer set", .{});
             return;
         };
-        self.mouse_state.x = @floatCast(xpos);
-        self.mouse_state.y = @floatCast(ypos);
+        const x: f32 = @floatCast(xpos);
+        const y: f32 = @floatCast(ypos);
+        self.mouse_state.delta_x += x - self.mouse_state.x;
+        self.mouse_state.delta_y += y - self.mouse_state.y;
+        self.mouse_state.x = x;
+        self.mouse_state.y = y;
     }
 
     /// GLFW mouse button callback.
@@ -225,16 +251,45 @@ pub const DesktopPlatform = struct {
         }
     }
 
+    /// GLFW scroll callback.
+    /// Accumulates wheel offsets until the next pollEvents(), since a single
+    /// poll may deliver several scroll events.
+    fn scrollCallback(window: *zglfw.Window, xoffset: f64, yoffset: f64) callconv(.c) void {
+        const self = window.getUserPointer(Self) orelse {
+            log.warn("scroll callback: no user pointer set", .{});
+            return;
+        };
+        self.mouse_state.scroll_x += @floatCast(xoffset);
+        self.mouse_state.scroll_y += @floatCast(yoffset);
+    }
+
     /// Convert platform-agnostic Key to GLFW key code.
     fn keyToGlfw(key: Key) zglfw.Key {
         return switch (key) {
-            .escape => .escape,
-            .space => .space,
-            .enter => .enter,
-            .up => .up,
-            .down => .down,
-            .left => .left,
-            .right => .right,
+            .digit_0 => .zero,
+            .digit_1 => .one,
+            .digit_2 => .two,
+            .digit_3 => .three,
+            .digit_4 => .four,
+            .digit_5 => .five,
+            .digit_6 => .six,
+            .digit_7 => .seven,
+            .digit_8 => .eight,
+            .digit_9 => .nine,
+            .f1 => .F1,
+            .f2 => .F2,
+            .f3 => .F3,
+            .f4 => .F4,
+            .f5 => .F5,
+            .f6 => .F6,
+            .f7 => .F7,
+            .f8 => .F8,
+            .f9 => .F9,
+            .f10 => .F10,
+            .f11 => .F11,
+            .f12 => .F12,
+            // All other keys have the same name in GLFW
+            inline else => |k| @field(zglfw.Key, @tagName(k)),
         };
     }
 
@@ -266,6 +321,11 @@ pub const DesktopPlatform = struct {
         return self.isKeyPressed(key);
     }
 
+    fn platformGetKeyMods(p: *const Platform) KeyMods {
+        const self: *const Self = @ptrCast(@alignCast(p.context));
+        return self.getKeyMods();
+    }
+
     fn platformGetWindowSize(p: *const Platform) Size {
         const self: *const Self = @ptrCast(@alignCast(p.context));
         return self.getWindowSize();
@@ -293,6 +353,7 @@ pub const DesktopPlatform = struct {
             .shouldQuitFn = platformShouldQuit,
             .getMouseStateFn = platformGetMouseState,
             .isKeyPressedFn = platformIsKeyPressed,
+            .getKeyModsFn = platformGetKeyMods,
             .getWindowSizeFn = platformGetWindowSize,
             .getFramebufferSizeFn = platformGetFramebufferSize,
             .getWindowFn = platformGetWindow,
@@ -11,6 +11,7 @@ const platform_mod = @import("../platform.zig");
 const Platform = platform_mod.Platform;
 const MouseState = platform_mod.MouseState;
 const Key = platform_mod.Key;
+const KeyMods = platform_mod.KeyMods;
 const Size = platform_mod.Size;
 const Config = platform_mod.Config;
 
@@ -110,6 +111,11 @@ pub const HeadlessPlatform = struct {
         return false;
     }
 
+    /// Get the modifier keys currently held (always none in headless).
+    pub fn getKeyMods(_: *const Self) KeyMods {
+        return .{};
+    }
+
     /// Get the current mouse state (synthetic for headless).
     pub fn getMouseState(self: *const Self) MouseState {
         return self.mouse_state;
@@ -148,6 +154,11 @@ pub const HeadlessPlatform = struct {
         return self.isKeyPressed(key);
     }
 
+    fn platformGetKeyMods(p: *const Platform) KeyMods {
+        const self: *const Self = @ptrCast(@alignCast(p.context));
+        return self.getKeyMods();
+    }
+
     fn platformGetWindowSize(p: *const Platform) Size {
         const self: *const Self = @ptrCast(@alignCast(p.context));
         return self.getWindowSize();
@@ -173,6 +184,7 @@ pub const HeadlessPlatform = struct {
             .shouldQuitFn = platformShouldQuit,
             .getMouseStateFn = platformGetMouseState,
             .isKeyPressedFn = platformIsKeyPressed,
+            .getKeyModsFn = platformGetKeyMods,
             .getWindowSizeFn = platformGetWindowSize,
             .getFramebufferSizeFn = platformGetFramebufferSize,
             .getWindowFn = platformGetWindow,
@@ -14,6 +14,12 @@ const platform_mod = @import("../platform.zig");
 const Platform = platform_mod.Platform;
 const MouseState = platform_mod.MouseState;
 const Key = platform_mod.Key;
+const KeyMods = platform_mod.KeyMods;
+const Touch = platform_mod.Touch;
+const TouchState = platform_mod.TouchState;
+const Gamepad = platform_mod.Gamepad;
+const TextComposition = platform_mod.TextComposition;
+const CursorStyle = platform_mod.CursorStyle;
 const Size = platform_mod.Size;
 
 const log = std.log.scoped(.web_platform);
@@ -120,6 +126,11 @@ pub const emscripten = struct {
     pub const EMSCRIPTEN_EVENT_WHEEL: c_int = 9;
     pub const EMSCRIPTEN_EVENT_RESIZE: c_int = 10;
 
+    /// WheelEvent.deltaMode values: units of deltaX/deltaY/deltaZ.
+    pub const DOM_DELTA_PIXEL: c_uint = 0;
+    pub const DOM_DELTA_LINE: c_uint = 1;
+    pub const DOM_DELTA_PAGE: c_uint = 2;
+
     /// String length constants for HTML5 event structs.
     pub const EM_HTML5_SHORT_STRING_LEN_BYTES = 32;
     pub const EM_HTML5_LONG_STRING_LEN_BYTES = 128;
@@ -507,6 +518,27 @@ pub const emscripten = struct {
     }
 };
 
+/// Functions implemented by web/wasm_bindings.js itself (not Emscripten),
+/// imported the same way as the emscripten externs above.
+pub const bridge = struct {
+    /// Focus the hidden text field and place it over the given rectangle
+    /// (canvas backing-buffer pixels). Calling it again moves the field.
+    pub extern fn web_text_input_start(x: f32, y: f32, width: f32, height: f32) void;
+    /// Blur the hidden text field, ending any composition.
+    pub extern fn web_text_input_stop() void;
+    /// Lock the pointer to the canvas. Completes asynchronously (or on the
+    /// next click, if the browser wants a user gesture) and is reported
+    /// through web_pointer_lock_changed().
+    pub extern fn web_pointer_lock_request() void;
+    /// Release the pointer lock, or cancel a pending request.
+    pub extern fn web_pointer_lock_release() void;
+    /// Set the canvas cursor to a CursorStyle ordinal.
+    pub extern fn web_set_cursor(style: u32) void;
+    /// Set the canvas cursor to an image (any CSS image URL, including
+    /// data: URLs) with the hotspot in image pixels.
+    pub extern fn web_set_cursor_image(url: [*:0]const u8, hotspot_x: u32, hotspot_y: u32) void;
+};
+
 /// Default canvas CSS selector used for Emscripten canvas operations.
 /// This matches the default canvas element created by Emscripten's shell HTML.
 const DEFAULT_CANVAS_SELECTOR: [*:0]const u8 = "#canvas";
@@ -531,6 +563,7 @@ const zgpu = @import("zgpu");
 /// - surface: Optional compatible surface for presentation. Pass the surface
 ///   created from createSurfaceFromCanvas() to ensure the adapter can render
 ///   to the canvas. Pass null for compute-only workloads.
+/// - options: Power preference and fallback-adapter request.
 /// - callback: Function called when the adapter request completes.
 /// - userdata: Opaque pointer passed to the callback.
 ///
@@ -548,7 +581,7 @@ const zgpu = @import("zgpu");
 /// };
 /// var ctx: Ctx = .{};
 ///
-/// requestAdapter(instance, surface, &adapterCallback, &ctx);
+/// requestAdapter(instance, surface, .{}, &adapterCallback, &ctx);
 /// // ... later, in the main loop or async continuation ...
 /// if (ctx.status == .success) {
 ///     // Use ctx.adapter
@@ -561,21 +594,22 @@ const zgpu = @import("zgpu");
 pub fn requestAdapter(
     instance: zgpu.wgpu.Instance,
     surface: ?zgpu.wgpu.Surface,
+    options: WebGpuOptions,
     callback: zgpu.wgpu.RequestAdapterCallback,
     userdata: ?*anyopaque,
 ) void {
     log.info("requesting WebGPU adapter from browser", .{});
 
-    // Request adapter with high-performance preference.
-    // On web, this maps to navigator.gpu.requestAdapter() with powerPreference: "high-performance".
+    // On web, this maps to navigator.gpu.requestAdapter() with the given
+    // powerPreference / forceFallbackAdapter.
     // The compatible_surface ensures the adapter can present to our canvas.
     instance.requestAdapter(
         .{
             .next_in_chain = null,
             .compatible_surface = surface,
-            .power_preference = .high_performance,
+            .power_preference = options.power_preference,
             .backend_type = .undef, // Browser chooses (typically WebGPU native)
-            .force_fallback_adapter = false,
+            .force_fallback_adapter = options.force_fallback_adapter,
             .compatibility_mode = false,
         },
         callback,
@@ -583,119 +617,54 @@ pub fn requestAdapter(
     );
 }
 
-/// Request a WebGPU adapter from the browser synchronously (blocking pattern).
-///
-/// This is a convenience wrapper that provides a synchronous-looking API for
-/// adapter requests. However, on web targets, true synchronous adapter requests
-/// are not possible due to the browser's async nature.
-///
-/// IMPORTANT: This function uses a blocking pattern that may not work correctly
-/// in all browser environments. For production use, prefer the async version
-/// (requestAdapter) with proper callback handling.
-///
-/// Parameters:
-/// - instance: WebGPU instance from which to request the adapter.
-/// - surface: Optional compatible surface for presentation.
-///
-/// Returns:
-/// - The WebGPU adapter if the request succeeded, or null if it failed.
-///
-/// Note: This function is provided for API compatibility with desktop code paths.
-/// In the browser, the actual adapter availability depends on browser WebGPU
-/// support and GPU driver availability.
-pub fn requestAdapterSync(
-    instance: zgpu.wgpu.Instance,
-    surface: ?zgpu.wgpu.Surface,
-) ?zgpu.wgpu.Adapter {
-    const Response = struct {
-        adapter: ?zgpu.wgpu.Adapter = null,
-        status: zgpu.wgpu.RequestAdapterStatus = .unknown,
-    };
-
-    var response: Response = .{};
-
-    // Make the async request.
-    // On web, this initiates the request but the callback may not fire
-    // until the browser's event loop processes it.
-    requestAdapter(instance, surface, &adapterCallback, @ptrCast(&response));
-
-    // Note: In a true browser async environment, we would need to yield
-    // to the main loop here. For Emscripten with synchronous WebGPU
-    // (which some versions support), this may work directly.
-
-    if (response.status != .success) {
-        log.warn("adapter request failed with status: {}", .{response.status});
-        return null;
-    }
-
-    if (response.adapter) |adapter| {
-        log.info("WebGPU adapter obtained successfully", .{});
-        return adapter;
-    }
-
-    return null;
-}
-
-/// Callback for adapter request - stores result in the response struct.
-fn adapterCallback(
-    status: zgpu.wgpu.RequestAdapterStatus,
-    adapter: zgpu.wgpu.Adapter,
-    message: ?[*:0]const u8,
-    userdata: ?*anyopaque,
-) callconv(.c) void {
-    const response: *struct {
-        adapter: ?zgpu.wgpu.Adapter,
-        status: zgpu.wgpu.RequestAdapterStatus,
-    } = @ptrCast(@alignCast(userdata));
-
-    response.status = status;
-
-    if (status == .success) {
-        response.adapter = adapter;
-        log.info("browser WebGPU adapter request succeeded", .{});
-    } else {
-        const msg = message orelse "unknown error";
-        log.err("browser WebGPU adapter request failed: {s}", .{msg});
-    }
-}
-
 /// Request a WebGPU device from an adapter.
 ///
 /// Once an adapter is obtained, this function requests a logical device from it.
 /// The device is the primary interface for creating GPU resources (buffers,
 /// textures, pipelines) and submitting commands.
 ///
+/// Like requestAdapter(), this returns immediately and the callback fires
+/// asynchronously once the browser's requestDevice() promise settles. A device
+/// request that cannot satisfy the required features or limits reaches the
+/// callback as a non-success status with the browser's error message.
+///
 /// Parameters:
 /// - adapter: WebGPU adapter from which to request the device.
+/// - options: Required features and limits for the device.
 /// - callback: Function called when the device request completes.
 /// - userdata: Opaque pointer passed to the callback.
 ///
 /// Example:
 /// ```zig
-/// requestDevice(adapter, &deviceCallback, &ctx);
+/// requestDevice(adapter, .{ .required_features = &.{.timestamp_query} }, &deviceCallback, &ctx);
 /// ```
 pub fn requestDevice(
     adapter: zgpu.wgpu.Adapter,
+    options: WebGpuOptions,
     callback: zgpu.wgpu.RequestDeviceCallback,
     userdata: ?*anyopaque,
 ) void {
-    log.info("requesting WebGPU device from browser adapter", .{});
+    log.info("requesting WebGPU device from browser adapter ({} required features)", .{options.required_features.len});
+
+    // The JS bridge decodes the descriptor before wgpuAdapterRequestDevice
+    // returns, so pointing at stack memory here is safe.
+    var required_limits: zgpu.wgpu.RequiredLimits = undefined;
+    if (options.required_limits) |limits| {
+        required_limits = .{ .next_in_chain = null, .limits = limits };
+    }
 
-    // Request device with default limits (sufficient for 2D rendering).
-    // The browser will provide a device with at least the default limits
-    // specified by the WebGPU specification.
     adapter.requestDevice(
         .{
             .next_in_chain = null,
             .label = "Web Primary Device",
-            .required_features_count = 0,
-            .required_features = null,
-            .required_limits = null,
+            .required_features_count = options.required_features.len,
+            .required_features = options.required_features.ptr,
+            .required_limits = if (options.required_limits != null) &required_limits else null,
             .default_queue = .{
                 .next_in_chain = null,
                 .label = "Web Default Queue",
             },
-            .device_lost_callback = null, // Set by JS bridge pre-initialization; Zig callback not used on web
+            .device_lost_callback = null, // Device loss is reported by the JS bridge
             .device_lost_user_data = null,
         },
         callback,
@@ -703,60 +672,203 @@ pub fn requestDevice(
     );
 }
 
-/// Request a WebGPU device synchronously (blocking pattern).
+/// Progress of the asynchronous GPU initialization started by beginGpuInit().
+pub const GpuInitStatus = enum {
+    /// beginGpuInit() has not been called (or the context was already taken).
+    idle,
+    /// Waiting for the browser to resolve the adapter or device request.
+    pending,
+    /// Adapter and device are available via takeGpuContext().
+    ready,
+    /// Initialization failed; the reason has been logged.
+    failed,
+};
+
+/// State of the in-flight GPU initialization. Module-level because the
+/// adapter/device callbacks are C function pointers invoked from JS promise
+/// continuations, long after beginGpuInit() has returned.
+const GpuInitState = struct {
+    status: GpuInitStatus = .idle,
+    options: WebGpuOptions = .{},
+    instance: ?zgpu.wgpu.Instance = null,
+    surface: ?zgpu.wgpu.Surface = null,
+    adapter: ?zgpu.wgpu.Adapter = null,
+    device: ?zgpu.wgpu.Device = null,
+};
+
+var gpu_init: GpuInitState = .{};
+
+/// Start obtaining the WebGPU instance, canvas surface, adapter and device.
 ///
-/// Convenience wrapper providing synchronous-looking API for device requests.
-/// See requestAdapterSync() for important caveats about browser async behavior.
+/// Browsers only hand out adapters and devices through promises, so this
+/// returns immediately. Poll gpuInitStatus() from the main loop and call
+/// takeGpuContext() once it reports .ready, then pass the context to
+/// Renderer.initWeb().
 ///
 /// Parameters:
-/// - adapter: WebGPU adapter from which to request the device.
-///
-/// Returns:
-/// - The WebGPU device if the request succeeded, or null if it failed.
-pub fn requestDeviceSync(adapter: zgpu.wgpu.Adapter) ?zgpu.wgpu.Device {
-    const Response = struct {
-        device: ?zgpu.wgpu.Device = null,
-        status: zgpu.wgpu.RequestDeviceStatus = .unknown,
+/// - options: Adapter/device request options. required_features must stay
+///   valid until the status leaves .pending.
+/// - canvas_selector: CSS selector of the target canvas (e.g. "#canvas").
+pub fn beginGpuInit(options: WebGpuOptions, canvas_selector: [*:0]const u8) void {
+    gpu_init = .{ .status = .pending, .options = options };
+
+    const instance = zgpu.wgpu.createInstance(.{ .next_in_chain = null });
+    // Check if instance creation succeeded (null pointer indicates failure)
+    if (@intFromPtr(instance) == 0) {
+        log.err("failed to create WebGPU instance (browser may not support WebGPU)", .{});
+        failGpuInit();
+        return;
+    }
+    gpu_init.instance = instance;
+
+    gpu_init.surface = createSurfaceFromCanvas(instance, canvas_selector) orelse {
+        failGpuInit();
+        return;
     };
 
-    var response: Response = .{};
+    requestAdapter(instance, gpu_init.surface, options, &gpuInitAdapterCallback, null);
+}
+
+/// Current progress of the GPU initialization started by beginGpuInit().
+pub fn gpuInitStatus() GpuInitStatus {
+    return gpu_init.status;
+}
 
-    requestDevice(adapter, &deviceCallback, @ptrCast(&response));
+/// Hand the objects obtained by beginGpuInit() to the caller, who takes
+/// ownership of them. Returns null unless gpuInitStatus() is .ready.
+pub fn takeGpuContext() ?WebGpuContext {
+    if (gpu_init.status != .ready) return null;
+    const ctx: WebGpuContext = .{
+        .instance = gpu_init.instance.?,
+        .surface = gpu_init.surface.?,
+        .adapter = gpu_init.adapter.?,
+        .device = gpu_init.device.?,
+    };
+    gpu_init = .{};
+    return ctx;
+}
 
-    if (response.status != .success) {
-        log.warn("device request failed with status: {}", .{response.status});
-        return null;
-    }
+/// Release whatever beginGpuInit() acquired so far and mark it as failed.
+fn failGpuInit() void {
+    if (gpu_init.adapter) |adapter| adapter.release();
+    if (gpu_init.surface) |surface| surface.release();
+    if (gpu_init.instance) |instance| instance.release();
+    gpu_init = .{ .status = .failed };
+}
 
-    if (response.device) |device| {
-        log.info("WebGPU device obtained successfully", .{});
-        return device;
+/// Adapter request callback for beginGpuInit() - chains the device request.
+fn gpuInitAdapterCallback(
+    status: zgpu.wgpu.RequestAdapterStatus,
+    adapter: zgpu.wgpu.Adapter,
+    message: ?[*:0]const u8,
+    _: ?*anyopaque,
+) callconv(.c) void {
+    if (status != .success) {
+        const msg = message orelse "unknown error";
+        log.err("browser WebGPU adapter request failed ({}): {s}", .{ status, msg });
+        failGpuInit();
+        return;
     }
 
-    return null;
+    log.info("browser WebGPU adapter request succeeded", .{});
+    gpu_init.adapter = adapter;
+    requestDevice(adapter, gpu_init.options, &gpuInitDeviceCallback, null);
 }
 
-/// Callback for device request - stores result in the response struct.
-fn deviceCallback(
+/// Device request callback for beginGpuInit() - completes initialization.
+fn gpuInitDeviceCallback(
     status: zgpu.wgpu.RequestDeviceStatus,
     device: zgpu.wgpu.Device,
     message: ?[*:0]const u8,
-    userdata: ?*anyopaque,
+    _: ?*anyopaque,
 ) callconv(.c) void {
-    const response: *struct {
-        device: ?zgpu.wgpu.Device,
-        status: zgpu.wgpu.RequestDeviceStatus,
-    } = @ptrCast(@alignCast(userdata));
+    if (status != .success) {
+        const msg = message orelse "unknown error";
+        log.err("browser WebGPU device request failed ({}): {s}", .{ status, msg });
+        failGpuInit();
+        return;
+    }
 
-    response.status = status;
+    log.info("browser WebGPU device request succeeded", .{});
+    gpu_init.device = device;
+    gpu_init.status = .ready;
+}
 
-    if (status == .success) {
-        response.device = device;
-        log.info("browser WebGPU device request succeeded", .{});
-    } else {
-        const msg = message orelse "unknown error";
-        log.err("browser WebGPU device request failed: {s}", .{msg});
+/// Progress of device-loss recovery, driven by the JS bridge.
+pub const DeviceRecoveryStatus = enum {
+    /// No device loss pending.
+    none,
+    /// The device was lost; the bridge is requesting a replacement.
+    recovering,
+    /// A replacement adapter and device are available via takeRestoredDevice().
+    restored,
+    /// The bridge gave up after exhausting its retry policy.
+    failed,
+};
+
+/// Replacement objects delivered by the JS bridge after a device loss.
+pub const RestoredDevice = struct {
+    adapter: zgpu.wgpu.Adapter,
+    device: zgpu.wgpu.Device,
+};
+
+/// Device-loss recovery state. Written by the web_gpu_device_* exports
+/// (called from JS promise continuations) and consumed by the main loop.
+var device_recovery: struct {
+    status: DeviceRecoveryStatus = .none,
+    restored: ?RestoredDevice = null,
+} = .{};
+
+/// Current device-loss recovery status.
+pub fn deviceRecoveryStatus() DeviceRecoveryStatus {
+    return device_recovery.status;
+}
+
+/// Hand the replacement adapter and device to the caller, who takes
+/// ownership of them. Returns null unless deviceRecoveryStatus() is .restored.
+pub fn takeRestoredDevice() ?RestoredDevice {
+    if (device_recovery.status != .restored) return null;
+    const restored = device_recovery.restored;
+    device_recovery = .{};
+    return restored;
+}
+
+/// Rebuild the renderer and swap chain render target on the replacement
+/// device once the bridge has delivered it, then notify the application.
+/// Called from the main loop while a renderer exists. Returns false if
+/// recovery failed and the main loop should stop.
+pub fn handleDeviceRecovery(state: *GlobalAppState) bool {
+    switch (device_recovery.status) {
+        .none, .recovering => return true,
+        .failed => {
+            log.err("GPU device lost and recovery failed - requires page reload", .{});
+            return false;
+        },
+        .restored => {},
     }
+
+    const restored = takeRestoredDevice().?;
+    const renderer = state.renderer orelse return false;
+    const rt = state.render_target orelse return false;
+    const swap_chain_target: *SwapChainRenderTarget = @ptrCast(@alignCast(rt.context));
+
+    // After a resize the render target owns a newer swap chain than the renderer.
+    if (swap_chain_target.swapchain != renderer.swapchain.?) {
+        swap_chain_target.swapchain.release();
+    }
+
+    renderer.restoreWebDevice(restored.adapter, restored.device, swap_chain_target.width, swap_chain_target.height) catch |err| {
+        log.err("failed to rebuild renderer on restored device: {}", .{err});
+        return false;
+    };
+
+    swap_chain_target.* = renderer.createSwapChainRenderTarget();
+    rt.* = swap_chain_target.render_target;
+    rt.context = @ptrCast(swap_chain_target);
+
+    log.info("GPU device restored, renderer rebuilt", .{});
+    state.app_interface.onDeviceRestored();
+    return true;
 }
 
 /// Create a WebGPU surface from an HTML canvas element.
@@ -831,9 +943,11 @@ pub fn createSurfaceFromCanvas(
 ///
 /// Parameters:
 /// - device: WebGPU device to create the swap chain with. Must be a valid device
-///   obtained from requestDeviceSync() or an async device request.
+///   obtained from requestDevice() or beginGpuInit().
 /// - surface: WebGPU surface created from the canvas via createSurfaceFromCanvas().
 ///   The surface represents the canvas element as a render target.
+/// - format: Texture format of the swap chain. Pipelines and multisampled
+///   textures drawing into it must use the same format.
 /// - width: Width of the swap chain textures in pixels. Should match the canvas
 ///   element's backing store size (CSS size * device pixel ratio for high-DPI).
 /// - height: Height of the swap chain textures in pixels.
@@ -842,16 +956,14 @@ pub fn createSurfaceFromCanvas(
 /// - A configured SwapChain for rendering to the canvas, or null if creation failed.
 ///
 /// Configuration details:
-/// - Format: bgra8_unorm - standard format for web, matches browser compositor expectations
 /// - Usage: render_attachment - enables use as a render pass color attachment
 /// - Present mode: fifo - VSync enabled for smooth presentation
 /// - Alpha mode: Opaque (implicit) - canvas background shows through
 ///
 /// Example:
 /// ```zig
-/// const surface = createSurfaceFromCanvas(instance, "#canvas");
-/// const device = requestDeviceSync(adapter);
-/// const swap_chain = createSwapChain(device.?, surface.?, 800, 600);
+/// const gpu = takeGpuContext().?; // after beginGpuInit() reports .ready
+/// const swap_chain = createSwapChain(gpu.device, gpu.surface, .bgra8_unorm, 800, 600);
 /// if (swap_chain) |sc| {
 ///     // Use swap_chain.getCurrentTextureView() in render loop
 /// }
@@ -862,6 +974,7 @@ pub fn createSurfaceFromCanvas(
 pub fn createSwapChain(
     device: zgpu.wgpu.Device,
     surface: zgpu.wgpu.Surface,
+    format: zgpu.wgpu.TextureFormat,
     width: u32,
     height: u32,
 ) ?zgpu.wgpu.SwapChain {
@@ -875,7 +988,7 @@ pub fn createSwapChain(
             .next_in_chain = null,
             .label = "Web Canvas Swap Chain",
             .usage = .{ .render_attachment = true },
-            .format = .bgra8_unorm, // Standard format for browser WebGPU
+            .format = format,
             .width = width,
             .height = height,
             .present_mode = .fifo, // VSync enabled for smooth presentation
@@ -917,9 +1030,38 @@ pub const WebPlatform = struct {
     canvas_selector: [*:0]const u8,
     /// Current mouse state, updated by browser event callbacks.
     mouse_state: MouseState,
+    /// Wheel movement received since the last pollEvents(), in notches.
+    /// Moved into mouse_state once per frame so scroll is a per-frame delta.
+    pending_scroll_x: f32,
+    pending_scroll_y: f32,
+    /// Relative mouse movement received since the last pollEvents(), in
+    /// canvas pixels. Moved into mouse_state once per frame.
+    pending_delta_x: f32,
+    pending_delta_y: f32,
+    /// Whether the browser reports the pointer as locked to the canvas.
+    pointer_locked: bool,
+    /// Active touch and pen contacts, updated by web_update_touch().
+    touch_state: TouchState,
+    /// Gamepad slots, polled by the bridge from navigator.getGamepads()
+    /// at the start of every frame.
+    gamepads: [platform_mod.MAX_GAMEPADS]Gamepad,
+    /// Whether the bridge's hidden text field is focused (startTextInput()).
+    text_input_active: bool,
+    /// UTF-8 text committed since the last pollEvents(), via web_text_input().
+    pending_text: [TEXT_INPUT_CAPACITY]u8,
+    pending_text_len: usize,
+    /// Text committed during the previous frame, published by pollEvents().
+    frame_text: [TEXT_INPUT_CAPACITY]u8,
+    frame_text_len: usize,
+    /// Current IME preedit text, via web_text_composition().
+    composition: [TEXT_INPUT_CAPACITY]u8,
+    composition_len: usize,
+    composition_cursor: usize,
     /// Current keyboard state, indexed by Key enum ordinal.
     /// Updated by JavaScript keyboard event listeners via web_update_key_state().
     key_states: [KEY_COUNT]bool,
+    /// Modifier keys held during the most recent keyboard event.
+    key_mods: KeyMods,
     /// Whether a quit has been requested (e.g., page unload).
     quit_requested: bool,
     /// Frame counter for timing and debugging.
@@ -928,6 +1070,15 @@ pub const WebPlatform = struct {
     /// Number of keys in the Key enum, used to size the key state array.
     const KEY_COUNT = @typeInfo(Key).@"enum".fields.len;
 
+    /// Bytes of committed text kept per frame, and of composition text.
+    /// Longer input (e.g. a large paste) is truncated.
+    const TEXT_INPUT_CAPACITY = 1024;
+
+    /// Pixel delta of one wheel notch in Chrome, Edge and Safari.
+    const WHEEL_PIXELS_PER_NOTCH = 100.0;
+    /// Line delta of one wheel notch in Firefox.
+    const WHEEL_LINES_PER_NOTCH = 3.0;
+
     /// Initialize the web platform by querying the canvas element.
     ///
     /// This function:
@@ -1018,6 +1169,22 @@ pub const WebPlatform = struct {
             log.info("mouseup event listener registered on canvas", .{});
         }
 
+        // Register wheel event listener via Emscripten HTML5 API.
+        // Deltas are accumulated until the next frame; the callback consumes
+        // the event so the page does not scroll underneath the canvas.
+        const wheel_result = emscripten.emscripten_set_wheel_callback(
+            canvas_selector,
+            null, // user_data - we use global_web_platform instead
+            true, // use_capture - capture phase for reliable event handling
+            wheelCallback,
+        );
+
+        if (wheel_result != emscripten.EMSCRIPTEN_RESULT_SUCCESS) {
+            log.warn("failed to register wheel callback (result={})", .{wheel_result});
+        } else {
+            log.info("wheel event listener registered on canvas", .{});
+        }
+
         return Self{
             .allocator = allocator,
             .width = width,
@@ -1031,7 +1198,23 @@ pub const WebPlatform = struct {
                 .right_pressed = false,
                 .middle_pressed = false,
             },
+            .pending_scroll_x = 0,
+            .pending_scroll_y = 0,
+            .pending_delta_x = 0,
+            .pending_delta_y = 0,
+            .pointer_locked = false,
+            .touch_state = .{},
+            .gamepads = [_]Gamepad{.{}} ** platform_mod.MAX_GAMEPADS,
+            .text_input_active = false,
+            .pending_text = undefined,
+            .pending_text_len = 0,
+            .frame_text = undefined,
+            .frame_text_len = 0,
+            .composition = undefined,
+            .composition_len = 0,
+            .composition_cursor = 0,
             .key_states = [_]bool{false} ** KEY_COUNT,
+            .key_mods = .{},
             .quit_requested = false,
             .frame_count = 0,
         };
@@ -1125,6 +1308,20 @@ pub const WebPlatform = struct {
         return false;
     }
 
+    /// Emscripten wheel event callback.
+    /// Called by the browser when the mouse wheel or a trackpad scrolls over the canvas.
+    fn wheelCallback(
+        _: c_int, // event_type - always EMSCRIPTEN_EVENT_WHEEL
+        wheel_event: *const emscripten.EmscriptenWheelEvent,
+        _: ?*anyopaque, // user_data - unused, we use global_web_platform
+    ) callconv(.c) bool {
+        if (global_web_platform) |p| {
+            p.updateMouseWheel(wheel_event.deltaX, wheel_event.deltaY, wheel_event.deltaMode);
+        }
+        // Return true to consume the event, preventing the page from scrolling.
+        return true;
+    }
+
     /// Clean up platform resources.
     ///
     /// In browser context, most cleanup is handled automatically on page unload.
@@ -1163,18 +1360,46 @@ pub const WebPlatform = struct {
             .right_pressed = false,
             .middle_pressed = false,
         };
+        self.pending_scroll_x = 0;
+        self.pending_scroll_y = 0;
+        self.pending_delta_x = 0;
+        self.pending_delta_y = 0;
+        if (self.pointer_locked) bridge.web_pointer_lock_release();
+        self.pointer_locked = false;
+        self.touch_state = .{};
+        self.gamepads = [_]Gamepad{.{}} ** platform_mod.MAX_GAMEPADS;
+        if (self.text_input_active) bridge.web_text_input_stop();
+        self.text_input_active = false;
+        self.pending_text_len = 0;
+        self.frame_text_len = 0;
+        self.composition_len = 0;
+        self.composition_cursor = 0;
         self.key_states = [_]bool{false} ** KEY_COUNT;
+        self.key_mods = .{};
 
         log.info("web platform cleanup complete", .{});
     }
 
     /// Poll for events.
     /// In browser context, events are delivered asynchronously via callbacks.
-    /// This method increments the frame counter for timing purposes.
+    /// This method increments the frame counter for timing purposes and
+    /// publishes the wheel and mouse movement and the text received since
+    /// the previous frame.
     pub fn pollEvents(self: *Self) void {
         self.frame_count += 1;
         // Browser events are handled asynchronously via JavaScript callbacks.
         // The mouse_state and key states are updated by those callbacks.
+        self.mouse_state.scroll_x = self.pending_scroll_x;
+        self.mouse_state.scroll_y = self.pending_scroll_y;
+        self.pending_scroll_x = 0;
+        self.pending_scroll_y = 0;
+        self.mouse_state.delta_x = self.pending_delta_x;
+        self.mouse_state.delta_y = self.pending_delta_y;
+        self.pending_delta_x = 0;
+        self.pending_delta_y = 0;
+        @memcpy(self.frame_text[0..self.pending_text_len], self.pending_text[0..self.pending_text_len]);
+        self.frame_text_len = self.pending_text_len;
+        self.pending_text_len = 0;
     }
 
     /// Check if the platform should quit.
@@ -1208,10 +1433,16 @@ pub const WebPlatform = struct {
         return self.key_states[@intFromEnum(key)];
     }
 
+    /// Get the modifier keys held during the most recent keyboard event.
+    pub fn getKeyMods(self: *const Self) KeyMods {
+        return self.key_mods;
+    }
+
     /// Update key state from JavaScript callback.
     /// Called by the exported web_update_key_state function when a keyboard event fires.
-    pub fn updateKeyState(self: *Self, key: Key, pressed: bool) void {
+    pub fn updateKeyState(self: *Self, key: Key, pressed: bool, mods: KeyMods) void {
         self.key_states[@intFromEnum(key)] = pressed;
+        self.key_mods = mods;
     }
 
     /// Get the current mouse state.
@@ -1227,6 +1458,28 @@ pub const WebPlatform = struct {
         self.mouse_state.y = y;
     }
 
+    /// Accumulate a browser wheel event until the next pollEvents().
+    /// Called by wheelCallback and the exported web_update_mouse_wheel function.
+    /// Deltas are DOM WheelEvent deltas in the given deltaMode; they are
+    /// converted to notches with GLFW's sign convention (DOM deltas grow
+    /// towards the bottom right, GLFW offsets towards the top left).
+    pub fn updateMouseWheel(self: *Self, delta_x: f64, delta_y: f64, delta_mode: c_uint) void {
+        // A page is one canvas height in CSS pixels
+        const page_height = @as(f64, @floatFromInt(self.height)) / @max(self.pixel_ratio, 1.0);
+        self.pending_scroll_x -= wheelDeltaToNotches(delta_x, delta_mode, page_height);
+        self.pending_scroll_y -= wheelDeltaToNotches(delta_y, delta_mode, page_height);
+    }
+
+    /// Convert a DOM wheel delta to wheel notches.
+    fn wheelDeltaToNotches(delta: f64, delta_mode: c_uint, page_height: f64) f32 {
+        const notches = switch (delta_mode) {
+            emscripten.DOM_DELTA_LINE => delta / WHEEL_LINES_PER_NOTCH,
+            emscripten.DOM_DELTA_PAGE => delta * page_height / WHEEL_PIXELS_PER_NOTCH,
+            else => delta / WHEEL_PIXELS_PER_NOTCH,
+        };
+        return @floatCast(notches);
+    }
+
     /// Convert page/CSS coordinates to canvas backing buffer coordinates.
     ///
     /// This function handles the conversion from coordinates in CSS pixels
@@ -1291,6 +1544,175 @@ pub const WebPlatform = struct {
         }
     }
 
+    /// Get the active touch and pen contacts.
+    pub fn getTouches(self: *const Self) TouchState {
+        return self.touch_state;
+    }
+
+    /// Update a touch contact from JavaScript.
+    /// Called by the exported web_update_touch function on pointer events
+    /// from touch screens and pens.
+    pub fn updateTouch(self: *Self, phase: TouchPhase, touch: Touch) void {
+        switch (phase) {
+            .down => if (!self.touch_state.put(touch)) {
+                log.debug("ignoring touch {}: {} touches already active", .{ touch.id, platform_mod.MAX_TOUCHES });
+            },
+            // Only contacts that went down move; a hovering pen is not a touch
+            .move => if (self.touch_state.find(touch.id) != null) {
+                _ = self.touch_state.put(touch);
+            },
+            .up, .cancel => self.touch_state.remove(touch.id),
+        }
+    }
+
+    /// Get the state of a gamepad slot, or null if nothing is connected to it.
+    pub fn getGamepad(self: *const Self, index: usize) ?Gamepad {
+        if (index >= self.gamepads.len or !self.gamepads[index].connected) return null;
+        return self.gamepads[index];
+    }
+
+    /// Mark a gamepad slot as connected, clearing any stale input state.
+    pub fn connectGamepad(self: *Self, index: usize, standard_mapping: bool) void {
+        if (index >= self.gamepads.len) return;
+        self.gamepads[index] = .{ .connected = true, .standard_mapping = standard_mapping };
+        log.info("gamepad {} connected (standard mapping: {})", .{ index, standard_mapping });
+    }
+
+    /// Mark a gamepad slot as disconnected. Its buttons read as released.
+    pub fn disconnectGamepad(self: *Self, index: usize) void {
+        if (index >= self.gamepads.len) return;
+        self.gamepads[index] = .{};
+        log.info("gamepad {} disconnected", .{index});
+    }
+
+    /// Update one gamepad button. Buttons beyond the standard mapping are ignored.
+    pub fn updateGamepadButton(self: *Self, index: usize, button: usize, pressed: bool, value: f32) void {
+        if (index >= self.gamepads.len or button >= Gamepad.BUTTON_COUNT) return;
+        const pad = &self.gamepads[index];
+        if (!pad.connected) return;
+        pad.buttons[button] = pressed;
+        pad.button_values[button] = value;
+    }
+
+    /// Update one gamepad axis. Axes beyond the standard mapping are ignored.
+    pub fn updateGamepadAxis(self: *Self, index: usize, axis: usize, value: f32) void {
+        if (index >= self.gamepads.len or axis >= Gamepad.AXIS_COUNT) return;
+        const pad = &self.gamepads[index];
+        if (!pad.connected) return;
+        pad.axes[axis] = value;
+    }
+
+    /// Accumulate relative mouse movement until the next pollEvents().
+    /// Called by the exported web_update_mouse_delta function.
+    pub fn updateMouseDelta(self: *Self, dx: f32, dy: f32) void {
+        self.pending_delta_x += dx;
+        self.pending_delta_y += dy;
+    }
+
+    /// Ask the browser to lock the pointer to the canvas.
+    /// isPointerLocked() turns true once the browser grants it.
+    pub fn requestPointerLock(self: *Self) void {
+        _ = self;
+        bridge.web_pointer_lock_request();
+    }
+
+    /// Release the pointer lock, or cancel a pending request.
+    pub fn releasePointerLock(self: *Self) void {
+        _ = self;
+        bridge.web_pointer_lock_release();
+    }
+
+    /// Whether the pointer is locked to the canvas.
+    pub fn isPointerLocked(self: *const Self) bool {
+        return self.pointer_locked;
+    }
+
+    /// Record a pointer lock change reported by the browser. The user can
+    /// end the lock at any time (e.g. with Escape).
+    /// Called by the exported web_pointer_lock_changed function.
+    pub fn updatePointerLock(self: *Self, locked: bool) void {
+        self.pointer_locked = locked;
+        log.info("pointer lock {s}", .{if (locked) "acquired" else "released"});
+    }
+
+    /// Set the cursor shown over the canvas.
+    pub fn setCursor(self: *Self, style: CursorStyle) void {
+        _ = self;
+        bridge.web_set_cursor(@intFromEnum(style));
+    }
+
+    /// Show an image as the cursor over the canvas. `url` is any CSS image
+    /// URL; the hotspot is in image pixels from the top-left corner.
+    pub fn setCursorImage(self: *Self, url: [:0]const u8, hotspot_x: u32, hotspot_y: u32) void {
+        _ = self;
+        bridge.web_set_cursor_image(url.ptr, hotspot_x, hotspot_y);
+    }
+
+    /// Start receiving text input: focuses the bridge's hidden text field over
+    /// the given rectangle in canvas backing-buffer pixels, so IME candidate
+    /// windows appear next to it. Call again to follow the caret.
+    pub fn startTextInput(self: *Self, x: f32, y: f32, width: f32, height: f32) void {
+        self.text_input_active = true;
+        bridge.web_text_input_start(x, y, width, height);
+    }
+
+    /// Stop receiving text input and discard any composition in progress.
+    pub fn stopTextInput(self: *Self) void {
+        if (!self.text_input_active) return;
+        self.text_input_active = false;
+        self.composition_len = 0;
+        self.composition_cursor = 0;
+        bridge.web_text_input_stop();
+    }
+
+    /// Whether text input is active.
+    pub fn isTextInputActive(self: *const Self) bool {
+        return self.text_input_active;
+    }
+
+    /// UTF-8 text committed during the previous frame.
+    pub fn getTextInput(self: *const Self) []const u8 {
+        return self.frame_text[0..self.frame_text_len];
+    }
+
+    /// The IME composition in progress, if any.
+    pub fn getTextComposition(self: *const Self) TextComposition {
+        return .{
+            .text = self.composition[0..self.composition_len],
+            .cursor = self.composition_cursor,
+        };
+    }
+
+    /// Append committed text from JavaScript until the next pollEvents().
+    /// Called by the exported web_text_input function.
+    pub fn appendTextInput(self: *Self, text: []const u8) void {
+        const kept = utf8Prefix(text, self.pending_text.len - self.pending_text_len);
+        if (kept.len < text.len) {
+            log.warn("text input truncated: {} of {} bytes kept this frame", .{ kept.len, text.len });
+        }
+        @memcpy(self.pending_text[self.pending_text_len..][0..kept.len], kept);
+        self.pending_text_len += kept.len;
+    }
+
+    /// Replace the IME composition from JavaScript. Empty text ends it.
+    /// Called by the exported web_text_composition function.
+    pub fn setTextComposition(self: *Self, text: []const u8, cursor: usize) void {
+        const kept = utf8Prefix(text, self.composition.len);
+        @memcpy(self.composition[0..kept.len], kept);
+        self.composition_len = kept.len;
+        self.composition_cursor = @min(cursor, kept.len);
+    }
+
+    /// Longest prefix of `text` of at most `max_len` bytes that does not
+    /// split a UTF-8 sequence.
+    fn utf8Prefix(text: []const u8, max_len: usize) []const u8 {
+        if (text.len <= max_len) return text;
+        var end = max_len;
+        // Back up over continuation bytes (10xxxxxx) to the start of a sequence
+        while (end > 0 and text[end] & 0xC0 == 0x80) end -= 1;
+        return text[0..end];
+    }
+
     /// Update canvas size from JavaScript (e.g., on window resize).
     pub fn updateCanvasSize(self: *Self, width: u32, height: u32) void {
         self.width = width;
@@ -1386,6 +1808,11 @@ pub const WebPlatform = struct {
         return self.isKeyPressed(key);
     }
 
+    fn platformGetKeyMods(p: *const Platform) KeyMods {
+        const self: *const Self = @ptrCast(@alignCast(p.context));
+        return self.getKeyMods();
+    }
+
     fn platformGetWindowSize(p: *const Platform) Size {
         const self: *const Self = @ptrCast(@alignCast(p.context));
         return self.getWindowSize();
@@ -1414,6 +1841,7 @@ pub const WebPlatform = struct {
             .shouldQuitFn = platformShouldQuit,
             .getMouseStateFn = platformGetMouseState,
             .isKeyPressedFn = platformIsKeyPressed,
+            .getKeyModsFn = platformGetKeyMods,
             .getWindowSizeFn = platformGetWindowSize,
             .getFramebufferSizeFn = platformGetFramebufferSize,
             .getWindowFn = @ptrCast(&platformGetWindow),
@@ -1433,7 +1861,10 @@ pub var global_web_platform: ?*WebPlatform = null;
 const AppInterface = @import("../app_interface.zig").AppInterface;
 const renderer_mod = @import("../renderer.zig");
 const Renderer = renderer_mod.Renderer;
+const WebGpuOptions = renderer_mod.WebGpuOptions;
+const WebGpuContext = renderer_mod.WebGpuContext;
 const RenderTarget = @import("../render_target.zig").RenderTarget;
+const SwapChainRenderTarget = @import("../render_target.zig").SwapChainRenderTarget;
 
 /// Global state for the Emscripten main loop callback.
 /// The callback is a C function pointer that cannot capture context, so we
@@ -1567,6 +1998,102 @@ export fn web_update_mouse_button(button: u32, pressed: bool) callconv(.c) void
     }
 }
 
+/// Exported function for JavaScript to report a wheel event on the canvas.
+/// delta_x, delta_y: WheelEvent.deltaX/deltaY as delivered by the browser
+/// delta_mode: WheelEvent.deltaMode, 0=pixel, 1=line, 2=page
+export fn web_update_mouse_wheel(delta_x: f64, delta_y: f64, delta_mode: u32) callconv(.c) void {
+    if (global_web_platform) |p| {
+        p.updateMouseWheel(delta_x, delta_y, delta_mode);
+    }
+}
+
+/// Touch contact transitions reported by the bridge (the `phase` argument of
+/// web_update_touch), matching pointerdown/pointermove/pointerup/pointercancel.
+pub const TouchPhase = enum(u32) {
+    down = 0,
+    move = 1,
+    up = 2,
+    cancel = 3,
+};
+
+/// Exported function for JavaScript to update a touch or pen contact.
+/// id: PointerEvent.pointerId
+/// phase: 0=down, 1=move, 2=up, 3=cancel (TouchPhase)
+/// x, y: position in canvas backing-buffer pixels
+/// pressure: PointerEvent.pressure in [0, 1]
+export fn web_update_touch(id: u32, phase: u32, x: f32, y: f32, pressure: f32) callconv(.c) void {
+    if (global_web_platform) |p| {
+        const touch_phase = std.meta.intToEnum(TouchPhase, phase) catch return;
+        p.updateTouch(touch_phase, .{ .id = id, .x = x, .y = y, .pressure = pressure });
+    }
+}
+
+/// Exported function for JavaScript to report a gamepad in slot `index`
+/// (Gamepad.index). standard_mapping: Gamepad.mapping === "standard"
+export fn web_gamepad_connected(index: u32, standard_mapping: bool) callconv(.c) void {
+    if (global_web_platform) |p| {
+        p.connectGamepad(index, standard_mapping);
+    }
+}
+
+/// Exported function for JavaScript to report that gamepad slot `index` was emptied.
+export fn web_gamepad_disconnected(index: u32) callconv(.c) void {
+    if (global_web_platform) |p| {
+        p.disconnectGamepad(index);
+    }
+}
+
+/// Exported function for JavaScript to update a gamepad button.
+/// button: index into Gamepad.buttons (GamepadButton ordinal for standard mapping)
+/// pressed, value: GamepadButton.pressed / GamepadButton.value
+export fn web_update_gamepad_button(index: u32, button: u32, pressed: bool, value: f32) callconv(.c) void {
+    if (global_web_platform) |p| {
+        p.updateGamepadButton(index, button, pressed, value);
+    }
+}
+
+/// Exported function for JavaScript to update a gamepad axis.
+/// axis: index into Gamepad.axes (GamepadAxis ordinal for standard mapping)
+export fn web_update_gamepad_axis(index: u32, axis: u32, value: f32) callconv(.c) void {
+    if (global_web_platform) |p| {
+        p.updateGamepadAxis(index, axis, value);
+    }
+}
+
+/// Exported function for JavaScript to deliver committed text input.
+/// text, len: UTF-8 bytes in WASM memory, owned by the caller
+export fn web_text_input(text: ?[*]const u8, len: u32) callconv(.c) void {
+    if (global_web_platform) |p| {
+        const bytes = text orelse return;
+        p.appendTextInput(bytes[0..len]);
+    }
+}
+
+/// Exported function for JavaScript to update the IME composition.
+/// text, len: UTF-8 preedit text in WASM memory (null/0 ends the composition)
+/// cursor: caret position within the text, in bytes
+export fn web_text_composition(text: ?[*]const u8, len: u32, cursor: u32) callconv(.c) void {
+    if (global_web_platform) |p| {
+        const bytes: []const u8 = if (text) |t| t[0..len] else "";
+        p.setTextComposition(bytes, cursor);
+    }
+}
+
+/// Exported function for JavaScript to report relative mouse movement.
+/// dx, dy: MouseEvent.movementX/movementY scaled to canvas backing-buffer pixels
+export fn web_update_mouse_delta(dx: f32, dy: f32) callconv(.c) void {
+    if (global_web_platform) |p| {
+        p.updateMouseDelta(dx, dy);
+    }
+}
+
+/// Exported function for JavaScript to report a pointerlockchange event.
+export fn web_pointer_lock_changed(locked: bool) callconv(.c) void {
+    if (global_web_platform) |p| {
+        p.updatePointerLock(locked);
+    }
+}
+
 /// Exported function for JavaScript to update canvas size on resize.
 export fn web_update_canvas_size(width: u32, height: u32) callconv(.c) void {
     if (global_web_platform) |p| {
@@ -1575,13 +2102,13 @@ export fn web_update_canvas_size(width: u32, height: u32) callconv(.c) void {
 }
 
 /// Exported function for JavaScript to update keyboard key state.
-/// key_code: Numeric value matching the Key enum ordinal
-///   (0=escape, 1=space, 2=enter, 3=up, 4=down, 5=left, 6=right)
+/// key_code: Numeric value matching the Key enum ordinal (KEY_CODES in wasm_bindings.js)
 /// pressed: true if key was pressed, false if released
-export fn web_update_key_state(key_code: u32, pressed: bool) callconv(.c) void {
+/// mods: modifiers held during the event, 1=shift, 2=control, 4=alt, 8=meta
+export fn web_update_key_state(key_code: u32, pressed: bool, mods: u32) callconv(.c) void {
     if (global_web_platform) |p| {
         const key = std.meta.intToEnum(Key, key_code) catch return;
-        p.updateKeyState(key, pressed);
+        p.updateKeyState(key, pressed, KeyMods.fromBits(mods));
     }
 }
 
@@ -1591,3 +2118,172 @@ export fn web_request_quit() callconv(.c) void {
         p.requestQuit();
     }
 }
+
+/// Exported function for JavaScript to report that the GPU device was lost.
+/// The bridge follows up with web_gpu_device_restored() or
+/// web_gpu_device_recovery_failed(); rendering is paused meanwhile.
+export fn web_gpu_device_lost() callconv(.c) void {
+    log.warn("GPU device lost, waiting for the bridge to recover it", .{});
+    device_recovery = .{ .status = .recovering };
+}
+
+/// Exported function for JavaScript to deliver the replacement adapter and
+/// device after a device loss. The main loop rebuilds GPU state from them.
+export fn web_gpu_device_restored(adapter: zgpu.wgpu.Adapter, device: zgpu.wgpu.Device) callconv(.c) void {
+    device_recovery = .{
+        .status = .restored,
+        .restored = .{ .adapter = adapter, .device = device },
+    };
+}
+
+/// Exported function for JavaScript to report that device recovery gave up.
+export fn web_gpu_device_recovery_failed() callconv(.c) void {
+    device_recovery = .{ .status = .failed };
+}
+
+/// Maximum number of per-pass GPU timings kept from the JS GPU timer
+/// (matches GPU_TIMER_MAX_PASSES in wasm_bindings.js).
+pub const max_timed_passes = 16;
+
+/// GPU time per render/compute pass of the most recently measured frame,
+/// written by web_gpu_pass_timings().
+var gpu_pass_timings: struct {
+    durations_ms: [max_timed_passes]f64 = undefined,
+    count: usize = 0,
+} = .{};
+
+/// GPU time in milliseconds of each render and compute pass in the most
+/// recently measured frame, in submission order. Empty until the JS GPU timer
+/// has reported a frame (requires the device's timestamp-query feature).
+pub fn gpuPassTimings() []const f64 {
+    return gpu_pass_timings.durations_ms[0..gpu_pass_timings.count];
+}
+
+/// Exported function for JavaScript to report per-pass GPU durations.
+/// Called by the GPU timer a few frames after the measured frame, once the
+/// timestamp queries have been read back.
+export fn web_gpu_pass_timings(durations_ms: [*]const f64, count: u32) callconv(.c) void {
+    const n = @min(count, max_timed_passes);
+    @memcpy(gpu_pass_timings.durations_ms[0..n], durations_ms[0..n]);
+    gpu_pass_timings.count = n;
+}
+
+/// Exported function for JavaScript to allocate scratch memory in the WASM heap.
+/// Used by the JS bridge when it must hand variable-sized data back to WASM
+/// (e.g. wgpuBufferGetMappedRange copies the mapped range here).
+/// Returns null (0 in JS) if the allocation fails.
+export fn web_alloc(size: usize) callconv(.c) ?[*]u8 {
+    const mem = std.heap.page_allocator.alloc(u8, size) catch return null;
+    return mem.ptr;
+}
+
+/// Exported function for JavaScript to release memory obtained from web_alloc.
+/// size must be the same value that was passed to web_alloc.
+export fn web_free(ptr: [*]u8, size: usize) callconv(.c) void {
+    std.heap.page_allocator.free(ptr[0..size]);
+}
+
+/// zgpu.wgpu extern structs the JS bridge reads or writes (WGPU_STRUCTS in
+/// web/wgpu_structs.js). At startup the bridge checks its computed layout of each
+/// one against web_wgpu_struct_size() / web_wgpu_field_offset().
+const bridge_struct_names = [_][]const u8{
+    "ChainedStruct",
+    "Extent3D",
+    "Origin3D",
+    "Color",
+    "RequestAdapterOptions",
+    "AdapterProperties",
+    "Limits",
+    "RequiredLimits",
+    "SupportedLimits",
+    "QueueDescriptor",
+    "DeviceDescriptor",
+    "SwapChainDescriptor",
+    "ShaderModuleDescriptor",
+    "ShaderModuleWGSLDescriptor",
+    "CompilationMessage",
+    "CompilationInfo",
+    "BufferDescriptor",
+    "TextureDescriptor",
+    "TextureViewDescriptor",
+    "SamplerDescriptor",
+    "QuerySetDescriptor",
+    "ImageCopyTexture",
+    "TextureDataLayout",
+    "ImageCopyBuffer",
+    "BufferBindingLayout",
+    "SamplerBindingLayout",
+    "TextureBindingLayout",
+    "StorageTextureBindingLayout",
+    "BindGroupLayoutEntry",
+    "BindGroupLayoutDescriptor",
+    "BindGroupEntry",
+    "BindGroupDescriptor",
+    "PipelineLayoutDescriptor",
+    "VertexAttribute",
+    "VertexBufferLayout",
+    "VertexState",
+    "PrimitiveState",
+    "StencilFaceState",
+    "DepthStencilState",
+    "MultisampleState",
+    "BlendComponent",
+    "BlendState",
+    "ColorTargetState",
+    "FragmentState",
+    "RenderPipelineDescriptor",
+    "ProgrammableStageDescriptor",
+    "ComputePipelineDescriptor",
+    "RenderPassColorAttachment",
+    "RenderPassDepthStencilAttachment",
+    "RenderPassTimestampWrites",
+    "ComputePassTimestampWrites",
+    "RenderPassDescriptor",
+    "ComputePassDescriptor",
+    "RenderBundleEncoderDescriptor",
+};
+
+/// Returned by the layout exports for a struct or field zgpu doesn't have.
+const layout_unknown: u32 = 0xFFFF_FFFF;
+
+/// Exported function for JavaScript to read the size of a zgpu.wgpu struct
+/// in this build. Returns 0xFFFFFFFF for names not in bridge_struct_names or
+/// missing from zgpu.
+export fn web_wgpu_struct_size(name_ptr: [*]const u8, name_len: usize) callconv(.c) u32 {
+    const name = name_ptr[0..name_len];
+    inline for (bridge_struct_names) |struct_name| {
+        if (comptime @hasDecl(zgpu.wgpu, struct_name)) {
+            if (std.mem.eql(u8, name, struct_name)) {
+                return @intCast(@sizeOf(@field(zgpu.wgpu, struct_name)));
+            }
+        }
+    }
+    return layout_unknown;
+}
+
+/// Exported function for JavaScript to read the byte offset of a field of a
+/// zgpu.wgpu struct in this build. Returns 0xFFFFFFFF for unknown structs or
+/// fields.
+export fn web_wgpu_field_offset(
+    struct_ptr: [*]const u8,
+    struct_len: usize,
+    field_ptr: [*]const u8,
+    field_len: usize,
+) callconv(.c) u32 {
+    const struct_name = struct_ptr[0..struct_len];
+    const field_name = field_ptr[0..field_len];
+    inline for (bridge_struct_names) |name| {
+        if (comptime @hasDecl(zgpu.wgpu, name)) {
+            if (std.mem.eql(u8, struct_name, name)) {
+                const T = @field(zgpu.wgpu, name);
+                inline for (std.meta.fields(T)) |field| {
+                    if (std.mem.eql(u8, field_name, field.name)) {
+                        return @intCast(@offsetOf(T, field.name));
+                    }
+                }
+                return layout_unknown;
+            }
+        }
+    }
+    return layout_unknown;
+}
@@ -272,12 +272,53 @@ pub const vertex_buffer_layout: zgpu.wgpu.VertexBufferLayout = .{
 /// Resources needed for rendering a single frame.
 /// Returned by beginFrame(), consumed by endFrame().
 pub const FrameState = struct {
-    /// Texture view to render into (from swap chain).
+    /// Texture view to render into (from swap chain, or the multisampled
+    /// color texture when MSAA is enabled).
     texture_view: zgpu.wgpu.TextureView,
+    /// Single-sampled view the multisampled texture_view resolves into
+    /// (the swap chain view), or null without MSAA.
+    resolve_target: ?zgpu.wgpu.TextureView = null,
     /// Command encoder for recording GPU commands this frame.
     command_encoder: zgpu.wgpu.CommandEncoder,
 };
 
+/// MSAA sample count used by the web renderer. Canvas shapes are built from
+/// triangles, so without multisampling their edges alias visibly in the browser.
+/// Native builds render single-sampled (screenshots and offscreen targets
+/// share the pipeline and expect one sample).
+const web_sample_count: u32 = 4;
+
+/// Color format of the swap chain, the render pipeline's color target and the
+/// MSAA texture. They have to agree: the pipeline draws into the MSAA texture,
+/// which resolves into the swap chain. Screenshot readback assumes its BGRA
+/// byte order.
+const swap_chain_format: zgpu.wgpu.TextureFormat = .bgra8_unorm;
+
+/// Options for the browser adapter/device request (web builds only).
+/// Forwarded to navigator.gpu.requestAdapter() and adapter.requestDevice()
+/// by the JS bridge. Ignored on native builds.
+pub const WebGpuOptions = struct {
+    /// Adapter power preference hint.
+    power_preference: zgpu.wgpu.PowerPreference = .high_performance,
+    /// Request the browser's fallback (software) adapter.
+    force_fallback_adapter: bool = false,
+    /// Features the device must support (e.g. .timestamp_query, .float32_filterable).
+    /// The device request fails if the adapter lacks any of them.
+    required_features: []const zgpu.wgpu.FeatureName = &.{},
+    /// Limits the device must support. Fields left at their zgpu default
+    /// (the "undefined" sentinel) keep the browser's default limit.
+    required_limits: ?zgpu.wgpu.Limits = null,
+};
+
+/// WebGPU objects obtained asynchronously from the browser before the
+/// renderer can be created (web builds only). See web.beginGpuInit().
+pub const WebGpuContext = struct {
+    instance: zgpu.wgpu.Instance,
+    surface: zgpu.wgpu.Surface,
+    adapter: zgpu.wgpu.Adapter,
+    device: zgpu.wgpu.Device,
+};
+
 /// Renderer encapsulates all WebGPU rendering state and operations.
 /// This is the central abstraction for GPU-accelerated rendering.
 pub const Renderer = struct {
@@ -350,6 +391,17 @@ pub const Renderer = struct {
     screenshot_width: u32,
     /// Height of the screenshot resources (for resize detection).
     screenshot_height: u32,
+    /// Samples per pixel of the render pipeline (1 = no MSAA).
+    sample_count: u32 = 1,
+    /// Multisampled color texture rendered into when sample_count > 1 and
+    /// resolved into the render target each frame. Recreated on resize.
+    msaa_texture: ?zgpu.wgpu.Texture = null,
+    /// View of msaa_texture used as the render pass color attachment.
+    msaa_view: ?zgpu.wgpu.TextureView = null,
+    /// Width of the MSAA texture (for resize detection).
+    msaa_width: u32 = 0,
+    /// Height of the MSAA texture (for resize detection).
+    msaa_height: u32 = 0,
 
     /// Initialize the renderer with a GLFW window (native desktop only).
     /// Creates a WebGPU instance, surface, adapter (compatible with surface), device,
@@ -385,6 +437,7 @@ pub const Renderer = struct {
         queue: zgpu.wgpu.Queue,
         width: u32,
         height: u32,
+        sample_count: u32,
     ) RendererError!SharedResources {
         // Create shader module from embedded WGSL source
         const shader_module = createShaderModule(device) orelse {
@@ -414,7 +467,7 @@ pub const Renderer = struct {
         log.debug("pipeline layout created with bind group layout in slot 0", .{});
 
         // Create render pipeline for triangle rendering
-        const render_pipeline = createRenderPipeline(device, pipeline_layout, shader_module) orelse {
+        const render_pipeline = createRenderPipeline(device, pipeline_layout, shader_module, sample_count) orelse {
             log.err("failed to create render pipeline", .{});
             return RendererError.PipelineCreationFailed;
         };
@@ -524,7 +577,7 @@ pub const Renderer = struct {
                 .next_in_chain = null,
                 .label = "Main Swap Chain",
                 .usage = .{ .render_attachment = true },
-                .format = .bgra8_unorm,
+                .format = swap_chain_format,
                 .width = width,
                 .height = height,
                 .present_mode = .fifo, // VSync enabled
@@ -543,7 +596,7 @@ pub const Renderer = struct {
         log.info("WebGPU swap chain created: {}x{}", .{ width, height });
 
         // Initialize shared GPU resources (shader, pipeline, buffers, bind group).
-        const shared = initSharedResources(device, queue, width, height) catch |err| {
+        const shared = initSharedResources(device, queue, width, height, 1) catch |err| {
             // Release backend-specific resources on shared init failure
             swapchain.release();
             queue.release();
@@ -651,7 +704,7 @@ pub const Renderer = struct {
         log.debug("WebGPU queue obtained", .{});
 
         // Initialize shared GPU resources (shader, pipeline, buffers, bind group).
-        const shared = initSharedResources(device, queue, width, height) catch |err| {
+        const shared = initSharedResources(device, queue, width, height, 1) catch |err| {
             // Release backend-specific resources on shared init failure
             queue.release();
             device.release();
@@ -694,16 +747,16 @@ pub const Renderer = struct {
     /// Initialize the renderer for web/WASM builds using browser WebGPU.
     ///
     /// This function is the web counterpart to init() (desktop) and initHeadless().
-    /// It uses browser-provided WebGPU APIs instead of Dawn:
-    /// - Creates a surface from the HTML canvas element
-    /// - Requests adapter and device via browser's navigator.gpu API
+    /// It uses browser-provided WebGPU APIs instead of Dawn. The instance, canvas
+    /// surface, adapter and device are obtained beforehand by web.beginGpuInit(),
+    /// because the browser only hands them out asynchronously; this function
+    /// takes ownership of them and:
     /// - Creates a swap chain bound to the canvas for presentation
-    ///
-    /// The browser WebGPU context must be available (navigator.gpu must exist).
-    /// On browsers without WebGPU support, this will fail with appropriate errors.
+    /// - Creates the shared pipeline and buffer resources
     ///
     /// Parameters:
     /// - allocator: Memory allocator for internal buffers
+    /// - gpu: Objects obtained from web.takeGpuContext() once GPU init is ready
     /// - width: Canvas width in pixels
     /// - height: Canvas height in pixels
     ///
@@ -713,48 +766,20 @@ pub const Renderer = struct {
     /// Note: This function is only available on WASM builds. On native builds,
     /// use init() for windowed rendering or initHeadless() for offscreen rendering.
     pub const initWeb = if (!is_native) initWebImpl else struct {
-        fn initWebImpl(_: std.mem.Allocator, _: u32, _: u32) RendererError!Self {
+        fn initWebImpl(_: std.mem.Allocator, _: WebGpuContext, _: u32, _: u32) RendererError!Self {
             @compileError("initWeb is only available on WASM builds");
         }
     }.initWebImpl;
 
-    fn initWebImpl(allocator: std.mem.Allocator, width: u32, height: u32) RendererError!Self {
+    fn initWebImpl(allocator: std.mem.Allocator, gpu: WebGpuContext, width: u32, height: u32) RendererError!Self {
         const web = @import("platform/web.zig");
 
         log.info("initializing web renderer (browser WebGPU)", .{});
 
-        // On web, WebGPU is provided by the browser. We don't need Dawn.
-        // The browser's navigator.gpu API provides the WebGPU implementation.
-
-        // Create WebGPU instance - on web this is obtained from the browser
-        // zgpu provides a platform-agnostic way to create instances
-        const instance = zgpu.wgpu.createInstance(.{
-            .next_in_chain = null,
-        });
-        // Check if instance creation succeeded (null pointer indicates failure)
-        if (@intFromPtr(instance) == 0) {
-            log.err("failed to create WebGPU instance (browser may not support WebGPU)", .{});
-            return RendererError.InstanceCreationFailed;
-        }
-        log.debug("WebGPU instance created from browser", .{});
-
-        // Create surface from the HTML canvas element
-        // The default canvas selector "#canvas" matches Emscripten's default
-        const surface = web.createSurfaceFromCanvas(instance, "#canvas") orelse {
-            log.err("failed to create WebGPU surface from canvas", .{});
-            instance.release();
-            return RendererError.SurfaceCreationFailed;
-        };
-        log.debug("WebGPU surface created from canvas", .{});
-
-        // Request adapter with high-performance preference and compatible surface
-        // On web, this calls navigator.gpu.requestAdapter() via zgpu
-        const adapter = web.requestAdapterSync(instance, surface) orelse {
-            log.err("failed to obtain WebGPU adapter from browser", .{});
-            surface.release();
-            instance.release();
-            return RendererError.AdapterRequestFailed;
-        };
+        const instance = gpu.instance;
+        const surface = gpu.surface;
+        const adapter = gpu.adapter;
+        const device = gpu.device;
 
         // Log adapter properties for debugging
         var props: zgpu.wgpu.AdapterProperties = undefined;
@@ -762,16 +787,7 @@ pub const Renderer = struct {
         adapter.getProperties(&props);
         log.info("WebGPU adapter (web): {s} ({s})", .{ props.name, props.driver_description });
         log.info("  Backend: {}, Type: {}", .{ props.backend_type, props.adapter_type });
-
-        // Request device with default limits
-        const device = web.requestDeviceSync(adapter) orelse {
-            log.err("failed to obtain WebGPU device from browser", .{});
-            adapter.release();
-            surface.release();
-            instance.release();
-            return RendererError.DeviceRequestFailed;
-        };
-        log.info("WebGPU device obtained (web)", .{});
+        log.info("  Vendor: {s}, Architecture: {s}", .{ props.vendor_name, props.architecture });
 
         // Set up error callback to catch validation errors
         device.setUncapturedErrorCallback(&deviceErrorCallback, null);
@@ -781,7 +797,7 @@ pub const Renderer = struct {
         log.debug("WebGPU queue obtained", .{});
 
         // Create swap chain for the canvas
-        const swapchain = web.createSwapChain(device, surface, width, height) orelse {
+        const swapchain = web.createSwapChain(device, surface, swap_chain_format, width, height) orelse {
             log.err("failed to create swap chain for canvas", .{});
             queue.release();
             device.release();
@@ -793,7 +809,7 @@ pub const Renderer = struct {
         log.info("WebGPU swap chain created: {}x{}", .{ width, height });
 
         // Initialize shared GPU resources (shader, pipeline, buffers, bind group).
-        const shared = initSharedResources(device, queue, width, height) catch |err| {
+        const shared = initSharedResources(device, queue, width, height, web_sample_count) catch |err| {
             // Release backend-specific resources on shared init failure
             swapchain.release();
             queue.release();
@@ -831,7 +847,39 @@ pub const Renderer = struct {
             .screenshot_staging_buffer = null,
             .screenshot_width = 0,
             .screenshot_height = 0,
+            .sample_count = web_sample_count,
+        };
+    }
+
+    /// Rebuild the renderer on a replacement adapter and device after the
+    /// browser reported a device loss (web builds only).
+    ///
+    /// Releases every resource created from the lost device, then recreates
+    /// the swap chain, pipeline and buffers on the new device while keeping
+    /// the instance and canvas surface. Callers must recreate any render
+    /// target wrapping the old swap chain (createSwapChainRenderTarget()).
+    ///
+    /// On error the renderer is unusable and must not be deinitialized.
+    pub const restoreWebDevice = if (!is_native) restoreWebDeviceImpl else struct {
+        fn restoreWebDeviceImpl(_: *Self, _: zgpu.wgpu.Adapter, _: zgpu.wgpu.Device, _: u32, _: u32) RendererError!void {
+            @compileError("restoreWebDevice is only available on WASM builds");
+        }
+    }.restoreWebDeviceImpl;
+
+    fn restoreWebDeviceImpl(self: *Self, adapter: zgpu.wgpu.Adapter, device: zgpu.wgpu.Device, width: u32, height: u32) RendererError!void {
+        log.info("rebuilding web renderer on restored device", .{});
+
+        self.releaseDeviceResources();
+        self.command_buffer.deinit(self.allocator);
+
+        const gpu: WebGpuContext = .{
+            .instance = self.instance,
+            .surface = self.surface.?,
+            .adapter = adapter,
+            .device = device,
         };
+        self.* = try initWebImpl(self.allocator, gpu, width, height);
+        global_device_lost.store(false, .release);
     }
 
     /// Create an OffscreenRenderTarget for headless rendering.
@@ -923,6 +971,20 @@ pub const Renderer = struct {
             return RendererError.CommandEncoderCreationFailed;
         }
 
+        // With MSAA, draw into the multisampled texture and resolve into the target
+        if (self.sample_count > 1) {
+            const msaa_view = self.ensureMsaaTexture(dimensions.width, dimensions.height) catch |err| {
+                command_encoder.release();
+                return err;
+            };
+            log.debug("frame begun ({}x MSAA)", .{self.sample_count});
+            return FrameState{
+                .texture_view = msaa_view,
+                .resolve_target = texture_view,
+                .command_encoder = command_encoder,
+            };
+        }
+
         log.debug("frame begun", .{});
 
         return FrameState{
@@ -931,6 +993,75 @@ pub const Renderer = struct {
         };
     }
 
+    /// Return the multisampled color view for the given dimensions, creating or
+    /// recreating the MSAA texture when the size changed.
+    fn ensureMsaaTexture(self: *Self, width: u32, height: u32) RendererError!zgpu.wgpu.TextureView {
+        if (self.msaa_view) |view| {
+            if (self.msaa_width == width and self.msaa_height == height) return view;
+        }
+        self.releaseMsaaTexture();
+
+        const texture = self.device.createTexture(.{
+            .next_in_chain = null,
+            .label = "MSAA Color Texture",
+            .usage = .{ .render_attachment = true },
+            .dimension = .tdim_2d,
+            .size = .{
+                .width = width,
+                .height = height,
+                .depth_or_array_layers = 1,
+            },
+            .format = swap_chain_format,
+            .mip_level_count = 1,
+            .sample_count = self.sample_count,
+            .view_format_count = 0,
+            .view_formats = null,
+        });
+        if (@intFromPtr(texture) == 0) {
+            log.err("MSAA texture creation returned null for {}x{}", .{ width, height });
+            return RendererError.TextureCreationFailed;
+        }
+
+        const view = texture.createView(.{
+            .next_in_chain = null,
+            .label = "MSAA Color View",
+            .format = swap_chain_format,
+            .dimension = .tvdim_2d,
+            .base_mip_level = 0,
+            .mip_level_count = 1,
+            .base_array_layer = 0,
+            .array_layer_count = 1,
+            .aspect = .all,
+        });
+        if (@intFromPtr(view) == 0) {
+            log.err("MSAA texture view creation returned null", .{});
+            texture.release();
+            return RendererError.TextureCreationFailed;
+        }
+
+        self.msaa_texture = texture;
+        self.msaa_view = view;
+        self.msaa_width = width;
+        self.msaa_height = height;
+        log.info("MSAA color texture created: {}x{}, {} samples", .{ width, height, self.sample_count });
+        return view;
+    }
+
+    /// Release the MSAA texture and its view, if any.
+    fn releaseMsaaTexture(self: *Self) void {
+        if (self.msaa_view) |view| {
+            view.release();
+            self.msaa_view = null;
+        }
+        if (self.msaa_texture) |texture| {
+            texture.destroy();
+            texture.release();
+            self.msaa_texture = null;
+        }
+        self.msaa_width = 0;
+        self.msaa_height = 0;
+    }
+
     /// Set the uniform buffer to use logical (viewport) dimensions for the NDC transform.
     /// Call this after beginFrame() and before rendering to make the shader map logical
     /// coordinates to NDC, so drawing code can use a fixed coordinate space that scales
@@ -950,12 +1081,15 @@ pub const Renderer = struct {
     /// Configures the render pass descriptor with the swap chain texture view as
     /// the color attachment, load operation set to Clear, and store operation set
     /// to Store. This clears the screen to the specified color and prepares for drawing.
+    /// With MSAA the multisampled view is resolved into the swap chain view at the
+    /// end of the pass and its own contents are discarded.
     /// Returns a RenderPassEncoder for recording draw commands.
     pub fn beginRenderPass(frame_state: FrameState, clear_color: zgpu.wgpu.Color) zgpu.wgpu.RenderPassEncoder {
         const color_attachment: zgpu.wgpu.RenderPassColorAttachment = .{
             .view = frame_state.texture_view,
+            .resolve_target = frame_state.resolve_target,
             .load_op = .clear,
-            .store_op = .store,
+            .store_op = if (frame_state.resolve_target != null) .discard else .store,
             .clear_value = clear_color,
         };
 
@@ -1163,7 +1297,7 @@ pub const Renderer = struct {
                 .next_in_chain = null,
                 .label = "Main Swap Chain",
                 .usage = .{ .render_attachment = true },
-                .format = .bgra8_unorm,
+                .format = swap_chain_format,
                 .width = width,
                 .height = height,
                 .present_mode = .fifo, // VSync enabled
@@ -1219,6 +1353,9 @@ pub const Renderer = struct {
             return null;
         }
 
+        // WGSL diagnostics arrive asynchronously (on web, after a promise resolves)
+        shader_module.getCompilationInfo(&shaderCompilationInfoCallback, null);
+
         log.info("shader module created successfully", .{});
         return shader_module;
     }
@@ -1245,12 +1382,13 @@ pub const Renderer = struct {
         device: zgpu.wgpu.Device,
         pipeline_layout: zgpu.wgpu.PipelineLayout,
         shader_module: zgpu.wgpu.ShaderModule,
+        sample_count: u32,
     ) ?zgpu.wgpu.RenderPipeline {
-        // Color target state for BGRA8Unorm output (matches swap chain format)
+        // Color target state in the swap chain format
         // Alpha blending enabled for transparency support.
         const color_target: zgpu.wgpu.ColorTargetState = .{
             .next_in_chain = null,
-            .format = .bgra8_unorm,
+            .format = swap_chain_format,
             .blend = &alpha_blend_state,
             .write_mask = .{ .red = true, .green = true, .blue = true, .alpha = true },
         };
@@ -1290,7 +1428,7 @@ pub const Renderer = struct {
             .depth_stencil = null, // No depth testing for 2D
             .multisample = .{
                 .next_in_chain = null,
-                .count = 1, // No multisampling
+                .count = sample_count, // 1 = no multisampling
                 .mask = 0xFFFFFFFF,
                 .alpha_to_coverage_enabled = false,
             },
@@ -1599,6 +1737,29 @@ pub const Renderer = struct {
         log.err("WebGPU error ({}): {s}", .{ err_type, msg });
     }
 
+    /// Callback for shader compilation diagnostics.
+    /// Logs each WGSL message with its line and column so shader errors are
+    /// visible before they surface as pipeline validation failures.
+    fn shaderCompilationInfoCallback(
+        status: zgpu.wgpu.CompilationInfoRequestStatus,
+        info: *const zgpu.wgpu.CompilationInfo,
+        _: ?*anyopaque,
+    ) callconv(.c) void {
+        if (status != .success) {
+            log.warn("shader compilation info unavailable: {}", .{status});
+            return;
+        }
+        const messages = info.messages orelse return;
+        for (messages[0..info.message_count]) |message| {
+            const text = message.message orelse "";
+            switch (message.message_type) {
+                .err => log.err("WGSL error {}:{}: {s}", .{ message.line_num, message.line_pos, text }),
+                .warning => log.warn("WGSL warning {}:{}: {s}", .{ message.line_num, message.line_pos, text }),
+                else => log.info("WGSL {}:{}: {s}", .{ message.line_num, message.line_pos, text }),
+            }
+        }
+    }
+
     /// Callback for WebGPU device loss events.
     /// Device loss can happen due to driver crashes, GPU hangs, or adapter removal.
     /// Sets the global device_lost flag so beginFrame() can report it to the caller.
@@ -1801,7 +1962,7 @@ pub const Renderer = struct {
                 .height = height,
                 .depth_or_array_layers = 1,
             },
-            .format = .bgra8_unorm,
+            .format = swap_chain_format,
             .mip_level_count = 1,
             .sample_count = 1,
             .view_format_count = 0,
@@ -1911,7 +2072,7 @@ pub const Renderer = struct {
         const screenshot_view = screenshot_texture.createView(.{
             .next_in_chain = null,
             .label = "Screenshot Texture View",
-            .format = .bgra8_unorm,
+            .format = swap_chain_format,
             .dimension = .tvdim_2d,
             .base_mip_level = 0,
             .mip_level_count = 1,
@@ -2359,17 +2520,42 @@ pub const Renderer = struct {
         // Free command buffer first (uses allocator, not GPU resources)
         self.command_buffer.deinit(self.allocator);
 
+        // Release swap chain, pipelines, buffers, device and adapter
+        self.releaseDeviceResources();
+
+        // Release surface after the swap chain that depends on it
+        if (self.surface) |surface| {
+            surface.release();
+            self.surface = null;
+        }
+
+        // Release the instance last
+        self.instance.release();
+
+        // Destroy Dawn native instance (C++ cleanup) - native builds only
+        // On web, there's no Dawn native instance to destroy.
+        if (is_native) {
+            if (self.native_instance) |ni| {
+                dniDestroy(ni);
+                self.native_instance = null;
+            }
+        }
+
+        log.info("renderer resources released", .{});
+    }
+
+    /// Release everything created from the device, then the device and adapter.
+    /// The instance and surface are left alone so a replacement device can
+    /// present to the same surface (see restoreWebDevice()).
+    fn releaseDeviceResources(self: *Self) void {
         // Release swap chain first as it depends on the surface
         if (self.swapchain) |swapchain| {
             swapchain.release();
             self.swapchain = null;
         }
 
-        // Release surface after swap chain
-        if (self.surface) |surface| {
-            surface.release();
-            self.surface = null;
-        }
+        // Release the MSAA color texture (web only)
+        self.releaseMsaaTexture();
 
         // Release shader module before device (it depends on the device)
         self.shader_module.release();
@@ -2407,20 +2593,6 @@ pub const Renderer = struct {
         self.adapter.release();
 
         // Queue is owned by the device, no separate release needed
-
-        // Release the instance last
-        self.instance.release();
-
-        // Destroy Dawn native instance (C++ cleanup) - native builds only
-        // On web, there's no Dawn native instance to destroy.
-        if (is_native) {
-            if (self.native_instance) |ni| {
-                dniDestroy(ni);
-                self.native_instance = null;
-            }
-        }
-
-        log.info("renderer resources released", .{});
     }
 };
 
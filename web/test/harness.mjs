@@ -0,0 +1,448 @@
+// Node test harness for the web bridge.
+// Loads the WASM build against web/wasm_bindings.js with the fake WebGPU
+// implementation from mock_gpu.js and a minimal DOM, runs a number of real
+// Zig frames, and checks the descriptors the bridge produced and that a
+// capture of the run replays (trace_replay.js). Catches struct offset drift
+// between zgpu and the bindings on machines without a GPU.
+//
+// Usage:
+//   node web/test/harness.mjs [path/to/zig_webgpu_platform.wasm] [--frames=N]
+// or `zig build test-web -Dtarget=wasm32-emscripten`.
+// Exits with status 1 if any check fails.
+
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { createMockGPU, installWebGPUConstants, GPUMapMode, GPUShaderStage } from "./mock_gpu.js";
+import { replayTrace } from "../trace_replay.js";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(here, "../..");
+
+// Frames to run after the renderer is up; startup gets a separate budget
+// because adapter/device requests resolve over several ticks.
+const DEFAULT_FRAMES = 3;
+const MAX_STARTUP_TICKS = 50;
+
+const CANVAS_WIDTH = 800;
+const CANVAS_HEIGHT = 600;
+
+// WGPU_WHOLE_MAP_SIZE (usize max) as the i32 a wasm32 call passes to JS
+const WHOLE_MAP_SIZE = -1;
+// WGPU_WHOLE_SIZE (u64 max) as the BigInt a wasm32 call passes to JS
+const WHOLE_SIZE = -1n;
+
+// Vertex layout of renderer.zig: position vec2<f32> + color vec4<f32>
+const VERTEX_STRIDE = 24;
+// Uniforms of renderer.zig: logical screen size, 2 x f32
+const UNIFORMS_SIZE = 8;
+// renderer.zig draws to the canvas through a 4x multisampled texture on the web
+const WEB_SAMPLE_COUNT = 4;
+
+function parseArgs(argv) {
+    const args = { wasmPath: path.join(repoRoot, "zig-out/bin/zig_webgpu_platform.wasm"), frames: DEFAULT_FRAMES };
+    for (const arg of argv) {
+        if (arg.startsWith("--frames=")) {
+            args.frames = parseInt(arg.slice("--frames=".length), 10);
+        } else {
+            args.wasmPath = path.resolve(arg);
+        }
+    }
+    return args;
+}
+
+// =============================================================================
+// Browser Environment
+// =============================================================================
+
+function createEventTarget() {
+    const listeners = new Map();
+    return {
+        addEventListener(type, fn) {
+            if (!listeners.has(type)) listeners.set(type, []);
+            listeners.get(type).push(fn);
+        },
+        removeEventListener(type, fn) {
+            const list = listeners.get(type) || [];
+            listeners.set(type, list.filter((f) => f !== fn));
+        },
+        dispatch(type, event) {
+            for (const fn of listeners.get(type) || []) fn({ preventDefault() {}, ...event });
+        },
+    };
+}
+
+// Install globals standing in for the browser: window, document, navigator,
+// requestAnimationFrame (driven manually through the returned frame queue)
+// and fetch (serving the WASM file from disk).
+function installBrowserGlobals(mock, wasmPath) {
+    const canvas = {
+        ...createEventTarget(),
+        id: "canvas",
+        width: CANVAS_WIDTH,
+        height: CANVAS_HEIGHT,
+        clientWidth: CANVAS_WIDTH,
+        clientHeight: CANVAS_HEIGHT,
+        style: {},
+        getBoundingClientRect: () => ({ left: 0, top: 0, width: CANVAS_WIDTH, height: CANVAS_HEIGHT }),
+    };
+    const context = mock.createCanvasContext(canvas);
+    canvas.getContext = (type) => (type === "webgpu" ? context : null);
+
+    const frameQueue = [];
+    const define = (name, value) => {
+        Object.defineProperty(globalThis, name, { value: value, configurable: true, writable: true });
+    };
+
+    installWebGPUConstants();
+    define("window", {
+        ...createEventTarget(),
+        // Capture is enabled so the run can be traced and replayed
+        location: { search: "?capture" },
+        devicePixelRatio: 1,
+    });
+    define("document", {
+        ...createEventTarget(),
+        getElementById: (id) => (id === "canvas" ? canvas : null),
+        createElement: () => { throw new Error("document.createElement is not available in the harness"); },
+    });
+    define("navigator", { gpu: mock.gpu, userAgent: "node-harness" });
+    define("requestAnimationFrame", (fn) => {
+        frameQueue.push(fn);
+        return frameQueue.length;
+    });
+    define("cancelAnimationFrame", () => { frameQueue.length = 0; });
+    define("fetch", async (url) => {
+        const bytes = await readFile(url === undefined ? wasmPath : url);
+        return {
+            ok: true,
+            arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength),
+        };
+    });
+
+    return { canvas, context, frameQueue };
+}
+
+// Let promise continuations and timers run (adapter/device callbacks)
+function settle() {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+// Run one animation frame. Returns false if the main loop isn't scheduled.
+function runFrame(env, frameTime) {
+    const callbacks = env.frameQueue.splice(0);
+    for (const fn of callbacks) fn(frameTime);
+    return callbacks.length > 0;
+}
+
+// A JS function re-exported by a minimal WASM module, so it can be stored in
+// the WASM function table and passed to imports taking a callback index
+function wasmFunction(fn) {
+    const bytes = new Uint8Array([
+        0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00, // magic, version 1
+        0x01, 0x06, 0x01, 0x60, 0x02, 0x7f, 0x7f, 0x00, // type 0: (i32, i32) -> ()
+        0x02, 0x0a, 0x01, 0x03, 0x65, 0x6e, 0x76, 0x02, 0x66, 0x6e, 0x00, 0x00, // import env.fn: type 0
+        0x07, 0x06, 0x01, 0x02, 0x66, 0x6e, 0x00, 0x00, // export "fn": func 0
+    ]);
+    return new WebAssembly.Instance(new WebAssembly.Module(bytes), { env: { fn } }).exports.fn;
+}
+
+// Trace entries of one import, e.g. every wgpuDeviceCreateBuffer
+function traceCalls(trace, call) {
+    return trace.entries.filter((e) => e.call === call);
+}
+
+// Handle and size of a buffer the app created and did not release
+function liveBuffer(trace) {
+    const released = new Set(traceCalls(trace, "wgpuBufferRelease").map((e) => e.args[0]));
+    const created = traceCalls(trace, "wgpuDeviceCreateBuffer").find((e) => e.result && !released.has(e.result));
+    return created ? { handle: created.result, size: created.desc.size } : null;
+}
+
+// Zeroed scratch memory in the WASM heap for descriptors passed to imports
+function allocZeroed(exports, size) {
+    const ptr = exports.web_alloc(size);
+    assert.notEqual(ptr, 0, "web_alloc failed");
+    new Uint8Array(exports.memory.buffer, ptr, size).fill(0);
+    return ptr;
+}
+
+// Descriptor in comparable form: GPU objects become their class name,
+// typed arrays plain arrays, and undefined fields are dropped
+function comparable(value) {
+    if (value === null || typeof value !== "object") return value;
+    if (ArrayBuffer.isView(value)) return Array.from(value);
+    if (Array.isArray(value)) return value.map(comparable);
+    if (Object.getPrototypeOf(value) !== Object.prototype) return value.constructor.name;
+    const out = {};
+    for (const [key, field] of Object.entries(value)) {
+        if (field !== undefined) out[key] = comparable(field);
+    }
+    return out;
+}
+
+// =============================================================================
+// Checks
+// =============================================================================
+
+// Each check gets { mock, env, frames, wasm, trace } where frames are the log
+// frame numbers that submitted work, wasm is { imports, exports } and trace is
+// the capture of the whole run. Checks calling imports directly are logged
+// after the last frame. Checks may be async.
+const checks = [
+    ["adapter and device are requested", ({ mock }) => {
+        assert.equal(mock.log.filter("requestAdapter").length, 1);
+        assert.equal(mock.devices.length, 1);
+    }],
+
+    ["canvas is configured with the requested format", ({ env }) => {
+        const config = env.context.configuration;
+        assert.ok(config, "context.configure() was not called");
+        assert.equal(config.format, "bgra8unorm");
+        assert.equal(config.device, mockDevice(env));
+    }],
+
+    ["bind group layout has the uniform buffer entry", ({ mock }) => {
+        const layouts = mock.log.descriptors("createBindGroupLayout");
+        assert.equal(layouts.length, 1);
+        assert.deepEqual(layouts[0].entries, [{
+            binding: 0,
+            visibility: GPUShaderStage.VERTEX,
+            buffer: { type: "uniform", hasDynamicOffset: false, minBindingSize: UNIFORMS_SIZE },
+        }]);
+    }],
+
+    ["render pipeline matches the renderer's vertex layout and targets", ({ mock }) => {
+        const pipelines = mock.log.descriptors("createRenderPipeline");
+        assert.equal(pipelines.length, 1);
+        const desc = pipelines[0];
+        assert.equal(desc.vertex.entryPoint, "vs_main");
+        assert.equal(desc.vertex.buffers.length, 1);
+        assert.equal(desc.vertex.buffers[0].arrayStride, VERTEX_STRIDE);
+        assert.equal(desc.vertex.buffers[0].stepMode, "vertex");
+        assert.deepEqual(desc.vertex.buffers[0].attributes, [
+            { format: "float32x2", offset: 0, shaderLocation: 0 },
+            { format: "float32x4", offset: 8, shaderLocation: 1 },
+        ]);
+        assert.equal(desc.primitive.topology, "triangle-list");
+        assert.equal(desc.primitive.cullMode, "none");
+        assert.equal(desc.multisample.count, WEB_SAMPLE_COUNT);
+        assert.equal(desc.fragment.entryPoint, "fs_main");
+        assert.equal(desc.fragment.targets.length, 1);
+        assert.equal(desc.fragment.targets[0].format, "bgra8unorm");
+        assert.ok(desc.fragment.targets[0].blend, "alpha blending is missing");
+        assert.equal(desc.depthStencil, undefined);
+    }],
+
+    ["shader module is created from WGSL source", ({ mock }) => {
+        const modules = mock.log.descriptors("createShaderModule");
+        assert.ok(modules.length >= 1);
+        assert.match(modules[0].code, /fn vs_main/);
+        assert.match(modules[0].code, /fn fs_main/);
+    }],
+
+    ["uniform buffer receives the logical screen size", ({ mock }) => {
+        const writes = mock.log.filter("writeBuffer").filter((c) => c.args[2].byteLength === UNIFORMS_SIZE);
+        assert.ok(writes.length >= 1, "no uniform upload");
+        const size = new Float32Array(writes[0].args[2].buffer, writes[0].args[2].byteOffset, 2);
+        assert.ok(size[0] > 0 && size[1] > 0, "uniform size is " + Array.from(size));
+    }],
+
+    ["each frame renders one multisampled pass resolved into the canvas", ({ mock, frames }) => {
+        for (const frame of frames) {
+            const passes = mock.log.descriptors("beginRenderPass", frame);
+            assert.equal(passes.length, 1, "frame " + frame);
+            const attachments = passes[0].colorAttachments;
+            assert.equal(attachments.length, 1);
+            const attachment = attachments[0];
+            assert.equal(attachment.view.texture.sampleCount, WEB_SAMPLE_COUNT);
+            assert.ok(attachment.resolveTarget, "frame " + frame + ": no resolve target");
+            assert.equal(attachment.resolveTarget.texture.label, "canvas texture");
+            assert.equal(attachment.loadOp, "clear");
+            assert.equal(attachment.storeOp, "discard");
+            assert.deepEqual(Object.keys(attachment.clearValue).sort(), ["a", "b", "g", "r"]);
+        }
+    }],
+
+    ["each frame draws whole triangles and submits once", ({ mock, frames }) => {
+        for (const frame of frames) {
+            const draws = mock.log.filter("draw", frame);
+            assert.ok(draws.length >= 1, "frame " + frame + ": no draw call");
+            for (const draw of draws) {
+                assert.equal(draw.args[0] % 3, 0, "frame " + frame + ": vertex count " + draw.args[0]);
+            }
+            assert.equal(mock.log.filter("submit", frame).length, 1, "frame " + frame);
+            assert.equal(mock.log.filter("end", frame).length, 1, "frame " + frame);
+        }
+    }],
+
+    ["vertex buffer is bound with the vertex stride", ({ mock, frames }) => {
+        const frame = frames[0];
+        const bindings = mock.log.filter("setVertexBuffer", frame);
+        assert.ok(bindings.length >= 1);
+        const [slot, buffer] = bindings[0].args;
+        assert.equal(slot, 0);
+        assert.equal(buffer.size % VERTEX_STRIDE, 0);
+    }],
+
+    ["replaying the capture reproduces the pipelines and passes", async ({ mock, trace }) => {
+        assert.ok(trace.entries.length > 0, "capture is empty");
+        const replayMock = createMockGPU();
+        const adapter = await replayMock.gpu.requestAdapter();
+        const device = await adapter.requestDevice();
+        const result = await replayTrace(trace, device);
+        assert.deepEqual(result.failed, []);
+
+        for (const method of ["createRenderPipeline", "beginRenderPass"]) {
+            const original = mock.log.calls
+                .filter((c) => c.method === method && c.frame < mock.log.frame)
+                .map((c) => comparable(c.args[0]));
+            assert.ok(original.length > 0, "no " + method + " in the run");
+            assert.deepEqual(replayMock.log.descriptors(method).map(comparable), original, method);
+        }
+    }],
+
+    ["whole-buffer map with the default size covers the buffer", async ({ mock, wasm, trace }) => {
+        // The mock doesn't check usage flags, so any live buffer will do
+        const buffer = liveBuffer(trace);
+        assert.ok(buffer, "no live buffer in the capture");
+
+        const table = wasm.exports.__indirect_function_table;
+        const mapped = new Promise((resolve) => {
+            const index = table.grow(1);
+            table.set(index, wasmFunction((status) => resolve(status)));
+            wasm.imports.wgpuBufferMapAsync(buffer.handle, GPUMapMode.READ, 0, WHOLE_MAP_SIZE, index, 0);
+        });
+        assert.equal(await mapped, 0, "map callback status");
+
+        const ptr = wasm.imports.wgpuBufferGetMappedRange(buffer.handle, 0, WHOLE_MAP_SIZE);
+        assert.notEqual(ptr, 0, "getMappedRange returned null");
+        const ranges = mock.log.filter("getMappedRange");
+        assert.deepEqual(ranges[ranges.length - 1].args, [0, buffer.size]);
+        wasm.imports.wgpuBufferUnmap(buffer.handle);
+    }],
+
+    ["whole-size vertex buffers bind to the end of the buffer", ({ mock, wasm, trace }) => {
+        const buffer = liveBuffer(trace);
+        assert.ok(buffer, "no live buffer in the capture");
+        const device = traceCalls(trace, "wgpuDeviceCreateBuffer")[0].args[0];
+        const passes = traceCalls(trace, "wgpuCommandEncoderBeginRenderPass");
+        const view = passes[passes.length - 1].desc.colorAttachments[0].view.$handle;
+        const { imports, exports } = wasm;
+
+        // RenderPassDescriptor (32 bytes) followed by one RenderPassColorAttachment
+        // (56 bytes): color_attachment_count = 1, color_attachments, view
+        const descSize = 32 + 56;
+        const desc = allocZeroed(exports, descSize);
+        const memory = new DataView(exports.memory.buffer);
+        memory.setUint32(desc + 8, 1, true);
+        memory.setUint32(desc + 12, desc + 32, true);
+        memory.setUint32(desc + 32 + 4, view, true);
+
+        const encoder = imports.wgpuDeviceCreateCommandEncoder(device, 0);
+        const pass = imports.wgpuCommandEncoderBeginRenderPass(encoder, desc);
+        exports.web_free(desc, descSize);
+        assert.notEqual(pass, 0, "render pass was not created");
+        imports.wgpuRenderPassEncoderSetVertexBuffer(pass, 0, buffer.handle, 0n, WHOLE_SIZE);
+        imports.wgpuRenderPassEncoderEnd(pass);
+
+        // RenderBundleEncoderDescriptor with no color formats (32 bytes)
+        const bundleDesc = allocZeroed(exports, 32);
+        const bundle = imports.wgpuDeviceCreateRenderBundleEncoder(device, bundleDesc);
+        exports.web_free(bundleDesc, 32);
+        assert.notEqual(bundle, 0, "render bundle encoder was not created");
+        imports.wgpuRenderBundleEncoderSetVertexBuffer(bundle, 0, buffer.handle, 0n, WHOLE_SIZE);
+        imports.wgpuRenderBundleEncoderRelease(bundle);
+
+        const bindings = mock.log.filter("setVertexBuffer").slice(-2);
+        assert.equal(bindings.length, 2);
+        for (const binding of bindings) {
+            assert.equal(binding.args[1].size, buffer.size);
+            assert.equal(binding.args[3], undefined, "size should be omitted, got " + binding.args[3]);
+        }
+    }],
+];
+
+function mockDevice(env) {
+    return env.mock.devices[0];
+}
+
+// =============================================================================
+// Main
+// =============================================================================
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const mock = createMockGPU();
+    const env = { ...installBrowserGlobals(mock, args.wasmPath), mock: mock };
+
+    // The bridge reports problems on console.error without throwing
+    const consoleErrors = [];
+    const consoleError = console.error;
+    console.error = (...messages) => {
+        consoleErrors.push(messages.map(String).join(" "));
+        consoleError(...messages);
+    };
+
+    const bindings = await import("../wasm_bindings.js");
+    const { exports, imports } = await bindings.init(args.wasmPath);
+    assert.ok(exports.wasm_main, "wasm_main export not found");
+
+    // Record every wgpu* call from the start of the app; the capture ends
+    // after as many main loop frames as the run below may take
+    let trace = null;
+    bindings.startCapture(MAX_STARTUP_TICKS + args.frames).then((result) => { trace = result; });
+    exports.wasm_main();
+
+    // Run frames until the renderer has submitted work for the requested count
+    const frames = [];
+    let tick = 0;
+    while (frames.length < args.frames) {
+        if (tick >= MAX_STARTUP_TICKS + args.frames) {
+            throw new Error("main loop produced " + frames.length + " frame(s) in " + tick + " ticks");
+        }
+        await settle();
+        mock.log.frame = ++tick;
+        if (!runFrame(env, tick * 16.67)) continue;
+        if (mock.log.filter("submit", tick).length > 0) frames.push(tick);
+    }
+
+    // Keep the main loop going until the capture completes
+    while (trace === null) {
+        if (tick >= 2 * (MAX_STARTUP_TICKS + args.frames)) {
+            throw new Error("capture did not complete in " + tick + " ticks");
+        }
+        await settle();
+        mock.log.frame = ++tick;
+        runFrame(env, tick * 16.67);
+    }
+    await settle();
+    mock.log.frame = tick + 1;
+
+    let failed = 0;
+    for (const [name, check] of checks) {
+        try {
+            await check({ mock, env, frames, wasm: { imports, exports }, trace });
+            console.log("ok - " + name);
+        } catch (e) {
+            failed++;
+            console.log("not ok - " + name + "\n  " + e.message.split("\n").join("\n  "));
+        }
+    }
+    if (consoleErrors.length > 0) {
+        failed++;
+        console.log("not ok - bridge reported errors\n  " + consoleErrors.join("\n  "));
+    } else {
+        console.log("ok - bridge reported no errors");
+    }
+
+    console.log((checks.length + 1 - failed) + "/" + (checks.length + 1) + " checks passed over " + frames.length + " frame(s)");
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+    console.log("not ok - harness failed: " + (e.stack || e));
+    process.exit(1);
+});
@@ -0,0 +1,566 @@
+// Fake WebGPU implementation for testing wasm_bindings.js without a GPU.
+// Provides navigator.gpu, adapters, devices and every object the bridge
+// creates. Nothing is rendered: each method call is appended to a shared call
+// log as { frame, object, method, args } so tests can assert on exactly what
+// the bridge passed to the browser API. Typed arrays in arguments are copied,
+// since the bridge hands out views into WASM memory that change afterwards.
+//
+// Usage:
+//   import { createMockGPU, installWebGPUConstants } from "./mock_gpu.js";
+//   installWebGPUConstants();
+//   const mock = createMockGPU();
+//   globalThis.navigator = { gpu: mock.gpu };
+//   ...
+//   mock.log.filter("createRenderPipeline")
+
+// =============================================================================
+// WebGPU Constants
+// =============================================================================
+
+export const GPUBufferUsage = {
+    MAP_READ: 0x0001,
+    MAP_WRITE: 0x0002,
+    COPY_SRC: 0x0004,
+    COPY_DST: 0x0008,
+    INDEX: 0x0010,
+    VERTEX: 0x0020,
+    UNIFORM: 0x0040,
+    STORAGE: 0x0080,
+    INDIRECT: 0x0100,
+    QUERY_RESOLVE: 0x0200,
+};
+
+export const GPUTextureUsage = {
+    COPY_SRC: 0x01,
+    COPY_DST: 0x02,
+    TEXTURE_BINDING: 0x04,
+    STORAGE_BINDING: 0x08,
+    RENDER_ATTACHMENT: 0x10,
+};
+
+export const GPUMapMode = {
+    READ: 0x0001,
+    WRITE: 0x0002,
+};
+
+export const GPUShaderStage = {
+    VERTEX: 0x1,
+    FRAGMENT: 0x2,
+    COMPUTE: 0x4,
+};
+
+export const GPUColorWrite = {
+    RED: 0x1,
+    GREEN: 0x2,
+    BLUE: 0x4,
+    ALPHA: 0x8,
+    ALL: 0xF,
+};
+
+// Define the GPU* constant namespaces the bridge uses as globals
+export function installWebGPUConstants(target = globalThis) {
+    Object.assign(target, { GPUBufferUsage, GPUTextureUsage, GPUMapMode, GPUShaderStage, GPUColorWrite });
+}
+
+// Default GPUSupportedLimits (the WebGPU spec's guaranteed minimums)
+export const DEFAULT_LIMITS = {
+    maxTextureDimension1D: 8192,
+    maxTextureDimension2D: 8192,
+    maxTextureDimension3D: 2048,
+    maxTextureArrayLayers: 256,
+    maxBindGroups: 4,
+    maxBindGroupsPlusVertexBuffers: 24,
+    maxBindingsPerBindGroup: 1000,
+    maxDynamicUniformBuffersPerPipelineLayout: 8,
+    maxDynamicStorageBuffersPerPipelineLayout: 4,
+    maxSampledTexturesPerShaderStage: 16,
+    maxSamplersPerShaderStage: 16,
+    maxStorageBuffersPerShaderStage: 8,
+    maxStorageTexturesPerShaderStage: 4,
+    maxUniformBuffersPerShaderStage: 12,
+    maxUniformBufferBindingSize: 65536,
+    maxStorageBufferBindingSize: 134217728,
+    minUniformBufferOffsetAlignment: 256,
+    minStorageBufferOffsetAlignment: 256,
+    maxVertexBuffers: 8,
+    maxBufferSize: 268435456,
+    maxVertexAttributes: 16,
+    maxVertexBufferArrayStride: 2048,
+    maxInterStageShaderVariables: 16,
+    maxColorAttachments: 8,
+    maxColorAttachmentBytesPerSample: 32,
+    maxComputeWorkgroupStorageSize: 16384,
+    maxComputeInvocationsPerWorkgroup: 256,
+    maxComputeWorkgroupSizeX: 256,
+    maxComputeWorkgroupSizeY: 256,
+    maxComputeWorkgroupSizeZ: 64,
+    maxComputeWorkgroupsPerDimension: 65535,
+};
+
+// =============================================================================
+// Call Log
+// =============================================================================
+
+function copyArg(value) {
+    if (ArrayBuffer.isView(value)) return value.slice();
+    return value;
+}
+
+export class CallLog {
+    constructor() {
+        this.calls = [];
+        this.frame = 0; // Stamped on each call; advanced by the test driver
+    }
+
+    record(object, method, args) {
+        this.calls.push({ frame: this.frame, object: object, method: method, args: args.map(copyArg) });
+    }
+
+    // Calls of one method, optionally limited to a frame
+    filter(method, frame) {
+        return this.calls.filter((c) => c.method === method && (frame === undefined || c.frame === frame));
+    }
+
+    // First argument of each call of a method (usually the descriptor)
+    descriptors(method, frame) {
+        return this.filter(method, frame).map((c) => c.args[0]);
+    }
+
+    clear() {
+        this.calls = [];
+    }
+}
+
+// =============================================================================
+// Mock Objects
+// =============================================================================
+
+class MockObject {
+    constructor(log, desc) {
+        this._log = log;
+        this.label = (desc && desc.label) || "";
+    }
+
+    _record(method, args) {
+        this._log.record(this, method, Array.from(args));
+    }
+}
+
+// Add methods that only record their call
+function recordingMethods(cls, names) {
+    for (const name of names) {
+        cls.prototype[name] = function (...args) {
+            this._record(name, args);
+        };
+    }
+}
+
+export class MockGPUBuffer extends MockObject {
+    constructor(log, desc) {
+        super(log, desc);
+        this.size = desc.size;
+        this.usage = desc.usage;
+        this.mapState = desc.mappedAtCreation ? "mapped" : "unmapped";
+        this.data = new Uint8Array(desc.size);
+        this._mappedRanges = [];
+    }
+
+    // Reject ranges like the browser: negative values fail the WebIDL
+    // [EnforceRange] conversion, ranges past the end fail validation
+    _checkRange(method, offset, size) {
+        if (!Number.isInteger(offset) || !Number.isInteger(size) || offset < 0 || size < 0) {
+            throw new TypeError(method + ": invalid range offset=" + offset + " size=" + size);
+        }
+        if (offset + size > this.size) {
+            throw new RangeError(method + ": range " + offset + "+" + size + " exceeds buffer size " + this.size);
+        }
+    }
+
+    mapAsync(mode, offset = 0, size = this.size - offset) {
+        this._record("mapAsync", arguments);
+        if (this.mapState !== "unmapped") return Promise.reject(new Error("buffer is already mapped"));
+        try {
+            this._checkRange("mapAsync", offset, size);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+        this.mapState = "pending";
+        return Promise.resolve().then(() => { this.mapState = "mapped"; });
+    }
+
+    getMappedRange(offset = 0, size = this.size - offset) {
+        this._record("getMappedRange", arguments);
+        if (this.mapState !== "mapped") throw new Error("buffer is not mapped");
+        this._checkRange("getMappedRange", offset, size);
+        const range = this.data.slice(offset, offset + size).buffer;
+        this._mappedRanges.push({ offset: offset, range: range });
+        return range;
+    }
+
+    unmap() {
+        this._record("unmap", arguments);
+        for (const { offset, range } of this._mappedRanges) {
+            this.data.set(new Uint8Array(range), offset);
+        }
+        this._mappedRanges = [];
+        this.mapState = "unmapped";
+    }
+}
+recordingMethods(MockGPUBuffer, ["destroy"]);
+
+export class MockGPUTexture extends MockObject {
+    constructor(log, desc) {
+        super(log, desc);
+        const size = Array.isArray(desc.size)
+            ? { width: desc.size[0], height: desc.size[1] || 1, depthOrArrayLayers: desc.size[2] || 1 }
+            : desc.size;
+        this.width = size.width;
+        this.height = size.height || 1;
+        this.depthOrArrayLayers = size.depthOrArrayLayers || 1;
+        this.format = desc.format;
+        this.usage = desc.usage;
+        this.dimension = desc.dimension || "2d";
+        this.mipLevelCount = desc.mipLevelCount || 1;
+        this.sampleCount = desc.sampleCount || 1;
+    }
+
+    createView(desc) {
+        this._record("createView", arguments);
+        return new MockGPUTextureView(this._log, desc, this);
+    }
+}
+recordingMethods(MockGPUTexture, ["destroy"]);
+
+export class MockGPUTextureView extends MockObject {
+    constructor(log, desc, texture) {
+        super(log, desc);
+        this.texture = texture;
+        this.descriptor = desc;
+    }
+}
+
+export class MockGPUShaderModule extends MockObject {
+    constructor(log, desc, messages) {
+        super(log, desc);
+        this.code = desc.code;
+        this._messages = messages || [];
+    }
+
+    getCompilationInfo() {
+        this._record("getCompilationInfo", arguments);
+        return Promise.resolve({ messages: this._messages });
+    }
+}
+
+export class MockGPUPipeline extends MockObject {
+    constructor(log, desc) {
+        super(log, desc);
+        this.descriptor = desc;
+    }
+
+    getBindGroupLayout(index) {
+        this._record("getBindGroupLayout", arguments);
+        return new MockGPUBindGroupLayout(this._log, { label: this.label + " group " + index });
+    }
+}
+
+export class MockGPUBindGroupLayout extends MockObject {
+    constructor(log, desc) {
+        super(log, desc);
+        this.descriptor = desc;
+    }
+}
+
+// Objects whose only state is the descriptor they were created from
+export class MockGPUDescribed extends MockObject {
+    constructor(log, desc) {
+        super(log, desc);
+        this.descriptor = desc;
+    }
+}
+
+export class MockGPUQuerySet extends MockObject {
+    constructor(log, desc) {
+        super(log, desc);
+        this.type = desc.type;
+        this.count = desc.count;
+    }
+}
+recordingMethods(MockGPUQuerySet, ["destroy"]);
+
+// Commands shared by render passes and render bundle encoders
+const RENDER_COMMANDS = [
+    "setPipeline", "setBindGroup", "setVertexBuffer", "setIndexBuffer",
+    "draw", "drawIndexed", "drawIndirect", "drawIndexedIndirect",
+    "pushDebugGroup", "popDebugGroup", "insertDebugMarker",
+];
+
+export class MockGPURenderPassEncoder extends MockObject {
+    constructor(log, desc) {
+        super(log, desc);
+        this.descriptor = desc;
+    }
+}
+recordingMethods(MockGPURenderPassEncoder, [
+    ...RENDER_COMMANDS,
+    "setViewport", "setScissorRect", "setBlendConstant", "setStencilReference",
+    "beginOcclusionQuery", "endOcclusionQuery", "executeBundles", "end",
+]);
+
+export class MockGPUComputePassEncoder extends MockObject {
+    constructor(log, desc) {
+        super(log, desc);
+        this.descriptor = desc;
+    }
+}
+recordingMethods(MockGPUComputePassEncoder, [
+    "setPipeline", "setBindGroup", "dispatchWorkgroups", "dispatchWorkgroupsIndirect",
+    "pushDebugGroup", "popDebugGroup", "insertDebugMarker", "end",
+]);
+
+export class MockGPURenderBundleEncoder extends MockObject {
+    constructor(log, desc) {
+        super(log, desc);
+        this.descriptor = desc;
+    }
+
+    finish(desc) {
+        this._record("finish", arguments);
+        return new MockGPUDescribed(this._log, desc);
+    }
+}
+recordingMethods(MockGPURenderBundleEncoder, RENDER_COMMANDS);
+
+export class MockGPUCommandEncoder extends MockObject {
+    beginRenderPass(desc) {
+        this._record("beginRenderPass", arguments);
+        return new MockGPURenderPassEncoder(this._log, desc);
+    }
+
+    beginComputePass(desc) {
+        this._record("beginComputePass", arguments);
+        return new MockGPUComputePassEncoder(this._log, desc);
+    }
+
+    finish(desc) {
+        this._record("finish", arguments);
+        return new MockGPUDescribed(this._log, desc);
+    }
+}
+recordingMethods(MockGPUCommandEncoder, [
+    "copyBufferToBuffer", "copyBufferToTexture", "copyTextureToBuffer", "copyTextureToTexture",
+    "clearBuffer", "resolveQuerySet", "pushDebugGroup", "popDebugGroup", "insertDebugMarker",
+]);
+
+export class MockGPUQueue extends MockObject {
+    writeBuffer(buffer, offset, data, dataOffset = 0, size) {
+        this._record("writeBuffer", arguments);
+        // Offset and size count elements of a typed array, bytes of an ArrayBuffer
+        const elementSize = ArrayBuffer.isView(data) ? data.BYTES_PER_ELEMENT || 1 : 1;
+        const all = ArrayBuffer.isView(data)
+            ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+            : new Uint8Array(data);
+        const start = dataOffset * elementSize;
+        const bytes = all.subarray(start, size === undefined ? undefined : start + size * elementSize);
+        buffer.data.set(bytes, offset);
+    }
+
+    onSubmittedWorkDone() {
+        this._record("onSubmittedWorkDone", arguments);
+        return Promise.resolve();
+    }
+}
+recordingMethods(MockGPUQueue, ["submit", "writeTexture", "copyExternalImageToTexture"]);
+
+export class MockGPUDevice extends MockObject {
+    constructor(log, desc, adapter, options) {
+        super(log, desc);
+        this.adapter = adapter;
+        this.features = new Set((desc && desc.requiredFeatures) || []);
+        this.limits = { ...DEFAULT_LIMITS, ...((desc && desc.requiredLimits) || {}) };
+        this.queue = new MockGPUQueue(log, { label: "queue" });
+        this.onuncapturederror = null;
+        this._options = options;
+        this._errorScopes = [];
+        this.lost = new Promise((resolve) => { this._resolveLost = resolve; });
+    }
+
+    // Test helper: report a device loss as the browser would
+    loseDevice(reason = "unknown", message = "Mock device lost") {
+        this._resolveLost({ reason: reason, message: message });
+    }
+
+    destroy() {
+        this._record("destroy", arguments);
+        this.loseDevice("destroyed", "Device was destroyed");
+    }
+
+    pushErrorScope(filter) {
+        this._record("pushErrorScope", arguments);
+        this._errorScopes.push(filter);
+    }
+
+    popErrorScope() {
+        this._record("popErrorScope", arguments);
+        if (this._errorScopes.length === 0) return Promise.reject(new Error("error scope stack is empty"));
+        this._errorScopes.pop();
+        return Promise.resolve(null);
+    }
+
+    createBuffer(desc) {
+        this._record("createBuffer", arguments);
+        return new MockGPUBuffer(this._log, desc);
+    }
+
+    createTexture(desc) {
+        this._record("createTexture", arguments);
+        return new MockGPUTexture(this._log, desc);
+    }
+
+    createSampler(desc) {
+        this._record("createSampler", arguments);
+        return new MockGPUDescribed(this._log, desc);
+    }
+
+    createShaderModule(desc) {
+        this._record("createShaderModule", arguments);
+        const messages = this._options.compilationMessages ? this._options.compilationMessages(desc.code) : [];
+        return new MockGPUShaderModule(this._log, desc, messages);
+    }
+
+    createBindGroupLayout(desc) {
+        this._record("createBindGroupLayout", arguments);
+        return new MockGPUBindGroupLayout(this._log, desc);
+    }
+
+    createPipelineLayout(desc) {
+        this._record("createPipelineLayout", arguments);
+        return new MockGPUDescribed(this._log, desc);
+    }
+
+    createBindGroup(desc) {
+        this._record("createBindGroup", arguments);
+        return new MockGPUDescribed(this._log, desc);
+    }
+
+    createRenderPipeline(desc) {
+        this._record("createRenderPipeline", arguments);
+        return new MockGPUPipeline(this._log, desc);
+    }
+
+    createComputePipeline(desc) {
+        this._record("createComputePipeline", arguments);
+        return new MockGPUPipeline(this._log, desc);
+    }
+
+    createRenderPipelineAsync(desc) {
+        this._record("createRenderPipelineAsync", arguments);
+        return Promise.resolve(new MockGPUPipeline(this._log, desc));
+    }
+
+    createComputePipelineAsync(desc) {
+        this._record("createComputePipelineAsync", arguments);
+        return Promise.resolve(new MockGPUPipeline(this._log, desc));
+    }
+
+    createCommandEncoder(desc) {
+        this._record("createCommandEncoder", arguments);
+        return new MockGPUCommandEncoder(this._log, desc);
+    }
+
+    createQuerySet(desc) {
+        this._record("createQuerySet", arguments);
+        return new MockGPUQuerySet(this._log, desc);
+    }
+
+    createRenderBundleEncoder(desc) {
+        this._record("createRenderBundleEncoder", arguments);
+        return new MockGPURenderBundleEncoder(this._log, desc);
+    }
+}
+
+export class MockGPUAdapter extends MockObject {
+    constructor(log, options) {
+        super(log, null);
+        this.features = new Set(options.features || []);
+        this.limits = { ...DEFAULT_LIMITS, ...(options.limits || {}) };
+        this.info = { vendor: "mock", architecture: "mock", device: "", description: "Mock WebGPU adapter" };
+        this.isFallbackAdapter = false;
+        this._options = options;
+    }
+
+    requestDevice(desc) {
+        this._record("requestDevice", arguments);
+        for (const feature of (desc && desc.requiredFeatures) || []) {
+            if (!this.features.has(feature)) {
+                return Promise.reject(new TypeError("Unsupported feature: " + feature));
+            }
+        }
+        const device = new MockGPUDevice(this._log, desc, this, this._options);
+        this._options.devices.push(device);
+        return Promise.resolve(device);
+    }
+}
+
+export class MockGPUCanvasContext extends MockObject {
+    constructor(log, canvas) {
+        super(log, null);
+        this.canvas = canvas;
+        this.configuration = null;
+    }
+
+    configure(config) {
+        this._record("configure", arguments);
+        this.configuration = config;
+    }
+
+    unconfigure() {
+        this._record("unconfigure", arguments);
+        this.configuration = null;
+    }
+
+    // A new texture per call, sized to the canvas like the browser's
+    getCurrentTexture() {
+        this._record("getCurrentTexture", arguments);
+        if (!this.configuration) throw new Error("canvas context is not configured");
+        return new MockGPUTexture(this._log, {
+            label: "canvas texture",
+            size: { width: this.canvas.width, height: this.canvas.height },
+            format: this.configuration.format,
+            usage: this.configuration.usage || GPUTextureUsage.RENDER_ATTACHMENT,
+        });
+    }
+}
+
+// =============================================================================
+// Entry Point
+// =============================================================================
+
+// Create a fake navigator.gpu. Options:
+//   features              - adapter features (e.g. ["timestamp-query"])
+//   limits                - adapter limit overrides
+//   preferredCanvasFormat - defaults to "bgra8unorm"
+//   noAdapter             - requestAdapter() resolves with null
+//   compilationMessages   - function(code) returning GPUCompilationMessage-like
+//                           objects for each shader module
+// Returns { gpu, log, devices, createCanvasContext(canvas) }.
+export function createMockGPU(options = {}) {
+    const log = new CallLog();
+    const state = { ...options, devices: [] };
+    const gpu = {
+        requestAdapter(adapterOptions) {
+            log.record(gpu, "requestAdapter", [adapterOptions]);
+            return Promise.resolve(options.noAdapter ? null : new MockGPUAdapter(log, state));
+        },
+        getPreferredCanvasFormat() {
+            return options.preferredCanvasFormat || "bgra8unorm";
+        },
+        wgslLanguageFeatures: new Set(),
+    };
+    return {
+        gpu: gpu,
+        log: log,
+        devices: state.devices,
+        createCanvasContext: (canvas) => new MockGPUCanvasContext(log, canvas),
+    };
+}
@@ -0,0 +1,269 @@
+// WebGPU trace replay for zig_webgpu_platform
+// Re-issues a trace recorded by wasm_bindings.js (?capture=N or startCapture())
+// against a GPUDevice, or any object implementing the same interface such as
+// a mock. Calls are replayed in order; handles in the trace are mapped to the
+// objects created during replay.
+//
+// Usage:
+//   import { loadTrace, replayTrace } from "./trace_replay.js";
+//   const trace = await loadTrace("webgpu-trace.json");
+//   const stats = await replayTrace(trace, device, { context });
+
+import { bufferSizeToJS } from "./wgpu_structs.js";
+
+// Trace format version this module understands
+const TRACE_VERSION = 1;
+
+// GPUTextureUsage.COPY_SRC | GPUTextureUsage.RENDER_ATTACHMENT, spelled out so
+// the module also runs where the WebGPU globals don't exist (e.g. Node + mock)
+const OFFSCREEN_TARGET_USAGE = 0x01 | 0x10;
+
+// Calls with no effect worth replaying: releases, queries of adapter/device
+// state, and calls the browser bridge implements as no-ops.
+const IGNORED_CALLS = new Set([
+    "wgpuCreateInstance",
+    "wgpuInstanceCreateSurface",
+    "wgpuInstanceRequestAdapter",
+    "wgpuAdapterRequestDevice",
+    "wgpuAdapterGetProperties",
+    "wgpuAdapterEnumerateFeatures",
+    "wgpuAdapterHasFeature",
+    "wgpuAdapterGetLimits",
+    "wgpuDeviceGetLimits",
+    "wgpuDeviceTick",
+    "wgpuDeviceSetUncapturedErrorCallback",
+    "wgpuDevicePushErrorScope",
+    "wgpuDevicePopErrorScope",
+    "wgpuSurfaceGetPreferredFormat",
+    "wgpuSwapChainPresent",
+    "wgpuBufferGetSize",
+    "wgpuBufferGetMappedRange",
+    "wgpuBufferGetConstMappedRange",
+    "wgpuQuerySetGetCount",
+    "wgpuShaderModuleGetCompilationInfo",
+]);
+
+// Decode a base64 payload from the trace
+export function decodeBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// Load a trace from a URL, a File/Blob, or an already parsed object
+export async function loadTrace(source) {
+    let data = source;
+    if (typeof source === "string") {
+        const response = await fetch(source);
+        if (!response.ok) throw new Error("Failed to fetch trace: HTTP " + response.status);
+        data = await response.json();
+    } else if (typeof Blob !== "undefined" && source instanceof Blob) {
+        data = JSON.parse(await source.text());
+    }
+    if (!data || !Array.isArray(data.entries)) throw new Error("Not a WebGPU trace");
+    if (data.version !== TRACE_VERSION) {
+        throw new Error("Unsupported trace version " + data.version + " (expected " + TRACE_VERSION + ")");
+    }
+    return data;
+}
+
+// Per-replay state: the device, handle → object map and call statistics
+class ReplayState {
+    constructor(device, options) {
+        this.device = device;
+        this.options = options;
+        this.objects = new Map();
+        this.replayed = 0;
+        this.skipped = new Map();
+        this.failed = [];
+    }
+
+    // Object created for a handle in the trace
+    get(handle) {
+        const obj = this.objects.get(Number(handle));
+        if (obj === undefined) throw new Error("unknown handle " + handle);
+        return obj;
+    }
+
+    // Replace { $handle } references in a traced descriptor with replay
+    // objects. References that can't be resolved become undefined.
+    resolve(value) {
+        if (value === null || typeof value !== "object") return value;
+        if (Array.isArray(value)) return value.map((item) => this.resolve(item));
+        if ("$handle" in value) return this.objects.get(value.$handle);
+        if ("$object" in value) return undefined;
+        const out = {};
+        for (const [key, field] of Object.entries(value)) {
+            out[key] = this.resolve(field);
+        }
+        return out;
+    }
+
+    skip(call) {
+        this.skipped.set(call, (this.skipped.get(call) || 0) + 1);
+    }
+}
+
+// Stand-in for the canvas swap chain: the caller's canvas context, or an
+// offscreen texture of the captured size and format.
+function createRenderTarget(desc, state) {
+    const context = state.options.context;
+    if (context) {
+        context.configure({ device: state.device, format: desc.format, alphaMode: "opaque" });
+        return context;
+    }
+    const texture = state.device.createTexture({
+        size: { width: desc.width, height: desc.height, depthOrArrayLayers: 1 },
+        format: desc.format,
+        usage: OFFSCREEN_TARGET_USAGE,
+    });
+    return { getCurrentTexture: () => texture };
+}
+
+// Drop timestamp writes whose query set isn't part of the trace (the GPU
+// timer's own queries)
+function passDescriptor(desc, state) {
+    const passDesc = state.resolve(desc || {});
+    if (passDesc.timestampWrites && !passDesc.timestampWrites.querySet) {
+        delete passDesc.timestampWrites;
+    }
+    return passDesc;
+}
+
+// Replay handlers keyed by import name. Each receives the trace entry and the
+// replay state; a handler's return value is bound to the entry's result handle.
+const HANDLERS = {
+    wgpuDeviceGetQueue: (e, s) => s.device.queue,
+    wgpuDeviceCreateSwapChain: (e, s) => createRenderTarget(e.desc, s),
+    wgpuDeviceCreateShaderModule: (e, s) => s.device.createShaderModule(s.resolve(e.desc)),
+    wgpuDeviceCreateBindGroupLayout: (e, s) => s.device.createBindGroupLayout(s.resolve(e.desc)),
+    wgpuDeviceCreatePipelineLayout: (e, s) => s.device.createPipelineLayout(s.resolve(e.desc)),
+    wgpuDeviceCreateRenderPipeline: (e, s) => s.device.createRenderPipeline(s.resolve(e.desc)),
+    wgpuDeviceCreateComputePipeline: (e, s) => s.device.createComputePipeline(s.resolve(e.desc)),
+    wgpuDeviceCreateBuffer: (e, s) => s.device.createBuffer(s.resolve(e.desc)),
+    wgpuDeviceCreateTexture: (e, s) => s.device.createTexture(s.resolve(e.desc)),
+    wgpuDeviceCreateSampler: (e, s) => s.device.createSampler(s.resolve(e.desc)),
+    wgpuDeviceCreateBindGroup: (e, s) => s.device.createBindGroup(s.resolve(e.desc)),
+    wgpuDeviceCreateCommandEncoder: (e, s) => s.device.createCommandEncoder(),
+    wgpuDeviceCreateQuerySet: (e, s) => s.device.createQuerySet(s.resolve(e.desc)),
+    wgpuDeviceCreateRenderBundleEncoder: (e, s) => s.device.createRenderBundleEncoder(s.resolve(e.desc)),
+
+    wgpuQueueSubmit: (e, s) => s.get(e.args[0]).submit(s.resolve(e.desc).commandBuffers),
+    wgpuQueueWriteBuffer: (e, s) => s.get(e.args[0]).writeBuffer(s.get(e.args[1]), Number(e.args[2]), decodeBase64(e.data)),
+    wgpuQueueWriteTexture: (e, s) => {
+        const desc = s.resolve(e.desc);
+        s.get(e.args[0]).writeTexture(desc.destination, decodeBase64(e.data), desc.dataLayout, desc.size);
+    },
+
+    // Contents written through a mapped-at-creation range are recorded at unmap
+    wgpuBufferUnmap: (e, s) => {
+        const buffer = s.get(e.args[0]);
+        if (e.desc) {
+            for (const range of e.desc.ranges) {
+                const bytes = decodeBase64(range.data);
+                new Uint8Array(buffer.getMappedRange(range.offset, bytes.length)).set(bytes);
+            }
+        }
+        buffer.unmap();
+    },
+    wgpuBufferDestroy: (e, s) => s.get(e.args[0]).destroy(),
+    wgpuTextureCreateView: (e, s) => s.get(e.args[0]).createView(s.resolve(e.desc)),
+    wgpuTextureDestroy: (e, s) => s.get(e.args[0]).destroy(),
+    wgpuQuerySetDestroy: (e, s) => s.get(e.args[0]).destroy(),
+    wgpuSwapChainGetCurrentTextureView: (e, s) => s.get(e.args[0]).getCurrentTexture().createView(),
+
+    wgpuCommandEncoderBeginRenderPass: (e, s) => s.get(e.args[0]).beginRenderPass(passDescriptor(e.desc, s)),
+    wgpuCommandEncoderBeginComputePass: (e, s) => s.get(e.args[0]).beginComputePass(passDescriptor(e.desc, s)),
+    wgpuCommandEncoderCopyBufferToBuffer: (e, s) => s.get(e.args[0]).copyBufferToBuffer(
+        s.get(e.args[1]), Number(e.args[2]), s.get(e.args[3]), Number(e.args[4]), Number(e.args[5])),
+    wgpuCommandEncoderCopyTextureToBuffer: (e, s) => {
+        const desc = s.resolve(e.desc);
+        s.get(e.args[0]).copyTextureToBuffer(desc.source, desc.destination, desc.size);
+    },
+    wgpuCommandEncoderResolveQuerySet: (e, s) => s.get(e.args[0]).resolveQuerySet(
+        s.get(e.args[1]), e.args[2], e.args[3], s.get(e.args[4]), Number(e.args[5])),
+    wgpuCommandEncoderFinish: (e, s) => s.get(e.args[0]).finish(),
+
+    wgpuRenderPassEncoderSetViewport: (e, s) => s.get(e.args[0]).setViewport(...e.args.slice(1)),
+    wgpuRenderPassEncoderSetScissorRect: (e, s) => s.get(e.args[0]).setScissorRect(...e.args.slice(1)),
+    wgpuRenderPassEncoderSetBlendConstant: (e, s) => s.get(e.args[0]).setBlendConstant(e.desc),
+    wgpuRenderPassEncoderSetStencilReference: (e, s) => s.get(e.args[0]).setStencilReference(e.args[1]),
+    wgpuRenderPassEncoderBeginOcclusionQuery: (e, s) => s.get(e.args[0]).beginOcclusionQuery(e.args[1]),
+    wgpuRenderPassEncoderEndOcclusionQuery: (e, s) => s.get(e.args[0]).endOcclusionQuery(),
+    wgpuRenderPassEncoderExecuteBundles: (e, s) => s.get(e.args[0]).executeBundles(s.resolve(e.desc).bundles),
+    wgpuRenderPassEncoderEnd: (e, s) => s.get(e.args[0]).end(),
+    wgpuComputePassEncoderDispatchWorkgroups: (e, s) => s.get(e.args[0]).dispatchWorkgroups(...e.args.slice(1)),
+    wgpuComputePassEncoderDispatchWorkgroupsIndirect: (e, s) => s.get(e.args[0]).dispatchWorkgroupsIndirect(
+        s.get(e.args[1]), Number(e.args[2])),
+    wgpuComputePassEncoderEnd: (e, s) => s.get(e.args[0]).end(),
+    wgpuRenderBundleEncoderFinish: (e, s) => s.get(e.args[0]).finish(),
+};
+
+// Commands shared by render passes, compute passes and render bundle encoders
+for (const prefix of ["wgpuRenderPassEncoder", "wgpuComputePassEncoder", "wgpuRenderBundleEncoder"]) {
+    HANDLERS[prefix + "SetPipeline"] = (e, s) => s.get(e.args[0]).setPipeline(s.get(e.args[1]));
+    HANDLERS[prefix + "SetBindGroup"] = (e, s) => s.get(e.args[0]).setBindGroup(
+        e.args[1], s.get(e.args[2]), e.desc ? e.desc.dynamicOffsets : undefined);
+}
+for (const prefix of ["wgpuRenderPassEncoder", "wgpuRenderBundleEncoder"]) {
+    HANDLERS[prefix + "SetVertexBuffer"] = (e, s) => s.get(e.args[0]).setVertexBuffer(
+        e.args[1], s.get(e.args[2]), Number(e.args[3]), bufferSizeToJS(e.args[4]));
+    HANDLERS[prefix + "SetIndexBuffer"] = (e, s) => s.get(e.args[0]).setIndexBuffer(
+        s.get(e.args[1]), e.args[2] === 2 ? "uint32" : "uint16", Number(e.args[3]), bufferSizeToJS(e.args[4]));
+    HANDLERS[prefix + "Draw"] = (e, s) => s.get(e.args[0]).draw(...e.args.slice(1));
+    HANDLERS[prefix + "DrawIndexed"] = (e, s) => s.get(e.args[0]).drawIndexed(...e.args.slice(1));
+    HANDLERS[prefix + "DrawIndirect"] = (e, s) => s.get(e.args[0]).drawIndirect(s.get(e.args[1]), Number(e.args[2]));
+    HANDLERS[prefix + "DrawIndexedIndirect"] = (e, s) => s.get(e.args[0]).drawIndexedIndirect(s.get(e.args[1]), Number(e.args[2]));
+}
+
+// Replay a trace against `device`. Options:
+//   context  - GPUCanvasContext to render the captured swap chain into;
+//              without it frames go to an offscreen texture
+//   frames   - replay only entries up to this frame number
+//   onFrame  - async callback(frame) run after each frame's calls, e.g. to
+//              wait for requestAnimationFrame between frames
+//   strict   - throw on the first failed call instead of recording it
+// Resolves with { replayed, skipped: Map<call, count>, failed: [{ index, call, error }] }.
+export async function replayTrace(trace, device, options = {}) {
+    if (trace.version !== TRACE_VERSION) {
+        throw new Error("Unsupported trace version " + trace.version + " (expected " + TRACE_VERSION + ")");
+    }
+    if (!trace.fromStart) {
+        console.warn("Trace replay: capture did not start at page load, resources created earlier are missing");
+    }
+
+    const state = new ReplayState(device, options);
+    let frame = trace.entries.length > 0 ? trace.entries[0].frame : 0;
+
+    for (let index = 0; index < trace.entries.length; index++) {
+        const entry = trace.entries[index];
+        if (options.frames !== undefined && entry.frame > options.frames) break;
+        if (entry.frame !== frame) {
+            if (options.onFrame) await options.onFrame(frame);
+            frame = entry.frame;
+        }
+
+        const handler = HANDLERS[entry.call];
+        if (!handler) {
+            // Releases only drop the bridge's handle; the replay keeps its map
+            if (!IGNORED_CALLS.has(entry.call) && !entry.call.endsWith("Release")) state.skip(entry.call);
+            continue;
+        }
+        try {
+            const result = handler(entry, state);
+            if (entry.result) state.objects.set(entry.result, result);
+            state.replayed++;
+        } catch (e) {
+            if (options.strict) throw new Error("Trace replay: entry " + index + " (" + entry.call + ") failed: " + e.message);
+            state.failed.push({ index: index, call: entry.call, error: e.message });
+        }
+    }
+    if (options.onFrame) await options.onFrame(frame);
+
+    return { replayed: state.replayed, skipped: state.skipped, failed: state.failed };
+}
+
+export default { loadTrace, replayTrace, decodeBase64 };
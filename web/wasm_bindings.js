@@ -2,6 +2,11 @@
 // This module provides Emscripten runtime stubs and complete WebGPU bindings
 // that bridge WASM wgpu* calls to the browser's WebGPU API.
 
+import {
+    WHOLE_SIZE, bufferSizeToJS, LIMIT_FIELDS, limitFieldName, setStructMemory,
+    structLayout, fieldOffset, readArray, readStruct, writeStruct, checkStructLayouts, readCString,
+} from "./wgpu_structs.js";
+
 // =============================================================================
 // Global State
 // =============================================================================
@@ -18,18 +23,44 @@ let animationFrameId = null;
 const DEBUG = typeof window !== "undefined" && window.__DEBUG === true;
 function dbg(...args) { if (DEBUG) console.log(...args); }
 
+// Shader hot reload (development only): enabled by ?hotreload in the page URL.
+// Requires the dev server to expose the WGSL sources (python serve.py --hot-reload).
+const HOT_RELOAD = typeof window !== "undefined" && new URLSearchParams(window.location.search).has("hotreload");
+
+// WebGPU call capture: ?capture=N records every wgpu* call from page load
+// through the first N frames and downloads the trace as JSON (see Trace Capture).
+// A bare ?capture only makes startCapture() available. Without the parameter
+// the wgpu* imports are not wrapped and nothing is tracked.
+const CAPTURE_ENABLED = typeof window !== "undefined" && new URLSearchParams(window.location.search).has("capture");
+const CAPTURE_FRAMES = CAPTURE_ENABLED
+    ? parseInt(new URLSearchParams(window.location.search).get("capture"), 10) || 0
+    : 0;
+
+// GPU pass timing: enabled by ?gputimer (or ?debug). Requests "timestamp-query"
+// on new devices when the adapter has it (see GPU Timer).
+const GPU_TIMER = DEBUG || (typeof window !== "undefined" && new URLSearchParams(window.location.search).has("gputimer"));
+
 // Preferred canvas format for this browser (set during init)
 let preferredCanvasFormat = "bgra8unorm";
 
-// Pre-initialized WebGPU objects (created during JS init before WASM runs)
-// This solves the async initialization problem - WASM code can use these synchronously.
-let preInitAdapter = null;
-let preInitDevice = null;
+// Pre-registered instance and canvas surface handles (created during JS init).
+// Adapters and devices are requested on demand by WASM and arrive asynchronously.
 let preInitInstanceHandle = 0;
-let preInitAdapterHandle = 0;
-let preInitDeviceHandle = 0;
 let preInitSurfaceHandle = 0;
 
+// Most recently obtained device (used for debug error scopes in the main loop)
+let gpuDevice = null;
+
+// Device-loss recovery policy. When a device is lost for any reason other than
+// an explicit destroy(), the bridge re-requests an adapter and device with the
+// original options, retrying with exponential backoff, and hands the result to
+// WASM via web_gpu_device_restored(). Recoveries per page load are capped so a
+// persistently failing GPU doesn't loop forever.
+const DEVICE_RECOVERY_MAX_ATTEMPTS = 3;
+const DEVICE_RECOVERY_BASE_DELAY_MS = 500;
+const DEVICE_RECOVERY_MAX_RECOVERIES = 5;
+let deviceRecoveryCount = 0;
+
 // =============================================================================
 // Handle Registry
 // Maps integer handles (used by WASM) to JavaScript WebGPU objects.
@@ -43,6 +74,7 @@ function registerHandle(obj) {
     if (!obj) return 0;
     const handle = nextHandle++;
     handleRegistry.set(handle, obj);
+    if (CAPTURE_ENABLED) traceTrackHandle(handle, obj);
     return handle;
 }
 
@@ -61,44 +93,6 @@ function freeHandle(handle) {
 // WASM Memory Utilities
 // =============================================================================
 
-function readCString(ptr) {
-    if (!ptr || !wasmMemory) return "";
-    const mem = new Uint8Array(wasmMemory.buffer);
-    let end = ptr;
-    while (mem[end] !== 0) end++;
-    return new TextDecoder().decode(mem.subarray(ptr, end));
-}
-
-function readU32(ptr) {
-    if (!wasmMemory) return 0;
-    const view = new DataView(wasmMemory.buffer);
-    return view.getUint32(ptr, true);
-}
-
-function readI32(ptr) {
-    if (!wasmMemory) return 0;
-    const view = new DataView(wasmMemory.buffer);
-    return view.getInt32(ptr, true);
-}
-
-function readU64(ptr) {
-    if (!wasmMemory) return 0n;
-    const view = new DataView(wasmMemory.buffer);
-    return view.getBigUint64(ptr, true);
-}
-
-function readF32(ptr) {
-    if (!wasmMemory) return 0;
-    const view = new DataView(wasmMemory.buffer);
-    return view.getFloat32(ptr, true);
-}
-
-function readF64(ptr) {
-    if (!wasmMemory) return 0;
-    const view = new DataView(wasmMemory.buffer);
-    return view.getFloat64(ptr, true);
-}
-
 function writeU32(ptr, value) {
     if (!wasmMemory) return;
     const view = new DataView(wasmMemory.buffer);
@@ -117,10 +111,6 @@ function writeF64(ptr, value) {
     view.setFloat64(ptr, value, true);
 }
 
-function writePtr(ptr, value) {
-    writeU32(ptr, value);
-}
-
 // Write a C string to WASM memory at the given address
 function writeCString(ptr, str, maxLen) {
     if (!wasmMemory) return;
@@ -133,6 +123,43 @@ function writeCString(ptr, str, maxLen) {
     mem[ptr + len] = 0;
 }
 
+// Allocate/free scratch memory inside the WASM heap via the Zig exports
+// web_alloc / web_free. Used when JS has to hand data of a size only known at
+// runtime (e.g. mapped buffer ranges) back to WASM. Returns 0 on failure.
+function wasmAlloc(size) {
+    if (!wasmInstance || !wasmInstance.exports.web_alloc) {
+        console.error("wasmAlloc: WASM module does not export web_alloc");
+        return 0;
+    }
+    return wasmInstance.exports.web_alloc(size);
+}
+
+function wasmFree(ptr, size) {
+    if (!ptr || !wasmInstance || !wasmInstance.exports.web_free) return;
+    wasmInstance.exports.web_free(ptr, size);
+}
+
+// Copy a JS string into a newly web_alloc'd C string.
+// Returns { ptr, size } (ptr 0 for an empty/missing string unless
+// options.allocEmpty is set); release with wasmFree(ptr, size).
+function allocCString(str, options = {}) {
+    if (!str && !options.allocEmpty) return { ptr: 0, size: 0 };
+    str = str || "";
+    const size = new TextEncoder().encode(str).length + 1;
+    const ptr = wasmAlloc(size);
+    if (ptr) writeCString(ptr, str, size);
+    return { ptr: ptr, size: size };
+}
+
+// Look up a WASM function pointer in the indirect function table
+function getWasmCallback(callback, caller) {
+    const callbackFunc = wasmInstance.exports.__indirect_function_table.get(callback);
+    if (!callbackFunc) {
+        console.error(caller + ": callback function not found at index", callback);
+    }
+    return callbackFunc;
+}
+
 // =============================================================================
 // Texture Format Mapping
 // Maps WebGPU C API enum values to browser WebGPU format strings
@@ -188,6 +215,19 @@ function textureFormatToJS(format) {
     return TEXTURE_FORMAT_MAP[format] || "bgra8unorm";
 }
 
+// Reverse of TEXTURE_FORMAT_MAP (browser format string → enum value)
+const TEXTURE_FORMAT_FROM_JS = Object.fromEntries(
+    Object.entries(TEXTURE_FORMAT_MAP)
+        .filter(([, name]) => name !== undefined)
+        .map(([value, name]) => [name, Number(value)]));
+
+function textureFormatFromJS(name) {
+    return TEXTURE_FORMAT_FROM_JS[name] || 0;
+}
+
+// Formats a canvas context can be configured with
+const CANVAS_FORMATS = ["bgra8unorm", "rgba8unorm", "rgba16float"];
+
 // Vertex format mapping
 const VERTEX_FORMAT_MAP = {
     0x00000001: "uint8x2",
@@ -294,20 +334,403 @@ function frontFaceToJS(face) {
     return FRONT_FACE_MAP[face] || "ccw";
 }
 
-// Parse a BlendState from WASM memory (24 bytes)
-function parseBlendState(ptr) {
-    if (!ptr) return undefined;
+// Texture dimension mapping (emscripten enum values, offset by 1)
+const TEXTURE_DIMENSION_MAP = {
+    0x00000001: "1d",
+    0x00000002: "2d",
+    0x00000003: "3d",
+};
+
+function textureDimensionToJS(dimension) {
+    return TEXTURE_DIMENSION_MAP[dimension] || "2d";
+}
+
+// Texture view dimension mapping (emscripten enum values, offset by 1)
+const TEXTURE_VIEW_DIMENSION_MAP = {
+    0x00000001: "1d",
+    0x00000002: "2d",
+    0x00000003: "2d-array",
+    0x00000004: "cube",
+    0x00000005: "cube-array",
+    0x00000006: "3d",
+};
+
+// Texture aspect mapping (emscripten enum values, offset by 1)
+const TEXTURE_ASPECT_MAP = {
+    0x00000001: "all",
+    0x00000002: "stencil-only",
+    0x00000003: "depth-only",
+};
+
+function textureAspectToJS(aspect) {
+    return TEXTURE_ASPECT_MAP[aspect] || "all";
+}
+
+// Sampler address mode mapping (emscripten enum values, offset by 1)
+const ADDRESS_MODE_MAP = {
+    0x00000001: "clamp-to-edge",
+    0x00000002: "repeat",
+    0x00000003: "mirror-repeat",
+};
+
+function addressModeToJS(mode) {
+    return ADDRESS_MODE_MAP[mode] || "clamp-to-edge";
+}
+
+// Filter mode mapping, shared by mag/min and mipmap filters (emscripten enum values, offset by 1)
+const FILTER_MODE_MAP = {
+    0x00000001: "nearest",
+    0x00000002: "linear",
+};
+
+function filterModeToJS(mode) {
+    return FILTER_MODE_MAP[mode] || "nearest";
+}
+
+// Compare function mapping (emscripten enum values, offset by 1)
+const COMPARE_FUNCTION_MAP = {
+    0x00000001: "never",
+    0x00000002: "less",
+    0x00000003: "less-equal",
+    0x00000004: "greater",
+    0x00000005: "greater-equal",
+    0x00000006: "equal",
+    0x00000007: "not-equal",
+    0x00000008: "always",
+};
+
+// Returns undefined for CompareFunction.undefined so optional descriptor
+// fields (e.g. sampler.compare) are left out instead of defaulted.
+function compareFunctionToJS(func) {
+    return COMPARE_FUNCTION_MAP[func];
+}
+
+// Stencil operation mapping (emscripten enum values, offset by 1)
+const STENCIL_OPERATION_MAP = {
+    0x00000001: "keep",
+    0x00000002: "zero",
+    0x00000003: "replace",
+    0x00000004: "invert",
+    0x00000005: "increment-clamp",
+    0x00000006: "decrement-clamp",
+    0x00000007: "increment-wrap",
+    0x00000008: "decrement-wrap",
+};
+
+function stencilOperationToJS(op) {
+    return STENCIL_OPERATION_MAP[op];
+}
+
+// Load/store op mapping for depth-stencil attachments (emscripten enum values,
+// offset by 1). Undefined ops are left out, as required for read-only aspects
+// and for aspects the attachment format does not have.
+const LOAD_OP_MAP = {
+    0x00000001: "clear",
+    0x00000002: "load",
+};
+
+const STORE_OP_MAP = {
+    0x00000001: "store",
+    0x00000002: "discard",
+};
+
+// Query type mapping (emscripten enum values)
+const QUERY_TYPE_MAP = {
+    0x00000000: "occlusion",
+    0x00000001: "timestamp",
+};
+
+// Sentinel for an unused timestamp write index
+const QUERY_SET_INDEX_UNDEFINED = 0xFFFFFFFF;
+
+// Convert a RenderPassTimestampWrites / ComputePassTimestampWrites struct
+// (null when the pass has none). Write indices left at UNDEFINED are omitted.
+function passTimestampWritesToJS(writes) {
+    if (!writes) return undefined;
+    const querySetObj = getHandle(writes.query_set);
+    if (!querySetObj || !querySetObj.querySet) {
+        console.error("Pass timestamp writes reference an invalid query set");
+        return undefined;
+    }
+    const result = { querySet: querySetObj.querySet };
+    if (writes.beginning_of_pass_write_index !== QUERY_SET_INDEX_UNDEFINED) {
+        result.beginningOfPassWriteIndex = writes.beginning_of_pass_write_index;
+    }
+    if (writes.end_of_pass_write_index !== QUERY_SET_INDEX_UNDEFINED) {
+        result.endOfPassWriteIndex = writes.end_of_pass_write_index;
+    }
+    return result;
+}
+
+// Index format mapping (emscripten enum values, offset by 1)
+const INDEX_FORMAT_MAP = {
+    0x00000001: "uint16",
+    0x00000002: "uint32",
+};
+
+function indexFormatToJS(format) {
+    return INDEX_FORMAT_MAP[format] || "uint16";
+}
+
+// Power preference mapping (emscripten enum values, offset by 1)
+const POWER_PREFERENCE_MAP = {
+    0x00000001: "low-power",
+    0x00000002: "high-performance",
+};
+
+// Feature name mapping (emscripten enum values)
+const FEATURE_NAME_MAP = {
+    0x00000001: "depth-clip-control",
+    0x00000002: "depth32float-stencil8",
+    0x00000003: "timestamp-query",
+    0x00000004: "texture-compression-bc",
+    0x00000005: "texture-compression-etc2",
+    0x00000006: "texture-compression-astc",
+    0x00000007: "indirect-first-instance",
+    0x00000008: "shader-f16",
+    0x00000009: "rg11b10ufloat-renderable",
+    0x0000000A: "bgra8unorm-storage",
+    0x0000000B: "float32-filterable",
+};
+
+function featureNameToJS(feature) {
+    return FEATURE_NAME_MAP[feature];
+}
+
+// Reverse of FEATURE_NAME_MAP; browser features without an enum value are skipped
+const FEATURE_NAME_FROM_JS = Object.fromEntries(
+    Object.entries(FEATURE_NAME_MAP).map(([value, name]) => [name, Number(value)]));
+
+// Enum values of the browser features in a GPUSupportedFeatures set
+function featureSetToWasm(features) {
+    const values = [];
+    for (const name of features) {
+        const value = FEATURE_NAME_FROM_JS[name];
+        if (value !== undefined) values.push(value);
+    }
+    return values;
+}
+
+// Error filter mapping for wgpuDevicePushErrorScope
+const ERROR_FILTER_MAP = {
+    0x00000000: "validation",
+    0x00000001: "out-of-memory",
+    0x00000002: "internal",
+};
+
+// ErrorType values passed to WASM error callbacks
+const ERROR_TYPE_NO_ERROR = 0;
+const ERROR_TYPE_VALIDATION = 1;
+const ERROR_TYPE_OUT_OF_MEMORY = 2;
+const ERROR_TYPE_INTERNAL = 3;
+const ERROR_TYPE_UNKNOWN = 4;
+
+// Map a browser GPUError (or null) to an ErrorType value
+function errorTypeFromJS(error) {
+    if (!error) return ERROR_TYPE_NO_ERROR;
+    if (typeof GPUValidationError !== "undefined" && error instanceof GPUValidationError) return ERROR_TYPE_VALIDATION;
+    if (typeof GPUOutOfMemoryError !== "undefined" && error instanceof GPUOutOfMemoryError) return ERROR_TYPE_OUT_OF_MEMORY;
+    if (typeof GPUInternalError !== "undefined" && error instanceof GPUInternalError) return ERROR_TYPE_INTERNAL;
+    return ERROR_TYPE_UNKNOWN;
+}
+
+// Invoke a WASM ErrorCallback(type, message, userdata). The message is copied
+// into WASM memory for the duration of the call only.
+function callErrorCallback(callback, caller, errorType, message, userdata) {
+    const callbackFunc = getWasmCallback(callback, caller);
+    if (!callbackFunc) return;
+    const msg = allocCString(message);
+    callbackFunc(errorType, msg.ptr, userdata);
+    wasmFree(msg.ptr, msg.size);
+}
+
+// Convert a Limits struct into a GPUDevice requiredLimits object.
+// Fields left at the "undefined" sentinel (all ones) are omitted, as are
+// limits this browser does not know (requesting those would reject).
+function limitsToJS(limits, adapter) {
+    const required = {};
+    for (const [name, type] of LIMIT_FIELDS) {
+        const value = limits[limitFieldName(name)];
+        if (value === (type === "u64" ? WHOLE_SIZE : 0xFFFFFFFF)) continue;
+        if (adapter && !(name in adapter.limits)) {
+            console.warn("Ignoring required limit unknown to this browser: " + name);
+            continue;
+        }
+        required[name] = Number(value);
+    }
+    return required;
+}
+
+// Write a SupportedLimits struct from a GPUSupportedLimits.
+// Limits this browser does not report are written as the "undefined" sentinel.
+function writeSupportedLimits(ptr, supportedLimits) {
+    const limits = {};
+    for (const [name, type] of LIMIT_FIELDS) {
+        const value = supportedLimits[name];
+        limits[limitFieldName(name)] = value !== undefined ? value : (type === "u64" ? WHOLE_SIZE : 0xFFFFFFFF);
+    }
+    writeStruct("Limits", ptr + fieldOffset("SupportedLimits", "limits"), limits);
+}
+
+// Compilation message type mapping (emscripten enum values, offset by 1)
+const COMPILATION_MESSAGE_TYPE_FROM_JS = {
+    "error": 0x00000001,
+    "warning": 0x00000002,
+    "info": 0x00000003,
+};
+
+// Collect a GPUCompilationInfo into plain objects with the offending source line
+function collectCompilationMessages(info, code) {
+    const sourceLines = code.split("\n");
+    return info.messages.map((m) => ({
+        type: m.type,
+        lineNum: m.lineNum,
+        linePos: m.linePos,
+        offset: m.offset,
+        length: m.length,
+        message: m.message,
+        sourceLine: m.lineNum > 0 ? (sourceLines[m.lineNum - 1] || "") : "",
+    }));
+}
+
+// Format compilation messages as a readable block, e.g.
+//   WGSL compilation errors in "Triangle Shader Module":
+//     3:12 error: unresolved identifier 'colr'
+//        3 |     return colr;
+//          |            ^^^^
+function formatCompilationMessages(label, messages) {
+    const counts = messages.reduce((c, m) => { c[m.type] = (c[m.type] || 0) + 1; return c; }, {});
+    const summary = Object.entries(counts).map(([type, n]) => n + " " + type + (n > 1 ? "s" : "")).join(", ");
+    const lines = ["WGSL compilation messages in \"" + (label || "shader module") + "\" (" + summary + "):"];
+    for (const m of messages) {
+        lines.push("  " + m.lineNum + ":" + m.linePos + " " + m.type + ": " + m.message);
+        if (m.sourceLine) {
+            const gutter = String(m.lineNum).padStart(5);
+            lines.push(gutter + " | " + m.sourceLine);
+            const caretCount = Math.max(1, Math.min(m.length, m.sourceLine.length - m.linePos + 1));
+            lines.push(" ".repeat(gutter.length) + " | " + " ".repeat(Math.max(0, m.linePos - 1)) + "^".repeat(caretCount));
+        }
+    }
+    return lines.join("\n");
+}
+
+// Copy a setBindGroup dynamic offsets array (u32 each) out of WASM memory.
+// Returns undefined when there are none.
+function readDynamicOffsets(count, ptr) {
+    if (!count || !ptr) return undefined;
+    const offsets = new Uint32Array(wasmMemory.buffer.slice(ptr, ptr + count * 4));
+    traceDescriptor({ dynamicOffsets: offsets });
+    return offsets;
+}
+
+// Sentinel for "all remaining" mip levels / array layers in TextureViewDescriptor
+const MIP_LEVEL_COUNT_UNDEFINED = 0xFFFFFFFF;
+const ARRAY_LAYER_COUNT_UNDEFINED = 0xFFFFFFFF;
+
+// Convert a StencilFaceState. Undefined fields are left out so the browser
+// defaults apply.
+function stencilFaceStateToJS(state) {
+    const face = {};
+    const compare = compareFunctionToJS(state.compare);
+    const failOp = stencilOperationToJS(state.fail_op);
+    const depthFailOp = stencilOperationToJS(state.depth_fail_op);
+    const passOp = stencilOperationToJS(state.pass_op);
+    if (compare) face.compare = compare;
+    if (failOp) face.failOp = failOp;
+    if (depthFailOp) face.depthFailOp = depthFailOp;
+    if (passOp) face.passOp = passOp;
+    return face;
+}
+
+// Convert a DepthStencilState (null when the pipeline has none)
+function depthStencilStateToJS(state) {
+    if (!state) return undefined;
+    const result = {
+        format: textureFormatToJS(state.format),
+        depthWriteEnabled: state.depth_write_enabled,
+        stencilFront: stencilFaceStateToJS(state.stencil_front),
+        stencilBack: stencilFaceStateToJS(state.stencil_back),
+        stencilReadMask: state.stencil_read_mask,
+        stencilWriteMask: state.stencil_write_mask,
+        depthBias: state.depth_bias,
+        depthBiasSlopeScale: state.depth_bias_slope_scale,
+        depthBiasClamp: state.depth_bias_clamp,
+    };
+    const depthCompare = compareFunctionToJS(state.depth_compare);
+    if (depthCompare) result.depthCompare = depthCompare;
+    return result;
+}
+
+// Convert a RenderPassDepthStencilAttachment (null when the pass has none)
+function depthStencilAttachmentToJS(attachment) {
+    if (!attachment) return undefined;
+    const viewObj = getHandle(attachment.view);
+    if (!viewObj || !viewObj.view) {
+        console.error("Depth-stencil attachment has no valid texture view");
+        return undefined;
+    }
+
+    const result = {
+        view: viewObj.view,
+        depthClearValue: attachment.depth_clear_value,
+        depthReadOnly: attachment.depth_read_only,
+        stencilClearValue: attachment.stencil_clear_value,
+        stencilReadOnly: attachment.stencil_read_only,
+    };
+    const depthLoadOp = LOAD_OP_MAP[attachment.depth_load_op];
+    const depthStoreOp = STORE_OP_MAP[attachment.depth_store_op];
+    const stencilLoadOp = LOAD_OP_MAP[attachment.stencil_load_op];
+    const stencilStoreOp = STORE_OP_MAP[attachment.stencil_store_op];
+    if (depthLoadOp) result.depthLoadOp = depthLoadOp;
+    if (depthStoreOp) result.depthStoreOp = depthStoreOp;
+    if (stencilLoadOp) result.stencilLoadOp = stencilLoadOp;
+    if (stencilStoreOp) result.stencilStoreOp = stencilStoreOp;
+    return result;
+}
+
+function blendComponentToJS(component) {
     return {
-        color: {
-            operation: blendOpToJS(readU32(ptr + 0)),
-            srcFactor: blendFactorToJS(readU32(ptr + 4)),
-            dstFactor: blendFactorToJS(readU32(ptr + 8)),
-        },
-        alpha: {
-            operation: blendOpToJS(readU32(ptr + 12)),
-            srcFactor: blendFactorToJS(readU32(ptr + 16)),
-            dstFactor: blendFactorToJS(readU32(ptr + 20)),
-        },
+        operation: blendOpToJS(component.operation),
+        srcFactor: blendFactorToJS(component.src_factor),
+        dstFactor: blendFactorToJS(component.dst_factor),
+    };
+}
+
+// Convert a BlendState (null when blending is disabled)
+function blendStateToJS(state) {
+    if (!state) return undefined;
+    return {
+        color: blendComponentToJS(state.color),
+        alpha: blendComponentToJS(state.alpha),
+    };
+}
+
+// Convert an ImageCopyTexture. Returns null if the texture handle is invalid.
+function imageCopyTextureToJS(copy) {
+    const textureObj = getHandle(copy.texture);
+    if (!textureObj || !textureObj.texture) return null;
+    return {
+        texture: textureObj.texture,
+        mipLevel: copy.mip_level,
+        origin: { x: copy.origin.x, y: copy.origin.y, z: copy.origin.z },
+        aspect: textureAspectToJS(copy.aspect),
+    };
+}
+
+// Convert a TextureDataLayout; bytes_per_row / rows_per_image of 0xFFFFFFFF
+// mean undefined
+function textureDataLayoutToJS(layout) {
+    const result = { offset: Number(layout.offset) };
+    if (layout.bytes_per_row !== 0xFFFFFFFF) result.bytesPerRow = layout.bytes_per_row;
+    if (layout.rows_per_image !== 0xFFFFFFFF) result.rowsPerImage = layout.rows_per_image;
+    return result;
+}
+
+function extent3DToJS(extent) {
+    return {
+        width: extent.width,
+        height: extent.height,
+        depthOrArrayLayers: extent.depth_or_array_layers,
     };
 }
 
@@ -349,20 +772,25 @@ const emscriptenStubs = {
                     return;
                 }
                 // In debug mode, push error scopes on first frame to catch validation errors
-                if (DEBUG && frameCount === 0 && preInitDevice) {
-                    preInitDevice.pushErrorScope("validation");
-                    preInitDevice.pushErrorScope("out-of-memory");
+                if (DEBUG && frameCount === 0 && gpuDevice) {
+                    gpuDevice.pushErrorScope("validation");
+                    gpuDevice.pushErrorScope("out-of-memory");
                 }
+                traceBeginFrame();
+                gpuTimerBeginFrame();
+                pollGamepads(wasmInstance.exports);
                 func();
+                gpuTimerEndFrame();
+                traceEndFrame();
                 frameCount++;
                 if (DEBUG && frameCount === 1) {
                     dbg("Main loop: first frame executed");
-                    if (preInitDevice) {
-                        preInitDevice.popErrorScope().then(err => {
+                    if (gpuDevice) {
+                        gpuDevice.popErrorScope().then(err => {
                             if (err) console.error("GPU OOM error: " + err.message);
                             else dbg("No OOM errors on first frame");
                         });
-                        preInitDevice.popErrorScope().then(err => {
+                        gpuDevice.popErrorScope().then(err => {
                             if (err) console.error("GPU validation error: " + err.message);
                             else dbg("No validation errors on first frame");
                         });
@@ -438,13 +866,477 @@ const emscriptenStubs = {
     emscripten_set_keydown_callback_on_thread: (target, userData, useCapture, callback, thread) => 0,
     emscripten_set_keyup_callback_on_thread: (target, userData, useCapture, callback, thread) => 0,
     emscripten_set_keypress_callback_on_thread: (target, userData, useCapture, callback, thread) => 0,
+    emscripten_set_wheel_callback_on_thread: (target, userData, useCapture, callback, thread) => 0,
     emscripten_html5_remove_all_event_listeners: () => {},
 };
 
+// =============================================================================
+// Shader Hot Reload
+// In hot-reload mode the bridge polls the dev server for WGSL source changes.
+// Each shader module is bound to the source file whose text it was created
+// from; when the file changes, a new module is compiled and swapped into the
+// existing handle, and every pipeline built from it is recreated from its
+// recorded descriptor. WASM keeps using the same handles and app state.
+// Pipelines captured in render bundles and bind groups created from an "auto"
+// layout keep referring to the previous pipeline.
+// =============================================================================
+
+// Dev server endpoint: GET lists [{ name, mtime }], GET <name> returns the source
+const HOT_RELOAD_ENDPOINT = "/__shaders/";
+const HOT_RELOAD_POLL_MS = 1000;
+
+const hotReload = {
+    modules: [],          // { handle, code, file } for every WGSL module created
+    files: new Map(),     // file name → { mtime, code } as last fetched
+};
+
+// Record a newly created shader module so it can be bound to its source file
+function hotReloadTrackModule(handle, code) {
+    hotReload.modules.push({ handle: handle, code: code, file: null });
+}
+
+// Forget a released shader module
+function hotReloadUntrackModule(handle) {
+    hotReload.modules = hotReload.modules.filter((entry) => entry.handle !== handle);
+}
+
+// Poll the dev server once: fetch changed files, bind new modules to their
+// files by exact source match, and reload modules whose file changed.
+async function pollShaderSources() {
+    const response = await fetch(HOT_RELOAD_ENDPOINT, { cache: "no-store" });
+    if (!response.ok) throw new Error("HTTP " + response.status);
+    const listing = await response.json();
+
+    for (const { name, mtime } of listing) {
+        const known = hotReload.files.get(name);
+        if (known && known.mtime === mtime) continue;
+
+        const fileResponse = await fetch(HOT_RELOAD_ENDPOINT + encodeURIComponent(name), { cache: "no-store" });
+        if (!fileResponse.ok) continue;
+        const code = await fileResponse.text();
+        hotReload.files.set(name, { mtime: mtime, code: code });
+
+        if (known && known.code !== code) {
+            for (const entry of hotReload.modules) {
+                if (entry.file === name) await reloadShaderModule(entry, name, code);
+            }
+        }
+    }
+
+    // Bind modules created since the last poll (e.g. after a device restore)
+    for (const entry of hotReload.modules) {
+        if (entry.file) continue;
+        for (const [name, file] of hotReload.files) {
+            if (file.code === entry.code) {
+                entry.file = name;
+                dbg("Shader hot reload: module " + entry.handle + " bound to " + name);
+                break;
+            }
+        }
+    }
+}
+
+// Compile the new source into the module's handle and rebuild its pipelines.
+// On compilation or pipeline errors the previous version stays in use.
+async function reloadShaderModule(entry, fileName, code) {
+    const obj = getHandle(entry.handle);
+    if (!obj || !obj.device) return;
+
+    const module = obj.device.createShaderModule({ label: obj.label || undefined, code: code });
+    const messages = collectCompilationMessages(await module.getCompilationInfo(), code);
+    if (messages.some((m) => m.type === "error")) {
+        console.error(formatCompilationMessages(obj.label || fileName, messages));
+        console.error("Shader hot reload: " + fileName + " has errors, keeping the previous version");
+        return;
+    }
+    if (messages.length > 0) console.warn(formatCompilationMessages(obj.label || fileName, messages));
+
+    // Build every dependent pipeline before swapping anything, so a failure
+    // leaves the previous module and pipelines fully in place.
+    const moduleFor = (handle) => {
+        if (handle === entry.handle) return module;
+        const moduleObj = getHandle(handle);
+        return moduleObj ? moduleObj.module : null;
+    };
+    const rebuilt = [];
+    for (const pipelineObj of handleRegistry.values()) {
+        const info = pipelineObj.hotReload;
+        if (!info || !info.moduleHandles.includes(entry.handle)) continue;
+        try {
+            let descriptor;
+            let pipeline;
+            if (pipelineObj.type === "renderPipeline") {
+                const vertexModule = moduleFor(info.moduleHandles[0]);
+                const fragmentModule = info.descriptor.fragment ? moduleFor(info.moduleHandles[1]) : null;
+                if (!vertexModule || (info.descriptor.fragment && !fragmentModule)) {
+                    // The other stage's module was released; the pipeline keeps its current version
+                    console.warn("Shader hot reload: skipping a pipeline using " + fileName + " whose other shader module was released");
+                    continue;
+                }
+                descriptor = { ...info.descriptor, vertex: { ...info.descriptor.vertex, module: vertexModule } };
+                if (info.descriptor.fragment) {
+                    descriptor.fragment = { ...info.descriptor.fragment, module: fragmentModule };
+                }
+                pipeline = await obj.device.createRenderPipelineAsync(descriptor);
+            } else {
+                descriptor = { ...info.descriptor, compute: { ...info.descriptor.compute, module: module } };
+                pipeline = await obj.device.createComputePipelineAsync(descriptor);
+            }
+            rebuilt.push({ pipelineObj: pipelineObj, descriptor: descriptor, pipeline: pipeline });
+        } catch (e) {
+            console.error("Shader hot reload: failed to rebuild a pipeline from " + fileName + ", keeping the previous version:", e.message || e);
+            return;
+        }
+    }
+
+    obj.module = module;
+    obj.compilationMessages = Promise.resolve(messages);
+    for (const { pipelineObj, descriptor, pipeline } of rebuilt) {
+        pipelineObj.pipeline = pipeline;
+        pipelineObj.hotReload.descriptor = descriptor;
+    }
+    entry.code = code;
+    dbg("Shader hot reload: reloaded " + fileName + " (" + rebuilt.length + " pipeline" + (rebuilt.length === 1 ? "" : "s") + " rebuilt)");
+}
+
+// Start polling the dev server for shader changes
+function startShaderHotReload() {
+    dbg("Shader hot reload enabled, watching " + HOT_RELOAD_ENDPOINT);
+    let warned = false;
+    const poll = () => {
+        pollShaderSources().then(() => {
+            warned = false;
+        }).catch((e) => {
+            if (!warned) {
+                console.warn("Shader hot reload: dev server unavailable (" + e.message + "); run python serve.py --hot-reload");
+                warned = true;
+            }
+        }).finally(() => setTimeout(poll, HOT_RELOAD_POLL_MS));
+    };
+    poll();
+}
+
+// =============================================================================
+// GPU Timer
+// Measures GPU time per render/compute pass with timestamp queries when the
+// device has the "timestamp-query" feature, either because WASM requested it
+// or because GPU_TIMER added it. Passes that don't write their own
+// timestamps get a begin/end query pair; at the end of each frame the queries
+// are resolved and read back asynchronously, then published to WASM
+// (web_gpu_pass_timings) and the host page (getGpuPassTimings()).
+// =============================================================================
+
+// Maximum number of passes timed per frame (two queries each)
+const GPU_TIMER_MAX_PASSES = 16;
+
+const gpuTimer = {
+    device: null,        // Device the query set and buffers belong to
+    querySet: null,
+    resolveBuffer: null,
+    readbackBuffer: null,
+    readbackPending: false,
+    frameActive: false,  // Passes are being timed this frame
+    passLabels: [],      // Label of each timed pass this frame
+    lastTimings: [],     // [{ label, ms }] of the most recently measured frame
+};
+
+// Start timing a frame. Skipped while the previous frame's readback is in
+// flight, and whenever the current device lacks timestamp queries.
+function gpuTimerBeginFrame() {
+    gpuTimer.frameActive = false;
+    gpuTimer.passLabels = [];
+    if (!gpuDevice || !gpuDevice.features.has("timestamp-query")) return;
+
+    if (gpuTimer.device !== gpuDevice) {
+        // First frame, or the device was replaced after a loss
+        gpuTimer.device = gpuDevice;
+        gpuTimer.readbackPending = false;
+        const queryCount = GPU_TIMER_MAX_PASSES * 2;
+        gpuTimer.querySet = gpuDevice.createQuerySet({ type: "timestamp", count: queryCount });
+        gpuTimer.resolveBuffer = gpuDevice.createBuffer({
+            size: queryCount * 8,
+            usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC,
+        });
+        gpuTimer.readbackBuffer = gpuDevice.createBuffer({
+            size: queryCount * 8,
+            usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
+        });
+        dbg("GPU timer enabled (timestamp-query)");
+    }
+    gpuTimer.frameActive = !gpuTimer.readbackPending;
+}
+
+// Timestamp writes for the next pass of this frame, or undefined if the pass
+// is not timed.
+function gpuTimerPassTimestampWrites(label) {
+    if (!gpuTimer.frameActive || gpuTimer.passLabels.length >= GPU_TIMER_MAX_PASSES) return undefined;
+    const index = gpuTimer.passLabels.length;
+    gpuTimer.passLabels.push(label || "pass " + index);
+    return {
+        querySet: gpuTimer.querySet,
+        beginningOfPassWriteIndex: index * 2,
+        endOfPassWriteIndex: index * 2 + 1,
+    };
+}
+
+// Resolve this frame's queries and read them back asynchronously.
+function gpuTimerEndFrame() {
+    if (!gpuTimer.frameActive) return;
+    gpuTimer.frameActive = false;
+    const passCount = gpuTimer.passLabels.length;
+    if (passCount === 0) return;
+
+    const device = gpuTimer.device;
+    const labels = gpuTimer.passLabels;
+    const encoder = device.createCommandEncoder();
+    encoder.resolveQuerySet(gpuTimer.querySet, 0, passCount * 2, gpuTimer.resolveBuffer, 0);
+    encoder.copyBufferToBuffer(gpuTimer.resolveBuffer, 0, gpuTimer.readbackBuffer, 0, passCount * 16);
+    device.queue.submit([encoder.finish()]);
+
+    const readbackBuffer = gpuTimer.readbackBuffer;
+    gpuTimer.readbackPending = true;
+    readbackBuffer.mapAsync(GPUMapMode.READ, 0, passCount * 16).then(() => {
+        const timestamps = new BigInt64Array(readbackBuffer.getMappedRange(0, passCount * 16));
+        const timings = labels.map((label, i) => {
+            const ns = Number(timestamps[i * 2 + 1] - timestamps[i * 2]);
+            return { label: label, ms: Math.max(ns, 0) / 1e6 };
+        });
+        readbackBuffer.unmap();
+        gpuTimer.readbackPending = false;
+        gpuTimer.lastTimings = timings;
+        publishGpuPassTimings(timings);
+    }).catch((e) => {
+        // The device was lost or the buffer destroyed; the next frame starts over
+        dbg("GPU timer readback failed: " + e.message);
+        gpuTimer.readbackPending = false;
+    });
+}
+
+// Hand per-pass durations (f64 milliseconds) to WASM
+function publishGpuPassTimings(timings) {
+    const exports = wasmInstance ? wasmInstance.exports : null;
+    if (!exports || !exports.web_gpu_pass_timings) return;
+    const size = timings.length * 8;
+    const ptr = wasmAlloc(size);
+    if (!ptr) return;
+    timings.forEach((timing, i) => writeF64(ptr + i * 8, timing.ms));
+    exports.web_gpu_pass_timings(ptr, timings.length);
+    wasmFree(ptr, size);
+}
+
+// =============================================================================
+// Trace Capture
+// Records every wgpu* import call for a number of frames: the raw arguments,
+// the returned handle, the descriptor the bridge decoded from WASM memory and
+// any data payload (queue writes, mapped-at-creation contents). GPU objects in
+// descriptors are stored as { $handle: n } so the trace can be replayed
+// offline against another device or a mock (see trace_replay.js). Only a
+// capture that starts at page load (?capture=N) contains the resources
+// created during setup.
+// =============================================================================
+
+// Trace format version, bumped on incompatible changes to the entry layout
+const TRACE_VERSION = 1;
+// Capture stops early once this many calls are recorded
+const TRACE_MAX_ENTRIES = 500000;
+
+const trace = {
+    active: false,
+    fromStart: false,     // Capture began before WASM was instantiated
+    frames: 0,            // Frames left to capture
+    frame: 0,             // Frame number of new entries (0 = before the main loop)
+    entries: [],
+    current: null,        // Entry of the wgpu* call in progress
+    objectHandles: new WeakMap(), // GPU object → handle it was registered under
+    onComplete: null,
+    last: null,           // Most recently completed trace
+};
+
+// Remember which handle a GPU object belongs to so descriptors can refer to
+// it. The first registration wins: wrappers such as the queue and swap chain
+// also hold the device they belong to.
+function traceTrackHandle(handle, obj) {
+    for (const value of Object.values(obj)) {
+        if (value !== null && typeof value === "object" && !trace.objectHandles.has(value)) {
+            trace.objectHandles.set(value, handle);
+        }
+    }
+}
+
+// Convert a decoded descriptor into JSON-safe form. Unregistered GPU objects
+// (e.g. the GPU timer's query set) become { $object: "<class>" }.
+function traceValue(value) {
+    if (typeof value === "bigint") return value.toString();
+    if (value === null || typeof value !== "object") return value;
+    const handle = trace.objectHandles.get(value);
+    if (handle !== undefined) return { $handle: handle };
+    if (ArrayBuffer.isView(value)) return Array.from(value);
+    if (Array.isArray(value)) return value.map(traceValue);
+    if (Object.getPrototypeOf(value) !== Object.prototype) {
+        return { $object: value.constructor ? value.constructor.name : "object" };
+    }
+    const out = {};
+    for (const [key, field] of Object.entries(value)) {
+        if (field !== undefined) out[key] = traceValue(field);
+    }
+    return out;
+}
+
+// Attach the decoded descriptor to the call being recorded. Returns the
+// descriptor so it can wrap the argument of the browser call.
+function traceDescriptor(desc) {
+    if (trace.current) trace.current.desc = traceValue(desc);
+    return desc;
+}
+
+// Attach a data payload (base64) to the call being recorded
+function traceData(bytes) {
+    if (trace.current) trace.current.data = bytesToBase64(bytes);
+}
+
+function bytesToBase64(bytes) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+// Wrap each wgpu* stub so calls are recorded while a capture is active
+function traceWrapStubs(stubs) {
+    const wrapped = {};
+    for (const [name, fn] of Object.entries(stubs)) {
+        wrapped[name] = (...args) => {
+            if (!trace.active) return fn(...args);
+            const entry = { frame: trace.frame, call: name, args: args.map(traceValue) };
+            trace.entries.push(entry);
+            const outer = trace.current;
+            trace.current = entry;
+            try {
+                const result = fn(...args);
+                if (result !== undefined) entry.result = traceValue(result);
+                return result;
+            } finally {
+                trace.current = outer;
+                if (trace.entries.length >= TRACE_MAX_ENTRIES) {
+                    console.warn("WebGPU capture: " + TRACE_MAX_ENTRIES + " calls recorded, stopping early");
+                    finishCapture();
+                }
+            }
+        };
+    }
+    return wrapped;
+}
+
+function traceBeginFrame() {
+    if (trace.active) trace.frame++;
+}
+
+function traceEndFrame() {
+    if (trace.active && trace.frame >= trace.frames) finishCapture();
+}
+
+function finishCapture() {
+    if (!trace.active) return;
+    trace.active = false;
+    trace.last = {
+        version: TRACE_VERSION,
+        fromStart: trace.fromStart,
+        frames: trace.frame,
+        userAgent: navigator.userAgent,
+        canvas: canvasElement ? { width: canvasElement.width, height: canvasElement.height } : null,
+        preferredCanvasFormat: preferredCanvasFormat,
+        entries: trace.entries,
+    };
+    trace.entries = [];
+    dbg("WebGPU capture complete: " + trace.last.entries.length + " calls over " + trace.last.frames + " frame(s)");
+    const onComplete = trace.onComplete;
+    trace.onComplete = null;
+    if (onComplete) onComplete(trace.last);
+}
+
+function beginCapture(frames, fromStart) {
+    if (!CAPTURE_ENABLED) {
+        return Promise.reject(new Error("WebGPU capture is off; open the page with ?capture"));
+    }
+    if (!Number.isInteger(frames) || frames < 1) {
+        return Promise.reject(new Error("WebGPU capture needs a positive whole number of frames, got " + frames));
+    }
+    if (trace.active) return Promise.reject(new Error("WebGPU capture already in progress"));
+    trace.active = true;
+    trace.fromStart = fromStart;
+    trace.frames = frames;
+    trace.frame = 0;
+    trace.entries = [];
+    return new Promise((resolve) => { trace.onComplete = resolve; });
+}
+
 // =============================================================================
 // WebGPU Bindings - Complete implementation bridging wgpu* calls to browser API
 // =============================================================================
 
+// Report a device loss to WASM and start recovery unless the device was
+// destroyed on purpose. `request` holds what is needed to request an
+// equivalent device again: { adapterOptions, descriptor, lostCallback, lostUserdata }.
+function watchDeviceLoss(device, request) {
+    device.lost.then((info) => {
+        console.error("WebGPU device lost: " + info.reason + " - " + info.message);
+        const exports = wasmInstance ? wasmInstance.exports : null;
+        const recoverable = info.reason !== "destroyed" && exports && exports.web_gpu_device_lost;
+
+        // Pause rendering before the app's own callback runs
+        if (recoverable) exports.web_gpu_device_lost();
+
+        // DeviceLostReason: 0=undefined, 1=destroyed
+        if (request.lostCallback) {
+            const callbackFunc = getWasmCallback(request.lostCallback, "device_lost_callback");
+            if (callbackFunc) {
+                const msg = allocCString(info.message);
+                callbackFunc(info.reason === "destroyed" ? 1 : 0, msg.ptr, request.lostUserdata);
+                wasmFree(msg.ptr, msg.size);
+            }
+        }
+
+        if (recoverable) recoverDevice(request);
+    });
+}
+
+// Request a replacement adapter and device after a device loss, retrying with
+// exponential backoff. Reports the outcome through web_gpu_device_restored()
+// or web_gpu_device_recovery_failed().
+async function recoverDevice(request) {
+    const exports = wasmInstance.exports;
+    if (deviceRecoveryCount >= DEVICE_RECOVERY_MAX_RECOVERIES) {
+        console.error("WebGPU device recovery: giving up, device already recovered " + deviceRecoveryCount + " times");
+        exports.web_gpu_device_recovery_failed();
+        return;
+    }
+    deviceRecoveryCount++;
+
+    for (let attempt = 1; attempt <= DEVICE_RECOVERY_MAX_ATTEMPTS; attempt++) {
+        const delay = DEVICE_RECOVERY_BASE_DELAY_MS * 2 ** (attempt - 1);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        try {
+            const adapter = await navigator.gpu.requestAdapter(request.adapterOptions);
+            if (!adapter) throw new Error("no WebGPU adapter available");
+            const device = await adapter.requestDevice(request.descriptor);
+
+            gpuDevice = device;
+            watchDeviceLoss(device, request);
+            const adapterHandle = registerHandle({ type: "adapter", adapter: adapter, options: request.adapterOptions });
+            const deviceHandle = registerHandle({ type: "device", device: device });
+            dbg("WebGPU device restored (attempt " + attempt + ")");
+            exports.web_gpu_device_restored(adapterHandle, deviceHandle);
+            return;
+        } catch (e) {
+            console.warn("WebGPU device recovery attempt " + attempt + "/" + DEVICE_RECOVERY_MAX_ATTEMPTS + " failed:", e);
+        }
+    }
+
+    console.error("WebGPU device recovery failed after " + DEVICE_RECOVERY_MAX_ATTEMPTS + " attempts");
+    exports.web_gpu_device_recovery_failed();
+}
+
 // Pending async operations storage
 const pendingAdapterRequests = new Map();
 const pendingDeviceRequests = new Map();
@@ -473,67 +1365,191 @@ const webgpuStubs = {
     },
 
     wgpuInstanceRequestAdapter: (instanceHandle, optionsPtr, callback, userdata) => {
-        // Use pre-initialized adapter and call the callback synchronously.
-        // The adapter was already requested in init(), so we can return it immediately.
-        // Use pre-initialized adapter to avoid async issues
-        
-        const table = wasmInstance.exports.__indirect_function_table;
-        const callbackFunc = table.get(callback);
-        if (callbackFunc) {
-            // Call callback synchronously with success status and pre-initialized handle
-            // Status: 0 = success
-            callbackFunc(0, preInitAdapterHandle, 0, userdata);
-        } else {
-            console.error("wgpuInstanceRequestAdapter: callback function not found at index", callback);
+        // RequestAdapterOptions is nullable; backend_type and compatibility_mode
+        // are ignored since the browser picks the backend.
+        const options = {};
+        if (optionsPtr) {
+            const desc = readStruct("RequestAdapterOptions", optionsPtr);
+            const powerPreference = POWER_PREFERENCE_MAP[desc.power_preference];
+            if (powerPreference) options.powerPreference = powerPreference;
+            options.forceFallbackAdapter = desc.force_fallback_adapter;
         }
-    },
+        dbg("Requesting adapter: " + JSON.stringify(options));
+
+        // RequestAdapterStatus: 0=success, 1=unavailable, 2=error, 3=unknown.
+        // The callback always fires from a promise continuation, never synchronously.
+        const respond = (status, adapterHandle, message) => {
+            const callbackFunc = getWasmCallback(callback, "wgpuInstanceRequestAdapter");
+            if (!callbackFunc) return;
+            const msg = allocCString(message);
+            callbackFunc(status, adapterHandle, msg.ptr, userdata);
+            wasmFree(msg.ptr, msg.size);
+        };
+
+        navigator.gpu.requestAdapter(options).then((adapter) => {
+            if (!adapter) {
+                console.error("requestAdapter: no WebGPU adapter available for " + JSON.stringify(options));
+                respond(1, 0, "No WebGPU adapter available for the requested options");
+                return;
+            }
+            if (adapter.info) {
+                const info = adapter.info;
+                dbg("Adapter info: " + JSON.stringify({vendor: info.vendor, architecture: info.architecture, device: info.device, description: info.description}));
+            }
+            dbg("Adapter features: " + Array.from(adapter.features).join(", "));
+            // Keep the options so device-loss recovery can request an equivalent adapter
+            respond(0, registerHandle({ type: "adapter", adapter: adapter, options: options }), null);
+        }).catch((e) => {
+            console.error("requestAdapter failed:", e);
+            respond(2, 0, e.message || String(e));
+        });
+    },
 
     // -------------------------------------------------------------------------
     // Adapter
     // -------------------------------------------------------------------------
 
     wgpuAdapterRelease: (adapterHandle) => {
+        const obj = getHandle(adapterHandle);
+        if (obj && obj.propertyStrings) {
+            obj.propertyStrings.forEach((str) => wasmFree(str.ptr, str.size));
+        }
         freeHandle(adapterHandle);
     },
 
     wgpuAdapterGetProperties: (adapterHandle, propertiesPtr) => {
-        // AdapterProperties structure layout (based on wgpu.zig):
-        // offset 0: next_in_chain (ptr) - 4 bytes on wasm32
-        // offset 4: vendor_id (u32)
-        // offset 8: vendor_name (ptr to string)
-        // offset 12: architecture (ptr to string)
-        // offset 16: device_id (u32)
-        // offset 20: name (ptr to string)
-        // offset 24: driver_description (ptr to string)
-        // offset 28: adapter_type (u32 enum)
-        // offset 32: backend_type (u32 enum)
-        // offset 36: compatibility_mode (bool/u32)
-        
-        // For browser WebGPU, we don't have detailed adapter info access.
-        // Fill in placeholder values.
-        writeU32(propertiesPtr + 4, 0);  // vendor_id
-        writeU32(propertiesPtr + 8, 0);  // vendor_name (null)
-        writeU32(propertiesPtr + 12, 0); // architecture (null)
-        writeU32(propertiesPtr + 16, 0); // device_id
-        writeU32(propertiesPtr + 20, 0); // name (null)
-        writeU32(propertiesPtr + 24, 0); // driver_description (null)
-        writeU32(propertiesPtr + 28, 3); // adapter_type: unknown
-        writeU32(propertiesPtr + 32, 2); // backend_type: webgpu
-        writeU32(propertiesPtr + 36, 0); // compatibility_mode: false
+        const obj = getHandle(adapterHandle);
+        if (!obj || !obj.adapter) {
+            console.error("wgpuAdapterGetProperties: invalid adapter handle");
+            return;
+        }
+
+        // GPUAdapterInfo only exposes strings (numeric PCI ids are not
+        // available to web content). The strings are copied into WASM memory
+        // once per adapter and stay valid until wgpuAdapterRelease. Empty
+        // strings are still allocated since the Zig fields are non-nullable.
+        if (!obj.propertyStrings) {
+            const info = obj.adapter.info || {};
+            const copyString = (str) => allocCString(str, { allocEmpty: true });
+            obj.propertyStrings = [
+                copyString(info.vendor),
+                copyString(info.architecture),
+                copyString(info.device || info.description),
+                copyString(info.description),
+            ];
+        }
+        const [vendor, architecture, name, description] = obj.propertyStrings;
+
+        writeStruct("AdapterProperties", propertiesPtr, {
+            vendor_id: 0, // not exposed by browsers
+            vendor_name: vendor.ptr,
+            architecture: architecture.ptr,
+            device_id: 0, // not exposed by browsers
+            name: name.ptr,
+            driver_description: description.ptr,
+            adapter_type: 3, // unknown
+            backend_type: 2, // webgpu
+            compatibility_mode: false,
+        });
+    },
+
+    wgpuAdapterEnumerateFeatures: (adapterHandle, featuresPtr) => {
+        // Returns the feature count; writes the FeatureName values when
+        // featuresPtr is non-null (call once to size the array, then again).
+        const obj = getHandle(adapterHandle);
+        if (!obj || !obj.adapter) return 0;
+
+        const features = featureSetToWasm(obj.adapter.features);
+        if (featuresPtr) {
+            features.forEach((value, i) => writeU32(featuresPtr + i * 4, value));
+        }
+        return features.length;
+    },
+
+    wgpuAdapterHasFeature: (adapterHandle, feature) => {
+        const obj = getHandle(adapterHandle);
+        if (!obj || !obj.adapter) return false;
+        const name = featureNameToJS(feature);
+        return name !== undefined && obj.adapter.features.has(name);
+    },
+
+    wgpuAdapterGetLimits: (adapterHandle, limitsPtr) => {
+        const obj = getHandle(adapterHandle);
+        if (!obj || !obj.adapter || !limitsPtr) return false;
+        writeSupportedLimits(limitsPtr, obj.adapter.limits);
+        return true;
     },
 
     wgpuAdapterRequestDevice: (adapterHandle, descriptorPtr, callback, userdata) => {
-        // Use pre-initialized device and call the callback synchronously.
-        // Use pre-initialized device to avoid async issues
-        
-        const table = wasmInstance.exports.__indirect_function_table;
-        const callbackFunc = table.get(callback);
-        if (callbackFunc) {
-            // Call callback synchronously with success status and pre-initialized handle
-            callbackFunc(0, preInitDeviceHandle, 0, userdata);
-        } else {
-            console.error("wgpuAdapterRequestDevice: callback function not found at index", callback);
+        // RequestDeviceStatus: 0=success, 1=error, 2=unknown.
+        // The callback always fires from a promise continuation, never synchronously.
+        const respond = (status, deviceHandle, message) => {
+            const callbackFunc = getWasmCallback(callback, "wgpuAdapterRequestDevice");
+            if (!callbackFunc) return;
+            const msg = allocCString(message);
+            callbackFunc(status, deviceHandle, msg.ptr, userdata);
+            wasmFree(msg.ptr, msg.size);
+        };
+
+        const adapterObj = getHandle(adapterHandle);
+        if (!adapterObj || !adapterObj.adapter) {
+            Promise.resolve().then(() => respond(1, 0, "Invalid adapter handle"));
+            return;
+        }
+        const adapter = adapterObj.adapter;
+
+        // DeviceDescriptor is nullable; device_lost_callback is a function
+        // table index (0 = none).
+        const descriptor = {};
+        let lostCallback = 0;
+        let lostUserdata = 0;
+        if (descriptorPtr) {
+            const desc = readStruct("DeviceDescriptor", descriptorPtr);
+
+            const requiredFeatures = [];
+            for (const feature of desc.required_features) {
+                const name = featureNameToJS(feature);
+                if (!name) {
+                    Promise.resolve().then(() => respond(1, 0, "Unsupported feature requested: 0x" + feature.toString(16)));
+                    return;
+                }
+                requiredFeatures.push(name);
+            }
+            descriptor.requiredFeatures = requiredFeatures;
+
+            if (desc.required_limits) {
+                descriptor.requiredLimits = limitsToJS(readStruct("RequiredLimits", desc.required_limits).limits, adapter);
+            }
+
+            lostCallback = desc.device_lost_callback;
+            lostUserdata = desc.device_lost_user_data;
+        }
+
+        // Enable timestamp queries for the GPU timer when it was asked for on
+        // the page, even if the app didn't request the feature itself.
+        if (GPU_TIMER && adapter.features.has("timestamp-query")) {
+            const features = descriptor.requiredFeatures || [];
+            if (!features.includes("timestamp-query")) {
+                descriptor.requiredFeatures = [...features, "timestamp-query"];
+            }
         }
+        dbg("Requesting device: " + JSON.stringify(descriptor));
+
+        adapter.requestDevice(descriptor).then((device) => {
+            gpuDevice = device;
+            watchDeviceLoss(device, {
+                adapterOptions: adapterObj.options || {},
+                descriptor: descriptor,
+                lostCallback: lostCallback,
+                lostUserdata: lostUserdata,
+            });
+
+            dbg("Device obtained");
+            respond(0, registerHandle({ type: "device", device: device }), null);
+        }).catch((e) => {
+            console.error("requestDevice failed:", e);
+            respond(1, 0, e.message || String(e));
+        });
     },
 
     // -------------------------------------------------------------------------
@@ -551,12 +1567,57 @@ const webgpuStubs = {
     wgpuDeviceSetUncapturedErrorCallback: (deviceHandle, callback, userdata) => {
         const obj = getHandle(deviceHandle);
         if (!obj || !obj.device) return;
-        
-        obj.device.addEventListener("uncapturedError", (event) => {
+
+        // Assigning the handler property replaces any previous callback
+        // instead of stacking listeners. A null callback only logs.
+        obj.device.onuncapturederror = (event) => {
             console.error("WebGPU uncaptured error:", event.error.message);
+            if (callback) {
+                callErrorCallback(callback, "wgpuDeviceSetUncapturedErrorCallback",
+                    errorTypeFromJS(event.error), event.error.message, userdata);
+            }
+        };
+    },
+
+    wgpuDevicePushErrorScope: (deviceHandle, filter) => {
+        const obj = getHandle(deviceHandle);
+        if (!obj || !obj.device) return;
+
+        const filterStr = ERROR_FILTER_MAP[filter];
+        if (!filterStr) {
+            console.error("wgpuDevicePushErrorScope: unknown error filter", filter);
+            return;
+        }
+        obj.device.pushErrorScope(filterStr);
+    },
+
+    wgpuDevicePopErrorScope: (deviceHandle, callback, userdata) => {
+        // The callback fires from a promise continuation with NoError when the
+        // scope caught nothing. Popping an empty stack reports Unknown.
+        const respond = (errorType, message) => {
+            if (callback) callErrorCallback(callback, "wgpuDevicePopErrorScope", errorType, message, userdata);
+        };
+
+        const obj = getHandle(deviceHandle);
+        if (!obj || !obj.device) {
+            Promise.resolve().then(() => respond(ERROR_TYPE_UNKNOWN, "Invalid device handle"));
+            return;
+        }
+
+        obj.device.popErrorScope().then((error) => {
+            respond(errorTypeFromJS(error), error ? error.message : null);
+        }).catch((e) => {
+            respond(ERROR_TYPE_UNKNOWN, e.message || String(e));
         });
     },
 
+    wgpuDeviceGetLimits: (deviceHandle, limitsPtr) => {
+        const obj = getHandle(deviceHandle);
+        if (!obj || !obj.device || !limitsPtr) return false;
+        writeSupportedLimits(limitsPtr, obj.device.limits);
+        return true;
+    },
+
     wgpuDeviceGetQueue: (deviceHandle) => {
         const obj = getHandle(deviceHandle);
         if (!obj || !obj.device) return 0;
@@ -576,28 +1637,21 @@ const webgpuStubs = {
             return 0;
         }
 
-        // SwapChainDescriptor layout:
-        // offset 0: next_in_chain (ptr)
-        // offset 4: label (ptr)
-        // offset 8: usage (u32 flags)
-        // offset 12: format (u32 enum)
-        // offset 16: width (u32)
-        // offset 20: height (u32)
-        // offset 24: present_mode (u32 enum)
-
-        const usage = readU32(descriptorPtr + 8);
-        const format = readU32(descriptorPtr + 12);
-        const width = readU32(descriptorPtr + 16);
-        const height = readU32(descriptorPtr + 20);
-        
-
+        const { format, width, height } = readStruct("SwapChainDescriptor", descriptorPtr);
 
         // Configure the canvas context (this is browser's equivalent of swap chain)
-        const formatStr = preferredCanvasFormat;
-        const zigFormatStr = textureFormatToJS(format);
-        dbg(`Swap chain: zig format=${zigFormatStr} (0x${format.toString(16)}), browser preferred=${formatStr}, size=${width}x${height}`);
+        // with the requested format. The canvas is the only place that falls
+        // back to the browser's preferred format, for formats it can't present.
+        const requestedFormatStr = TEXTURE_FORMAT_MAP[format];
+        let formatStr = requestedFormatStr;
+        if (!CANVAS_FORMATS.includes(requestedFormatStr)) {
+            formatStr = preferredCanvasFormat;
+            console.warn(`Swap chain format ${requestedFormatStr} (0x${format.toString(16)}) can't be used for a canvas, using ${formatStr}`);
+        }
+        dbg(`Swap chain: format=${formatStr}, browser preferred=${preferredCanvasFormat}, size=${width}x${height}`);
         dbg(`Canvas backing: ${canvasElement.width}x${canvasElement.height}, CSS: ${canvasElement.clientWidth}x${canvasElement.clientHeight}`);
         
+        traceDescriptor({ format: formatStr, width: width, height: height });
         try {
             surfaceObj.context.configure({
                 device: deviceObj.device,
@@ -630,24 +1684,14 @@ const webgpuStubs = {
         const deviceObj = getHandle(deviceHandle);
         if (!deviceObj || !deviceObj.device) return 0;
 
-        // ShaderModuleDescriptor layout:
-        // offset 0: next_in_chain (ptr) - points to ShaderModuleWGSLDescriptor
-        // offset 4: label (ptr)
-
-        const nextInChain = readU32(descriptorPtr);
-        if (!nextInChain) {
+        // next_in_chain points to the ShaderModuleWGSLDescriptor with the source
+        const desc = readStruct("ShaderModuleDescriptor", descriptorPtr);
+        if (!desc.next_in_chain) {
             console.error("No shader source provided");
             return 0;
         }
-
-        // ShaderModuleWGSLDescriptor (chained):
-        // offset 0: chain.next (ptr)
-        // offset 4: chain.struct_type (u32) - should be 6 for WGSL
-        // offset 8: code (ptr to string)
-
-        const structType = readU32(nextInChain + 4);
-        const codePtr = readU32(nextInChain + 8);
-        const code = readCString(codePtr);
+        const code = readStruct("ShaderModuleWGSLDescriptor", desc.next_in_chain).code;
+        const label = desc.label;
 
         if (!code) {
             console.error("Empty shader code");
@@ -655,10 +1699,36 @@ const webgpuStubs = {
         }
 
         try {
-            const shaderModule = deviceObj.device.createShaderModule({
+            const shaderModule = deviceObj.device.createShaderModule(traceDescriptor({
+                label: label || undefined,
                 code: code,
+            }));
+
+            // WGSL errors are only reported through getCompilationInfo(); print
+            // them now instead of as a pipeline validation failure later.
+            // Errors and warnings always reach the console (and the ?debug
+            // overlay); info messages only in debug mode.
+            const compilationMessages = shaderModule.getCompilationInfo().then((info) => {
+                const messages = collectCompilationMessages(info, code);
+                const hasError = messages.some((m) => m.type === "error");
+                const hasWarning = messages.some((m) => m.type === "warning");
+                if (hasError) console.error(formatCompilationMessages(label, messages));
+                else if (hasWarning) console.warn(formatCompilationMessages(label, messages));
+                else if (messages.length > 0) dbg(formatCompilationMessages(label, messages));
+                return messages;
+            });
+            compilationMessages.catch((e) => dbg("getCompilationInfo failed: " + e.message));
+
+            const handle = registerHandle({
+                type: "shaderModule",
+                module: shaderModule,
+                compilationMessages: compilationMessages,
+                // Kept for hot reload, which recompiles on the same device
+                device: deviceObj.device,
+                label: label,
             });
-            return registerHandle({ type: "shaderModule", module: shaderModule });
+            if (HOT_RELOAD) hotReloadTrackModule(handle, code);
+            return handle;
         } catch (e) {
             console.error("Shader compilation failed:", e);
             return 0;
@@ -669,98 +1739,52 @@ const webgpuStubs = {
         const deviceObj = getHandle(deviceHandle);
         if (!deviceObj || !deviceObj.device) return 0;
 
-        // BindGroupLayoutDescriptor:
-        // offset 0: next_in_chain (ptr)
-        // offset 4: label (ptr)
-        // offset 8: entry_count (usize = u32 on wasm32)
-        // offset 12: entries (ptr)
-
-        const entryCount = readU32(descriptorPtr + 8);
-        const entriesPtr = readU32(descriptorPtr + 12);
-
+        const desc = readStruct("BindGroupLayoutDescriptor", descriptorPtr);
         const entries = [];
-        
-        // BindGroupLayoutEntry layout on wasm32 (80 bytes, align 8):
-        //   offset  0: next_in_chain (ptr, 4)
-        //   offset  4: binding (u32, 4)
-        //   offset  8: visibility (ShaderStage packed u32, 4)
-        //   offset 12: [padding 4 bytes for align(8)]
-        //   --- buffer: BufferBindingLayout (24 bytes, align 8) ---
-        //   offset 16: buffer.next_in_chain (ptr, 4)
-        //   offset 20: buffer.binding_type (u32 enum: 0=undef, 1=uniform, 2=storage, 3=read_only_storage)
-        //   offset 24: buffer.has_dynamic_offset (U32Bool: 0=false, 1=true)
-        //   offset 28: [padding 4 bytes for u64]
-        //   offset 32: buffer.min_binding_size (u64)
-        //   --- sampler: SamplerBindingLayout (8 bytes) ---
-        //   offset 40: sampler.next_in_chain (ptr, 4)
-        //   offset 44: sampler.binding_type (u32 enum: 0=undef, 1=filtering, 2=non_filtering, 3=comparison)
-        //   --- texture: TextureBindingLayout (16 bytes) ---
-        //   offset 48: texture.next_in_chain (ptr, 4)
-        //   offset 52: texture.sample_type (u32 enum)
-        //   offset 56: texture.view_dimension (u32 enum)
-        //   offset 60: texture.multisampled (bool, 1 byte + 3 pad)
-        //   --- storage_texture: StorageTextureBindingLayout (16 bytes) ---
-        //   offset 64: storage_texture.next_in_chain (ptr, 4)
-        //   offset 68: storage_texture.access (u32 enum)
-        //   offset 72: storage_texture.format (u32 enum)
-        //   offset 76: storage_texture.view_dimension (u32 enum)
-        const ENTRY_SIZE = 80;
 
         const BUFFER_BINDING_TYPE_MAP = { 1: "uniform", 2: "storage", 3: "read-only-storage" };
         const SAMPLER_BINDING_TYPE_MAP = { 1: "filtering", 2: "non-filtering", 3: "comparison" };
         const TEXTURE_SAMPLE_TYPE_MAP = { 1: "float", 2: "unfilterable-float", 3: "depth", 4: "sint", 5: "uint" };
-        const TEXTURE_VIEW_DIM_MAP = { 1: "1d", 2: "2d", 3: "2d-array", 4: "cube", 5: "cube-array", 6: "3d" };
         const STORAGE_ACCESS_MAP = { 1: "write-only", 2: "read-only", 3: "read-write" };
 
-        for (let i = 0; i < entryCount; i++) {
-            const entryPtr = entriesPtr + i * ENTRY_SIZE;
-            
-            const binding = readU32(entryPtr + 4);
-            const visibility = readU32(entryPtr + 8);
+        // Each entry carries all four binding layouts; the one with a
+        // non-zero (defined) type is the kind of binding.
+        desc.entries.forEach((src, i) => {
+            const binding = src.binding;
+            const visibility = src.visibility;
 
             const entry = {
                 binding: binding,
                 visibility: visibility,
             };
 
-            // Parse buffer binding (offset 20 = binding_type within the entry)
-            const bufferBindingType = readU32(entryPtr + 20);
-            if (bufferBindingType !== 0) {
+            if (src.buffer.binding_type !== 0) {
                 entry.buffer = {
-                    type: BUFFER_BINDING_TYPE_MAP[bufferBindingType] || "uniform",
-                    hasDynamicOffset: readU32(entryPtr + 24) !== 0,
-                    minBindingSize: Number(readU64(entryPtr + 32)),
+                    type: BUFFER_BINDING_TYPE_MAP[src.buffer.binding_type] || "uniform",
+                    hasDynamicOffset: src.buffer.has_dynamic_offset !== 0,
+                    minBindingSize: Number(src.buffer.min_binding_size),
                 };
             }
 
-            // Parse sampler binding (offset 44 = sampler.binding_type)
-            const samplerBindingType = readU32(entryPtr + 44);
-            if (samplerBindingType !== 0) {
+            if (src.sampler.binding_type !== 0) {
                 entry.sampler = {
-                    type: SAMPLER_BINDING_TYPE_MAP[samplerBindingType] || "filtering",
+                    type: SAMPLER_BINDING_TYPE_MAP[src.sampler.binding_type] || "filtering",
                 };
             }
 
-            // Parse texture binding (offset 52 = texture.sample_type)
-            const textureSampleType = readU32(entryPtr + 52);
-            if (textureSampleType !== 0) {
-                const viewDim = readU32(entryPtr + 56);
+            if (src.texture.sample_type !== 0) {
                 entry.texture = {
-                    sampleType: TEXTURE_SAMPLE_TYPE_MAP[textureSampleType] || "float",
-                    viewDimension: TEXTURE_VIEW_DIM_MAP[viewDim] || "2d",
-                    multisampled: (new Uint8Array(wasmMemory.buffer))[entryPtr + 60] !== 0,
+                    sampleType: TEXTURE_SAMPLE_TYPE_MAP[src.texture.sample_type] || "float",
+                    viewDimension: TEXTURE_VIEW_DIMENSION_MAP[src.texture.view_dimension] || "2d",
+                    multisampled: src.texture.multisampled,
                 };
             }
 
-            // Parse storage texture binding (offset 68 = storage_texture.access)
-            const storageAccess = readU32(entryPtr + 68);
-            if (storageAccess !== 0) {
-                const storageFmt = readU32(entryPtr + 72);
-                const storageViewDim = readU32(entryPtr + 76);
+            if (src.storage_texture.access !== 0) {
                 entry.storageTexture = {
-                    access: STORAGE_ACCESS_MAP[storageAccess] || "write-only",
-                    format: textureFormatToJS(storageFmt) || "rgba8unorm",
-                    viewDimension: TEXTURE_VIEW_DIM_MAP[storageViewDim] || "2d",
+                    access: STORAGE_ACCESS_MAP[src.storage_texture.access] || "write-only",
+                    format: textureFormatToJS(src.storage_texture.format) || "rgba8unorm",
+                    viewDimension: TEXTURE_VIEW_DIMENSION_MAP[src.storage_texture.view_dimension] || "2d",
                 };
             }
 
@@ -772,11 +1796,11 @@ const webgpuStubs = {
                 (entry.storageTexture ? " storage=" + entry.storageTexture.access : ""));
 
             entries.push(entry);
-        }
+        });
 
         try {
             if (DEBUG) deviceObj.device.pushErrorScope("validation");
-            const layout = deviceObj.device.createBindGroupLayout({ entries });
+            const layout = deviceObj.device.createBindGroupLayout(traceDescriptor({ entries }));
             if (DEBUG) deviceObj.device.popErrorScope().then(err => {
                 if (err) console.error("BindGroupLayout validation error: " + err.message);
             });
@@ -791,30 +1815,22 @@ const webgpuStubs = {
         const deviceObj = getHandle(deviceHandle);
         if (!deviceObj || !deviceObj.device) return 0;
 
-        // PipelineLayoutDescriptor:
-        // offset 0: next_in_chain (ptr)
-        // offset 4: label (ptr)
-        // offset 8: bind_group_layout_count (usize)
-        // offset 12: bind_group_layouts (ptr to array of handles)
-
-        const layoutCount = readU32(descriptorPtr + 8);
-        const layoutsPtr = readU32(descriptorPtr + 12);
+        const desc = readStruct("PipelineLayoutDescriptor", descriptorPtr);
 
         const bindGroupLayouts = [];
-        for (let i = 0; i < layoutCount; i++) {
-            const layoutHandle = readU32(layoutsPtr + i * 4);
+        for (const layoutHandle of desc.bind_group_layouts) {
             const layoutObj = getHandle(layoutHandle);
             if (layoutObj && layoutObj.layout) {
                 bindGroupLayouts.push(layoutObj.layout);
             }
         }
 
-        dbg("Creating pipeline layout with " + layoutCount + " bind group layout(s)");
+        dbg("Creating pipeline layout with " + desc.bind_group_layout_count + " bind group layout(s)");
         try {
             if (DEBUG) deviceObj.device.pushErrorScope("validation");
-            const pipelineLayout = deviceObj.device.createPipelineLayout({
+            const pipelineLayout = deviceObj.device.createPipelineLayout(traceDescriptor({
                 bindGroupLayouts: bindGroupLayouts,
-            });
+            }));
             if (DEBUG) deviceObj.device.popErrorScope().then(err => {
                 if (err) console.error("PipelineLayout validation error: " + err.message);
             });
@@ -829,174 +1845,68 @@ const webgpuStubs = {
         const deviceObj = getHandle(deviceHandle);
         if (!deviceObj || !deviceObj.device) return 0;
 
-        // This is a complex descriptor. Parse the essential fields.
-        // RenderPipelineDescriptor layout (simplified):
-        // offset 0: next_in_chain
-        // offset 4: label (ptr)
-        // offset 8: layout (handle)
-        // offset 12: vertex state starts
-
-        const layoutHandle = readU32(descriptorPtr + 8);
-        const layoutObj = getHandle(layoutHandle);
-
-        // Vertex state at offset 12:
-        // offset 12: vertex.next_in_chain
-        // offset 16: vertex.module (handle)
-        // offset 20: vertex.entry_point (ptr)
-        // offset 24: vertex.constant_count
-        // offset 28: vertex.constants (ptr)
-        // offset 32: vertex.buffer_count
-        // offset 36: vertex.buffers (ptr)
-
-        const vertexModuleHandle = readU32(descriptorPtr + 16);
-        const vertexEntryPointPtr = readU32(descriptorPtr + 20);
-        const vertexBufferCount = readU32(descriptorPtr + 32);
-        const vertexBuffersPtr = readU32(descriptorPtr + 36);
+        const desc = readStruct("RenderPipelineDescriptor", descriptorPtr);
+        const layoutObj = getHandle(desc.layout);
 
+        const vertexModuleHandle = desc.vertex.module;
         const vertexModuleObj = getHandle(vertexModuleHandle);
-        const vertexEntryPoint = vertexEntryPointPtr ? readCString(vertexEntryPointPtr) : "vs_main";
-
-        // Parse vertex buffers
-        const vertexBuffers = [];
-        // VertexBufferLayout is 24 bytes on wasm32:
-        // - array_stride: u64 (8 bytes) at offset 0
-        // - step_mode: u32 (4 bytes) at offset 8
-        // - attribute_count: usize/u32 (4 bytes) at offset 12
-        // - attributes: ptr (4 bytes) at offset 16
-        // - padding (4 bytes) to align to 8
-        const BUFFER_LAYOUT_SIZE = 24;
-        
-
-
-        for (let i = 0; i < vertexBufferCount; i++) {
-            const bufferPtr = vertexBuffersPtr + i * BUFFER_LAYOUT_SIZE;
-            
-            const arrayStride = Number(readU64(bufferPtr));
-            const stepMode = readU32(bufferPtr + 8);
-            const attrCount = readU32(bufferPtr + 12);
-            const attrsPtr = readU32(bufferPtr + 16);
-            
-
-
-            const attributes = [];
-            // VertexAttribute is 24 bytes on wasm32 (due to u64 alignment):
-            // - format: u32 (4 bytes) at offset 0
-            // - padding (4 bytes) to align u64
-            // - offset: u64 (8 bytes) at offset 8
-            // - shader_location: u32 (4 bytes) at offset 16
-            // - padding (4 bytes) to align next element
-            const ATTR_SIZE = 24;
-
-            for (let j = 0; j < attrCount; j++) {
-                const attrPtr = attrsPtr + j * ATTR_SIZE;
-                
-                const format = readU32(attrPtr);
-                const attrOffset = Number(readU64(attrPtr + 8));
-                const shaderLocation = readU32(attrPtr + 16);
-                
-
-
-                attributes.push({
-                    format: vertexFormatToJS(format),
-                    offset: attrOffset,
-                    shaderLocation: shaderLocation,
-                });
-            }
-
-            // VertexStepMode for emscripten:
-            // 0 = undefined, 1 = vertex_buffer_not_used, 2 = vertex, 3 = instance
-            const stepModeStr = stepMode === 2 ? "vertex" : (stepMode === 3 ? "instance" : "vertex");
-            vertexBuffers.push({
-                arrayStride: arrayStride,
-                stepMode: stepModeStr,
-                attributes: attributes,
-            });
-        }
-
-        // Parse primitive state from descriptor at offset 40
-        // PrimitiveState layout (20 bytes):
-        //   offset 0: next_in_chain (ptr)
-        //   offset 4: topology (u32 enum)
-        //   offset 8: strip_index_format (u32 enum)
-        //   offset 12: front_face (u32 enum)
-        //   offset 16: cull_mode (u32 enum)
-        const primTopology = readU32(descriptorPtr + 44);
-        const primFrontFace = readU32(descriptorPtr + 52);
-        const primCullMode = readU32(descriptorPtr + 56);
+        const vertexEntryPoint = desc.vertex.entry_point || "vs_main";
+
+        // VertexStepMode for emscripten:
+        // 0 = undefined, 1 = vertex_buffer_not_used, 2 = vertex, 3 = instance
+        const vertexBuffers = desc.vertex.buffers.map((layout) => ({
+            arrayStride: Number(layout.array_stride),
+            stepMode: layout.step_mode === 3 ? "instance" : "vertex",
+            attributes: layout.attributes.map((attr) => ({
+                format: vertexFormatToJS(attr.format),
+                offset: Number(attr.offset),
+                shaderLocation: attr.shader_location,
+            })),
+        }));
 
         const primitiveState = {
-            topology: primitiveTopologyToJS(primTopology),
-            frontFace: frontFaceToJS(primFrontFace),
-            cullMode: cullModeToJS(primCullMode),
+            topology: primitiveTopologyToJS(desc.primitive.topology),
+            frontFace: frontFaceToJS(desc.primitive.front_face),
+            cullMode: cullModeToJS(desc.primitive.cull_mode),
         };
+        // strip_index_format is only valid (and required) for strip topologies
+        if (desc.primitive.strip_index_format !== 0) {
+            primitiveState.stripIndexFormat = indexFormatToJS(desc.primitive.strip_index_format);
+        }
 
-        // Parse fragment state pointer at offset 80
-        // FragmentState layout (28 bytes):
-        //   offset 0: next_in_chain (ptr)
-        //   offset 4: module (handle)
-        //   offset 8: entry_point (ptr to string)
-        //   offset 12: constant_count (u32)
-        //   offset 16: constants (ptr)
-        //   offset 20: target_count (u32)
-        //   offset 24: targets (ptr to ColorTargetState array)
-        const fragmentStatePtr = readU32(descriptorPtr + 80);
         let fragmentState = null;
+        let fragmentModuleHandle = 0;
 
-        if (fragmentStatePtr) {
-            const fragModuleHandle = readU32(fragmentStatePtr + 4);
-            const fragEntryPointPtr = readU32(fragmentStatePtr + 8);
-            const fragTargetCount = readU32(fragmentStatePtr + 20);
-            const fragTargetsPtr = readU32(fragmentStatePtr + 24);
-
+        if (desc.fragment) {
+            const fragModuleHandle = desc.fragment.module;
             const fragModuleObj = getHandle(fragModuleHandle);
-            const fragEntryPoint = fragEntryPointPtr ? readCString(fragEntryPointPtr) : "fs_main";
-
-            // Parse color target states (each 16 bytes):
-            //   offset 0: next_in_chain (ptr)
-            //   offset 4: format (u32 enum)
-            //   offset 8: blend (ptr to BlendState, nullable)
-            //   offset 12: write_mask (u32, ColorWriteMask bits)
-            const targets = [];
-            const COLOR_TARGET_SIZE = 16;
-
-            for (let i = 0; i < fragTargetCount; i++) {
-                const tgtPtr = fragTargetsPtr + i * COLOR_TARGET_SIZE;
-                const zigFormat = readU32(tgtPtr + 4);
-                const blendPtr = readU32(tgtPtr + 8);
-                const writeMask = readU32(tgtPtr + 12);
-
-                const zigFormatStr = textureFormatToJS(zigFormat);
-
-                // Use browser's preferred format instead of Zig's hardcoded format,
-                // since the swap chain canvas context is configured with preferredCanvasFormat.
-                // On desktop Chrome this is bgra8unorm, on mobile Chrome it's rgba8unorm.
-                const targetFormat = preferredCanvasFormat;
+            const fragEntryPoint = desc.fragment.entry_point || "fs_main";
 
+            const targets = desc.fragment.targets.map((src, i) => {
+                // Use the format WASM asked for, so pipelines can target
+                // offscreen textures as well as the canvas.
                 const target = {
-                    format: targetFormat,
-                    writeMask: colorWriteMaskToFlags(writeMask),
+                    format: textureFormatToJS(src.format),
+                    writeMask: colorWriteMaskToFlags(src.write_mask),
                 };
-
-                // Parse blend state if present
-                if (blendPtr) {
-                    target.blend = parseBlendState(blendPtr);
+                if (src.blend) {
+                    target.blend = blendStateToJS(src.blend);
                 }
 
-                targets.push(target);
-
                 if (i === 0) {
-                    dbg("Pipeline color target[0]: zigFormat=" + zigFormatStr +
-                        " -> " + targetFormat + ", blend=" + (blendPtr ? "yes" : "no") +
-                        ", writeMask=0x" + writeMask.toString(16));
-                    if (blendPtr) {
+                    dbg("Pipeline color target[0]: format=" + target.format + ", blend=" + (src.blend ? "yes" : "no") +
+                        ", writeMask=0x" + src.write_mask.toString(16));
+                    if (src.blend) {
                         dbg("  blend.color: " + target.blend.color.srcFactor +
                             " " + target.blend.color.operation + " " + target.blend.color.dstFactor);
                         dbg("  blend.alpha: " + target.blend.alpha.srcFactor +
                             " " + target.blend.alpha.operation + " " + target.blend.alpha.dstFactor);
                     }
                 }
-            }
+                return target;
+            });
 
+            fragmentModuleHandle = fragModuleObj ? fragModuleHandle : vertexModuleHandle;
             fragmentState = {
                 module: fragModuleObj ? fragModuleObj.module : (vertexModuleObj ? vertexModuleObj.module : null),
                 entryPoint: fragEntryPoint,
@@ -1018,40 +1928,90 @@ const webgpuStubs = {
             pipelineDesc.fragment = fragmentState;
         }
 
-        dbg("Creating render pipeline with format:", preferredCanvasFormat,
+        pipelineDesc.multisample = {
+            count: desc.multisample.count || 1,
+            mask: desc.multisample.mask,
+            alphaToCoverageEnabled: desc.multisample.alpha_to_coverage_enabled,
+        };
+
+        const depthStencilState = depthStencilStateToJS(desc.depth_stencil);
+        if (depthStencilState) {
+            pipelineDesc.depthStencil = depthStencilState;
+        }
+
+        dbg("Creating render pipeline with format:",
+            fragmentState && fragmentState.targets.length ? fragmentState.targets[0].format : "none",
             "primitive:", primitiveState.topology, primitiveState.cullMode);
         try {
             if (DEBUG) deviceObj.device.pushErrorScope("validation");
-            const pipeline = deviceObj.device.createRenderPipeline(pipelineDesc);
+            const pipeline = deviceObj.device.createRenderPipeline(traceDescriptor(pipelineDesc));
             if (DEBUG) deviceObj.device.popErrorScope().then(err => {
                 if (err) console.error("Pipeline validation error: " + err.message);
                 else dbg("Pipeline passed GPU validation");
             });
             dbg("Render pipeline created successfully");
-            return registerHandle({ type: "renderPipeline", pipeline: pipeline });
+            const pipelineObj = { type: "renderPipeline", pipeline: pipeline };
+            if (HOT_RELOAD) {
+                // Recorded so hot reload can rebuild the pipeline with a new module
+                pipelineObj.hotReload = { descriptor: pipelineDesc, moduleHandles: [vertexModuleHandle, fragmentModuleHandle] };
+            }
+            return registerHandle(pipelineObj);
         } catch (e) {
             console.error("Render pipeline creation failed:", e);
             return 0;
         }
     },
 
-    wgpuDeviceCreateBuffer: (deviceHandle, descriptorPtr) => {
+    wgpuDeviceCreateComputePipeline: (deviceHandle, descriptorPtr) => {
         const deviceObj = getHandle(deviceHandle);
         if (!deviceObj || !deviceObj.device) return 0;
 
-        // BufferDescriptor layout on wasm32:
-        // offset 0: next_in_chain (ptr, 4 bytes)
-        // offset 4: label (ptr, 4 bytes)
-        // offset 8: usage (u32, 4 bytes)
-        // offset 12: padding (4 bytes to align u64)
-        // offset 16: size (u64, 8 bytes)
-        // offset 24: mapped_at_creation (u32)
+        // A null layout means "auto"
+        const desc = readStruct("ComputePipelineDescriptor", descriptorPtr);
+        const layoutObj = getHandle(desc.layout);
+        const moduleHandle = desc.compute.module;
+        const moduleObj = getHandle(moduleHandle);
+
+        if (!moduleObj || !moduleObj.module) {
+            console.error("wgpuDeviceCreateComputePipeline: invalid shader module handle");
+            return 0;
+        }
+
+        const pipelineDesc = {
+            layout: layoutObj ? layoutObj.layout : "auto",
+            compute: {
+                module: moduleObj.module,
+                entryPoint: desc.compute.entry_point || "main",
+            },
+        };
 
-        const usage = readU32(descriptorPtr + 8);
-        const size = Number(readU64(descriptorPtr + 16));
-        const mappedAtCreation = readU32(descriptorPtr + 24) !== 0;
+        dbg("Creating compute pipeline with entry point: " + pipelineDesc.compute.entryPoint);
+        try {
+            if (DEBUG) deviceObj.device.pushErrorScope("validation");
+            const pipeline = deviceObj.device.createComputePipeline(traceDescriptor(pipelineDesc));
+            if (DEBUG) deviceObj.device.popErrorScope().then(err => {
+                if (err) console.error("Compute pipeline validation error: " + err.message);
+            });
+            const pipelineObj = { type: "computePipeline", pipeline: pipeline };
+            if (HOT_RELOAD) {
+                // Recorded so hot reload can rebuild the pipeline with a new module
+                pipelineObj.hotReload = { descriptor: pipelineDesc, moduleHandles: [moduleHandle] };
+            }
+            return registerHandle(pipelineObj);
+        } catch (e) {
+            console.error("Compute pipeline creation failed:", e);
+            return 0;
+        }
+    },
 
+    wgpuDeviceCreateBuffer: (deviceHandle, descriptorPtr) => {
+        const deviceObj = getHandle(deviceHandle);
+        if (!deviceObj || !deviceObj.device) return 0;
 
+        const desc = readStruct("BufferDescriptor", descriptorPtr);
+        const usage = desc.usage;
+        const size = Number(desc.size);
+        const mappedAtCreation = desc.mapped_at_creation !== 0;
 
         // Convert usage flags
         let gpuUsage = 0;
@@ -1066,12 +2026,19 @@ const webgpuStubs = {
         if (usage & 0x100) gpuUsage |= GPUBufferUsage.INDIRECT;
 
         try {
-            const buffer = deviceObj.device.createBuffer({
+            const buffer = deviceObj.device.createBuffer(traceDescriptor({
                 size: size,
                 usage: gpuUsage,
                 mappedAtCreation: mappedAtCreation,
+            }));
+            // mappedRanges tracks WASM-side copies handed out by getMappedRange;
+            // mapWritable says whether they must be copied back on unmap.
+            const handle = registerHandle({
+                type: "buffer",
+                buffer: buffer,
+                mappedRanges: [],
+                mapWritable: mappedAtCreation,
             });
-            const handle = registerHandle({ type: "buffer", buffer: buffer });
 
             return handle;
         } catch (e) {
@@ -1080,55 +2047,109 @@ const webgpuStubs = {
         }
     },
 
-    wgpuDeviceCreateBindGroup: (deviceHandle, descriptorPtr) => {
+    wgpuDeviceCreateTexture: (deviceHandle, descriptorPtr) => {
         const deviceObj = getHandle(deviceHandle);
         if (!deviceObj || !deviceObj.device) return 0;
 
-        // BindGroupDescriptor:
-        // offset 0: next_in_chain
-        // offset 4: label (ptr)
-        // offset 8: layout (handle)
-        // offset 12: entry_count (usize)
-        // offset 16: entries (ptr)
+        const desc = readStruct("TextureDescriptor", descriptorPtr);
+        const { width, height, depth_or_array_layers: depthOrArrayLayers } = desc.size;
+        const usage = desc.usage;
 
-        const layoutHandle = readU32(descriptorPtr + 8);
-        const entryCount = readU32(descriptorPtr + 12);
-        const entriesPtr = readU32(descriptorPtr + 16);
-        
+        // TextureUsage bits match GPUTextureUsage directly:
+        // COPY_SRC=0x01, COPY_DST=0x02, TEXTURE_BINDING=0x04,
+        // STORAGE_BINDING=0x08, RENDER_ATTACHMENT=0x10
+        const gpuUsage = usage & 0x1F;
+
+        const textureDesc = {
+            size: {
+                width: width,
+                height: height || 1,
+                depthOrArrayLayers: depthOrArrayLayers || 1,
+            },
+            dimension: textureDimensionToJS(desc.dimension),
+            format: textureFormatToJS(desc.format),
+            mipLevelCount: desc.mip_level_count || 1,
+            sampleCount: desc.sample_count || 1,
+            usage: gpuUsage,
+            viewFormats: desc.view_formats.map(textureFormatToJS),
+        };
+
+        dbg("Creating texture " + width + "x" + height + "x" + textureDesc.size.depthOrArrayLayers +
+            " format=" + textureDesc.format + " usage=0x" + gpuUsage.toString(16));
+        try {
+            const texture = deviceObj.device.createTexture(traceDescriptor(textureDesc));
+            return registerHandle({ type: "texture", texture: texture });
+        } catch (e) {
+            console.error("Texture creation failed:", e);
+            return 0;
+        }
+    },
+
+    wgpuDeviceCreateSampler: (deviceHandle, descriptorPtr) => {
+        const deviceObj = getHandle(deviceHandle);
+        if (!deviceObj || !deviceObj.device) return 0;
+
+        // A null descriptor means all defaults
+        if (!descriptorPtr) {
+            try {
+                return registerHandle({ type: "sampler", sampler: deviceObj.device.createSampler() });
+            } catch (e) {
+                console.error("Sampler creation failed:", e);
+                return 0;
+            }
+        }
+
+        const desc = readStruct("SamplerDescriptor", descriptorPtr);
+        const samplerDesc = {
+            addressModeU: addressModeToJS(desc.address_mode_u),
+            addressModeV: addressModeToJS(desc.address_mode_v),
+            addressModeW: addressModeToJS(desc.address_mode_w),
+            magFilter: filterModeToJS(desc.mag_filter),
+            minFilter: filterModeToJS(desc.min_filter),
+            mipmapFilter: filterModeToJS(desc.mipmap_filter),
+            lodMinClamp: desc.lod_min_clamp,
+            lodMaxClamp: desc.lod_max_clamp,
+            maxAnisotropy: desc.max_anisotropy || 1,
+        };
+
+        // compare 0 = not a comparison sampler
+        const compare = compareFunctionToJS(desc.compare);
+        if (compare) {
+            samplerDesc.compare = compare;
+        }
+
+        try {
+            const sampler = deviceObj.device.createSampler(traceDescriptor(samplerDesc));
+            return registerHandle({ type: "sampler", sampler: sampler });
+        } catch (e) {
+            console.error("Sampler creation failed:", e);
+            return 0;
+        }
+    },
 
+    wgpuDeviceCreateBindGroup: (deviceHandle, descriptorPtr) => {
+        const deviceObj = getHandle(deviceHandle);
+        if (!deviceObj || !deviceObj.device) return 0;
 
-        const layoutObj = getHandle(layoutHandle);
+        const desc = readStruct("BindGroupDescriptor", descriptorPtr);
+        const layoutObj = getHandle(desc.layout);
         if (!layoutObj || !layoutObj.layout) {
-            console.error("wgpuDeviceCreateBindGroup: Invalid layout handle", layoutHandle);
+            console.error("wgpuDeviceCreateBindGroup: Invalid layout handle", desc.layout);
             return 0;
         }
 
         const entries = [];
-        
-        // BindGroupEntry on wasm32:
-        // offset 0: next_in_chain (ptr, 4 bytes)
-        // offset 4: binding (u32, 4 bytes)
-        // offset 8: buffer (ptr/handle, 4 bytes)
-        // offset 12: padding (4 bytes to align u64)
-        // offset 16: offset (u64, 8 bytes)
-        // offset 24: size (u64, 8 bytes)
-        // offset 32: sampler (ptr, 4 bytes)
-        // offset 36: texture_view (ptr, 4 bytes)
-        // Total: 40 bytes
-        const ENTRY_SIZE = 40;
-
-        for (let i = 0; i < entryCount; i++) {
-            const entryPtr = entriesPtr + i * ENTRY_SIZE;
-            
-            const binding = readU32(entryPtr + 4);
-            const bufferHandle = readU32(entryPtr + 8);
-            const offset = Number(readU64(entryPtr + 16));
-            const size = Number(readU64(entryPtr + 24));
-            
-
+        desc.entries.forEach((src, i) => {
+            const binding = src.binding;
+            const bufferHandle = src.buffer;
+            const offset = Number(src.offset);
+            const size = bufferSizeToJS(src.size);
+            const samplerHandle = src.sampler;
+            const textureViewHandle = src.texture_view;
 
             const entry = { binding: binding };
 
+            // Exactly one of buffer / sampler / texture_view is set per entry
             if (bufferHandle) {
                 const bufferObj = getHandle(bufferHandle);
                 if (bufferObj && bufferObj.buffer) {
@@ -1138,16 +2159,30 @@ const webgpuStubs = {
                         size: size || undefined,
                     };
                 }
+            } else if (samplerHandle) {
+                const samplerObj = getHandle(samplerHandle);
+                if (samplerObj && samplerObj.sampler) {
+                    entry.resource = samplerObj.sampler;
+                }
+            } else if (textureViewHandle) {
+                const viewObj = getHandle(textureViewHandle);
+                if (viewObj && viewObj.view) {
+                    entry.resource = viewObj.view;
+                }
+            }
+
+            if (!entry.resource) {
+                console.error("wgpuDeviceCreateBindGroup: entry " + i + " (binding " + binding + ") has no valid resource");
             }
 
             entries.push(entry);
-        }
+        });
 
         try {
-            const bindGroup = deviceObj.device.createBindGroup({
+            const bindGroup = deviceObj.device.createBindGroup(traceDescriptor({
                 layout: layoutObj.layout,
                 entries: entries,
-            });
+            }));
             return registerHandle({ type: "bindGroup", group: bindGroup });
         } catch (e) {
             console.error("Bind group creation failed:", e);
@@ -1168,6 +2203,56 @@ const webgpuStubs = {
         }
     },
 
+    wgpuDeviceCreateQuerySet: (deviceHandle, descriptorPtr) => {
+        const deviceObj = getHandle(deviceHandle);
+        if (!deviceObj || !deviceObj.device) return 0;
+
+        const desc = readStruct("QuerySetDescriptor", descriptorPtr);
+        const type = QUERY_TYPE_MAP[desc.query_type];
+        if (!type) {
+            console.error("wgpuDeviceCreateQuerySet: unsupported query type", desc.query_type);
+            return 0;
+        }
+
+        try {
+            const querySet = deviceObj.device.createQuerySet(traceDescriptor({
+                type: type,
+                count: desc.count,
+            }));
+            return registerHandle({ type: "querySet", querySet: querySet });
+        } catch (e) {
+            console.error("Query set creation failed:", e);
+            return 0;
+        }
+    },
+
+    wgpuDeviceCreateRenderBundleEncoder: (deviceHandle, descriptorPtr) => {
+        const deviceObj = getHandle(deviceHandle);
+        if (!deviceObj || !deviceObj.device) return 0;
+
+        // depth_stencil_format 0 = no depth-stencil attachment
+        const desc = readStruct("RenderBundleEncoderDescriptor", descriptorPtr);
+        const depthStencilFormat = desc.depth_stencil_format;
+
+        const bundleDesc = {
+            colorFormats: desc.color_formats.map(textureFormatToJS),
+            sampleCount: desc.sample_count || 1,
+            depthReadOnly: desc.depth_read_only,
+            stencilReadOnly: desc.stencil_read_only,
+        };
+        if (depthStencilFormat) {
+            bundleDesc.depthStencilFormat = TEXTURE_FORMAT_MAP[depthStencilFormat];
+        }
+
+        try {
+            const encoder = deviceObj.device.createRenderBundleEncoder(traceDescriptor(bundleDesc));
+            return registerHandle({ type: "renderBundleEncoder", bundleEncoder: encoder });
+        } catch (e) {
+            console.error("Render bundle encoder creation failed:", e);
+            return 0;
+        }
+    },
+
     // -------------------------------------------------------------------------
     // Queue
     // -------------------------------------------------------------------------
@@ -1186,8 +2271,7 @@ const webgpuStubs = {
             }
 
             const commandBuffers = [];
-            for (let i = 0; i < commandCount; i++) {
-                const cmdHandle = readU32(commandsPtr + i * 4);
+            for (const cmdHandle of readArray("handle", commandsPtr, commandCount)) {
                 const cmdObj = getHandle(cmdHandle);
                 if (cmdObj && cmdObj.buffer) {
                     commandBuffers.push(cmdObj.buffer);
@@ -1195,6 +2279,7 @@ const webgpuStubs = {
                 }
             }
 
+            traceDescriptor({ commandBuffers: commandBuffers });
             if (commandBuffers.length > 0) {
                 try {
                     queueObj.queue.submit(commandBuffers);
@@ -1218,6 +2303,7 @@ const webgpuStubs = {
             if (!queueObj || !queueObj.queue || !bufferObj || !bufferObj.buffer) return;
 
             const data = new Uint8Array(wasmMemory.buffer, dataPtr, Number(size));
+            traceData(data);
 
             // Log first few writeBuffer calls to see uniform data
             if (writeCount < 3) {
@@ -1236,91 +2322,252 @@ const webgpuStubs = {
         };
     })(),
 
-    // -------------------------------------------------------------------------
-    // Swap Chain
-    // -------------------------------------------------------------------------
+    wgpuQueueWriteTexture: (queueHandle, destinationPtr, dataPtr, dataSize, dataLayoutPtr, writeSizePtr) => {
+        const queueObj = getHandle(queueHandle);
+        if (!queueObj || !queueObj.queue) return;
 
-    wgpuSwapChainRelease: (swapChainHandle) => {
-        // In browser, "releasing" the swap chain means unconfiguring the context
-        const obj = getHandle(swapChainHandle);
-        if (obj && obj.context) {
-            obj.context.unconfigure();
+        const destination = imageCopyTextureToJS(readStruct("ImageCopyTexture", destinationPtr));
+        if (!destination) {
+            console.error("wgpuQueueWriteTexture: invalid texture handle");
+            return;
         }
-        freeHandle(swapChainHandle);
-    },
-
-    wgpuSwapChainGetCurrentTextureView: (() => {
-        let logged = false;
-        return (swapChainHandle) => {
-            const obj = getHandle(swapChainHandle);
-            if (!obj || !obj.context) {
-                console.error("getCurrentTextureView: invalid swap chain handle or no context");
-                return 0;
-            }
+        const dataLayout = textureDataLayoutToJS(readStruct("TextureDataLayout", dataLayoutPtr));
+        const writeSize = extent3DToJS(readStruct("Extent3D", writeSizePtr));
 
-            try {
-                const texture = obj.context.getCurrentTexture();
-                if (!logged) {
-                    dbg("getCurrentTexture: " + texture.width + "x" + texture.height + " format=" + texture.format);
-                    logged = true;
-                }
-                const view = texture.createView();
-                return registerHandle({ type: "textureView", view: view });
-            } catch (e) {
-                console.error("Failed to get current texture view:", e);
-                return 0;
-            }
-        };
-    })(),
+        const data = new Uint8Array(wasmMemory.buffer, dataPtr, Number(dataSize));
+        traceDescriptor({ destination: destination, dataLayout: dataLayout, size: writeSize });
+        traceData(data);
 
-    wgpuSwapChainPresent: (swapChainHandle) => {
-        // In browser WebGPU, presentation happens automatically at the end of the frame.
-        // No explicit present call needed.
+        try {
+            queueObj.queue.writeTexture(destination, data, dataLayout, writeSize);
+        } catch (e) {
+            console.error("queue.writeTexture() failed:", e);
+        }
     },
 
     // -------------------------------------------------------------------------
-    // Command Encoder
+    // Buffer
+    // Browser mapped ranges are ArrayBuffers outside WASM memory, so
+    // getMappedRange copies the range into a web_alloc'd block and unmap
+    // copies write mappings back before releasing the block.
     // -------------------------------------------------------------------------
 
-    wgpuCommandEncoderBeginRenderPass: (() => {
-        let loggedOnce = false;
-        return (encoderHandle, descriptorPtr) => {
-        const encoderObj = getHandle(encoderHandle);
-        if (!encoderObj || !encoderObj.encoder) return 0;
+    wgpuBufferMapAsync: (bufferHandle, mode, offset, size, callback, userdata) => {
+        const bufferObj = getHandle(bufferHandle);
+        // usize arguments arrive as signed i32; WGPU_WHOLE_MAP_SIZE would be -1
+        offset = offset >>> 0;
+        size = size >>> 0;
+
+        // BufferMapAsyncStatus: 0=success, 1=validation_error, 2=unknown,
+        // 3=device_lost, 4=destroyed_before_callback, 5=unmapped_before_callback
+        const invokeCallback = (status) => {
+            const callbackFunc = wasmInstance.exports.__indirect_function_table.get(callback);
+            if (callbackFunc) {
+                callbackFunc(status, userdata);
+            } else {
+                console.error("wgpuBufferMapAsync: callback function not found at index", callback);
+            }
+        };
 
-        // RenderPassDescriptor:
-        // offset 0: next_in_chain
-        // offset 4: label (ptr)
-        // offset 8: color_attachment_count (usize)
-        // offset 12: color_attachments (ptr)
+        if (!bufferObj || !bufferObj.buffer) {
+            console.error("wgpuBufferMapAsync: invalid buffer handle");
+            invokeCallback(1);
+            return;
+        }
 
-        const colorAttachmentCount = readU32(descriptorPtr + 8);
-        const colorAttachmentsPtr = readU32(descriptorPtr + 12);
+        // MapMode: READ=0x1, WRITE=0x2 (same bits as GPUMapMode)
+        // size is WGPU_WHOLE_MAP_SIZE (usize max) for "to the end of the buffer"
+        const mapSize = size === 0xFFFFFFFF ? undefined : size;
+        bufferObj.buffer.mapAsync(mode, offset, mapSize).then(() => {
+            bufferObj.mapWritable = (mode & 0x2) !== 0;
+            invokeCallback(0);
+        }).catch((e) => {
+            dbg("mapAsync rejected: " + e.name + " - " + e.message);
+            invokeCallback(e.name === "AbortError" ? 5 : 1);
+        });
+    },
 
-        const colorAttachments = [];
+    wgpuBufferGetMappedRange: (bufferHandle, offset, size) => {
+        const bufferObj = getHandle(bufferHandle);
+        if (!bufferObj || !bufferObj.buffer) return 0;
 
-        // RenderPassColorAttachment (emscripten/wasm32):
-        // offset 0:  next_in_chain (ptr, 4 bytes)
-        // offset 4:  view (ptr, 4 bytes)
-        // offset 8:  depth_slice (u32, 4 bytes)
-        // offset 12: resolve_target (ptr, 4 bytes)
-        // offset 16: load_op (u32, 4 bytes)
-        // offset 20: store_op (u32, 4 bytes)
-        // offset 24: clear_value (4 x f64 = 32 bytes, 8-byte aligned)
-        // Total: 56 bytes
-        const COLOR_ATTACH_SIZE = 56;
-
-        for (let i = 0; i < colorAttachmentCount; i++) {
-            const attachPtr = colorAttachmentsPtr + i * COLOR_ATTACH_SIZE;
-            
-            const viewHandle = readU32(attachPtr + 4);
-            const loadOp = readU32(attachPtr + 16);
-            const storeOp = readU32(attachPtr + 20);
-            
-            const clearR = readF64(attachPtr + 24);
-            const clearG = readF64(attachPtr + 32);
-            const clearB = readF64(attachPtr + 40);
-            const clearA = readF64(attachPtr + 48);
+        // usize arguments arrive as signed i32; WGPU_WHOLE_MAP_SIZE would be -1
+        offset = offset >>> 0;
+        size = size >>> 0;
+        const rangeSize = size === 0xFFFFFFFF ? bufferObj.buffer.size - offset : size;
+        try {
+            const mapped = bufferObj.buffer.getMappedRange(offset, rangeSize);
+            const ptr = wasmAlloc(rangeSize);
+            if (!ptr) return 0;
+            new Uint8Array(wasmMemory.buffer, ptr, rangeSize).set(new Uint8Array(mapped));
+            bufferObj.mappedRanges.push({ ptr: ptr, offset: offset, size: rangeSize, mapped: mapped });
+            return ptr;
+        } catch (e) {
+            console.error("getMappedRange failed:", e);
+            return 0;
+        }
+    },
+
+    wgpuBufferGetConstMappedRange: (bufferHandle, offset, size) => {
+        // Same copy as getMappedRange; the const variant is only ever read by WASM,
+        // which unmap handles by skipping the copy-back for read mappings.
+        return webgpuStubs.wgpuBufferGetMappedRange(bufferHandle, offset, size);
+    },
+
+    wgpuBufferUnmap: (bufferHandle) => {
+        const bufferObj = getHandle(bufferHandle);
+        if (!bufferObj || !bufferObj.buffer) return;
+
+        const writtenRanges = [];
+        for (const range of bufferObj.mappedRanges) {
+            if (bufferObj.mapWritable) {
+                const bytes = new Uint8Array(wasmMemory.buffer, range.ptr, range.size);
+                new Uint8Array(range.mapped).set(bytes);
+                if (trace.current) writtenRanges.push({ offset: range.offset, data: bytesToBase64(bytes) });
+            }
+            wasmFree(range.ptr, range.size);
+        }
+        if (writtenRanges.length > 0) traceDescriptor({ ranges: writtenRanges });
+        bufferObj.mappedRanges = [];
+        bufferObj.mapWritable = false;
+
+        try {
+            bufferObj.buffer.unmap();
+        } catch (e) {
+            console.error("Buffer unmap failed:", e);
+        }
+    },
+
+    wgpuBufferGetSize: (bufferHandle) => {
+        const bufferObj = getHandle(bufferHandle);
+        if (!bufferObj || !bufferObj.buffer) return 0n;
+        return BigInt(bufferObj.buffer.size);
+    },
+
+    wgpuBufferDestroy: (bufferHandle) => {
+        const bufferObj = getHandle(bufferHandle);
+        if (!bufferObj || !bufferObj.buffer) return;
+        for (const range of bufferObj.mappedRanges) {
+            wasmFree(range.ptr, range.size);
+        }
+        bufferObj.mappedRanges = [];
+        bufferObj.buffer.destroy();
+    },
+
+    // -------------------------------------------------------------------------
+    // Texture
+    // -------------------------------------------------------------------------
+
+    wgpuTextureCreateView: (textureHandle, descriptorPtr) => {
+        const textureObj = getHandle(textureHandle);
+        if (!textureObj || !textureObj.texture) return 0;
+
+        // A null descriptor means a default view of the whole texture
+        let viewDesc = undefined;
+        if (descriptorPtr) {
+            // format / dimension 0 = derived from the texture
+            const desc = readStruct("TextureViewDescriptor", descriptorPtr);
+            viewDesc = {
+                baseMipLevel: desc.base_mip_level,
+                baseArrayLayer: desc.base_array_layer,
+                aspect: textureAspectToJS(desc.aspect),
+            };
+            if (desc.format !== 0) viewDesc.format = textureFormatToJS(desc.format);
+            if (desc.dimension !== 0) viewDesc.dimension = TEXTURE_VIEW_DIMENSION_MAP[desc.dimension];
+            if (desc.mip_level_count !== MIP_LEVEL_COUNT_UNDEFINED) viewDesc.mipLevelCount = desc.mip_level_count;
+            if (desc.array_layer_count !== ARRAY_LAYER_COUNT_UNDEFINED) viewDesc.arrayLayerCount = desc.array_layer_count;
+        }
+
+        try {
+            const view = textureObj.texture.createView(traceDescriptor(viewDesc));
+            return registerHandle({ type: "textureView", view: view });
+        } catch (e) {
+            console.error("Texture view creation failed:", e);
+            return 0;
+        }
+    },
+
+    wgpuTextureDestroy: (textureHandle) => {
+        const obj = getHandle(textureHandle);
+        if (obj && obj.texture) {
+            obj.texture.destroy();
+        }
+    },
+
+    // -------------------------------------------------------------------------
+    // Surface
+    // -------------------------------------------------------------------------
+
+    wgpuSurfaceGetPreferredFormat: (surfaceHandle, adapterHandle) => {
+        // The browser's preferred canvas format (bgra8unorm on desktop,
+        // rgba8unorm on most mobile GPUs); independent of the adapter.
+        return textureFormatFromJS(preferredCanvasFormat);
+    },
+
+    // -------------------------------------------------------------------------
+    // Swap Chain
+    // -------------------------------------------------------------------------
+
+    wgpuSwapChainRelease: (swapChainHandle) => {
+        // In browser, "releasing" the swap chain means unconfiguring the context
+        const obj = getHandle(swapChainHandle);
+        if (obj && obj.context) {
+            obj.context.unconfigure();
+        }
+        freeHandle(swapChainHandle);
+    },
+
+    wgpuSwapChainGetCurrentTextureView: (() => {
+        let logged = false;
+        return (swapChainHandle) => {
+            const obj = getHandle(swapChainHandle);
+            if (!obj || !obj.context) {
+                console.error("getCurrentTextureView: invalid swap chain handle or no context");
+                return 0;
+            }
+
+            try {
+                const texture = obj.context.getCurrentTexture();
+                if (!logged) {
+                    dbg("getCurrentTexture: " + texture.width + "x" + texture.height + " format=" + texture.format);
+                    logged = true;
+                }
+                const view = texture.createView();
+                return registerHandle({ type: "textureView", view: view });
+            } catch (e) {
+                console.error("Failed to get current texture view:", e);
+                return 0;
+            }
+        };
+    })(),
+
+    wgpuSwapChainPresent: (swapChainHandle) => {
+        // In browser WebGPU, presentation happens automatically at the end of the frame.
+        // No explicit present call needed.
+    },
+
+    // -------------------------------------------------------------------------
+    // Command Encoder
+    // -------------------------------------------------------------------------
+
+    wgpuCommandEncoderBeginRenderPass: (() => {
+        let loggedOnce = false;
+        return (encoderHandle, descriptorPtr) => {
+        const encoderObj = getHandle(encoderHandle);
+        if (!encoderObj || !encoderObj.encoder) return 0;
+
+        const desc = readStruct("RenderPassDescriptor", descriptorPtr);
+        const depthStencilAttachment = depthStencilAttachmentToJS(desc.depth_stencil_attachment);
+        const occlusionQuerySetObj = getHandle(desc.occlusion_query_set);
+
+        const colorAttachments = [];
+
+        desc.color_attachments.forEach((src, i) => {
+            const viewHandle = src.view;
+            const resolveTargetHandle = src.resolve_target;
+            const loadOp = src.load_op;
+            const storeOp = src.store_op;
+            const { r: clearR, g: clearG, b: clearB, a: clearA } = src.clear_value;
 
             const viewObj = getHandle(viewHandle);
 
@@ -1337,20 +2584,45 @@ const webgpuStubs = {
                 clearValue: { r: clearR, g: clearG, b: clearB, a: clearA },
             };
 
+            // Multisampled views resolve into a single-sampled view at pass end
+            if (resolveTargetHandle) {
+                const resolveObj = getHandle(resolveTargetHandle);
+                if (resolveObj && resolveObj.view) {
+                    attachment.resolveTarget = resolveObj.view;
+                } else {
+                    console.error("Render pass color attachment " + i + " has an invalid resolve target");
+                }
+            }
+
             if (attachment.view) {
                 colorAttachments.push(attachment);
             }
-        }
+        });
 
-        if (colorAttachments.length === 0) {
-            console.error("No valid color attachments for render pass");
+        // Depth-only passes (e.g. shadow maps) have no color attachments
+        if (colorAttachments.length === 0 && !depthStencilAttachment) {
+            console.error("No valid color or depth-stencil attachments for render pass");
             return 0;
         }
 
+        const passDesc = { colorAttachments: colorAttachments };
+        if (depthStencilAttachment) {
+            passDesc.depthStencilAttachment = depthStencilAttachment;
+        }
+        if (occlusionQuerySetObj && occlusionQuerySetObj.querySet) {
+            passDesc.occlusionQuerySet = occlusionQuerySetObj.querySet;
+        }
+
+        // The app's own timestamp writes take precedence over the GPU timer
+        const timestampWrites = desc.timestamp_writes
+            ? passTimestampWritesToJS(desc.timestamp_writes)
+            : gpuTimerPassTimestampWrites(desc.label);
+        if (timestampWrites) {
+            passDesc.timestampWrites = timestampWrites;
+        }
+
         try {
-            const renderPass = encoderObj.encoder.beginRenderPass({
-                colorAttachments: colorAttachments,
-            });
+            const renderPass = encoderObj.encoder.beginRenderPass(traceDescriptor(passDesc));
             return registerHandle({ type: "renderPassEncoder", pass: renderPass });
         } catch (e) {
             console.error("Begin render pass failed:", e);
@@ -1363,6 +2635,73 @@ const webgpuStubs = {
     };
     })(),
 
+    wgpuCommandEncoderBeginComputePass: (encoderHandle, descriptorPtr) => {
+        const encoderObj = getHandle(encoderHandle);
+        if (!encoderObj || !encoderObj.encoder) return 0;
+
+        // ComputePassDescriptor is nullable
+        const passDesc = {};
+        const desc = descriptorPtr ? readStruct("ComputePassDescriptor", descriptorPtr) : { label: "", timestamp_writes: null };
+        const timestampWrites = desc.timestamp_writes
+            ? passTimestampWritesToJS(desc.timestamp_writes)
+            : gpuTimerPassTimestampWrites(desc.label);
+        if (timestampWrites) {
+            passDesc.timestampWrites = timestampWrites;
+        }
+
+        try {
+            const computePass = encoderObj.encoder.beginComputePass(traceDescriptor(passDesc));
+            return registerHandle({ type: "computePassEncoder", pass: computePass });
+        } catch (e) {
+            console.error("Begin compute pass failed:", e);
+            return 0;
+        }
+    },
+
+    wgpuCommandEncoderCopyBufferToBuffer: (encoderHandle, sourceHandle, sourceOffset, destinationHandle, destinationOffset, size) => {
+        const encoderObj = getHandle(encoderHandle);
+        const srcObj = getHandle(sourceHandle);
+        const dstObj = getHandle(destinationHandle);
+        if (!encoderObj || !encoderObj.encoder || !srcObj || !srcObj.buffer || !dstObj || !dstObj.buffer) {
+            console.error("copyBufferToBuffer: invalid encoder or buffer handle");
+            return;
+        }
+        encoderObj.encoder.copyBufferToBuffer(
+            srcObj.buffer, Number(sourceOffset),
+            dstObj.buffer, Number(destinationOffset),
+            Number(size));
+    },
+
+    wgpuCommandEncoderCopyTextureToBuffer: (encoderHandle, sourcePtr, destinationPtr, copySizePtr) => {
+        const encoderObj = getHandle(encoderHandle);
+        if (!encoderObj || !encoderObj.encoder) return;
+
+        const source = imageCopyTextureToJS(readStruct("ImageCopyTexture", sourcePtr));
+        const copyBuffer = readStruct("ImageCopyBuffer", destinationPtr);
+        const dstObj = getHandle(copyBuffer.buffer);
+        if (!source || !dstObj || !dstObj.buffer) {
+            console.error("copyTextureToBuffer: invalid texture or buffer handle");
+            return;
+        }
+        const destination = textureDataLayoutToJS(copyBuffer.layout);
+        destination.buffer = dstObj.buffer;
+
+        const copySize = extent3DToJS(readStruct("Extent3D", copySizePtr));
+        traceDescriptor({ source: source, destination: destination, size: copySize });
+        encoderObj.encoder.copyTextureToBuffer(source, destination, copySize);
+    },
+
+    wgpuCommandEncoderResolveQuerySet: (encoderHandle, querySetHandle, firstQuery, queryCount, destinationHandle, destinationOffset) => {
+        const encoderObj = getHandle(encoderHandle);
+        const querySetObj = getHandle(querySetHandle);
+        const dstObj = getHandle(destinationHandle);
+        if (!encoderObj || !encoderObj.encoder || !querySetObj || !querySetObj.querySet || !dstObj || !dstObj.buffer) {
+            console.error("resolveQuerySet: invalid encoder, query set or buffer handle");
+            return;
+        }
+        encoderObj.encoder.resolveQuerySet(querySetObj.querySet, firstQuery, queryCount, dstObj.buffer, Number(destinationOffset));
+    },
+
     wgpuCommandEncoderFinish: (encoderHandle, descriptorPtr) => {
         const encoderObj = getHandle(encoderHandle);
         if (!encoderObj || !encoderObj.encoder) return 0;
@@ -1384,7 +2723,7 @@ const webgpuStubs = {
     wgpuRenderPassEncoderSetPipeline: (passHandle, pipelineHandle) => {
         const passObj = getHandle(passHandle);
         const pipelineObj = getHandle(pipelineHandle);
-        if (passObj && passObj.pass && pipelineObj && pipelineObj.pipeline) {
+        if (passObj && passObj.pass && pipelineObj && pipelineObj.type === "renderPipeline") {
             passObj.pass.setPipeline(pipelineObj.pipeline);
         }
     },
@@ -1393,7 +2732,7 @@ const webgpuStubs = {
         const passObj = getHandle(passHandle);
         const groupObj = getHandle(groupHandle);
         if (passObj && passObj.pass && groupObj && groupObj.group) {
-            passObj.pass.setBindGroup(groupIndex, groupObj.group);
+            passObj.pass.setBindGroup(groupIndex, groupObj.group, readDynamicOffsets(dynamicOffsetCount, dynamicOffsetsPtr));
         }
     },
 
@@ -1401,7 +2740,15 @@ const webgpuStubs = {
         const passObj = getHandle(passHandle);
         const bufferObj = getHandle(bufferHandle);
         if (passObj && passObj.pass && bufferObj && bufferObj.buffer) {
-            passObj.pass.setVertexBuffer(slot, bufferObj.buffer, Number(offset), Number(size));
+            passObj.pass.setVertexBuffer(slot, bufferObj.buffer, Number(offset), bufferSizeToJS(size));
+        }
+    },
+
+    wgpuRenderPassEncoderSetIndexBuffer: (passHandle, bufferHandle, format, offset, size) => {
+        const passObj = getHandle(passHandle);
+        const bufferObj = getHandle(bufferHandle);
+        if (passObj && passObj.pass && bufferObj && bufferObj.buffer) {
+            passObj.pass.setIndexBuffer(bufferObj.buffer, indexFormatToJS(format), Number(offset), bufferSizeToJS(size));
         }
     },
 
@@ -1412,6 +2759,29 @@ const webgpuStubs = {
         }
     },
 
+    wgpuRenderPassEncoderDrawIndexed: (passHandle, indexCount, instanceCount, firstIndex, baseVertex, firstInstance) => {
+        const passObj = getHandle(passHandle);
+        if (passObj && passObj.pass) {
+            passObj.pass.drawIndexed(indexCount, instanceCount, firstIndex, baseVertex, firstInstance);
+        }
+    },
+
+    wgpuRenderPassEncoderDrawIndirect: (passHandle, indirectBufferHandle, indirectOffset) => {
+        const passObj = getHandle(passHandle);
+        const bufferObj = getHandle(indirectBufferHandle);
+        if (passObj && passObj.pass && bufferObj && bufferObj.buffer) {
+            passObj.pass.drawIndirect(bufferObj.buffer, Number(indirectOffset));
+        }
+    },
+
+    wgpuRenderPassEncoderDrawIndexedIndirect: (passHandle, indirectBufferHandle, indirectOffset) => {
+        const passObj = getHandle(passHandle);
+        const bufferObj = getHandle(indirectBufferHandle);
+        if (passObj && passObj.pass && bufferObj && bufferObj.buffer) {
+            passObj.pass.drawIndexedIndirect(bufferObj.buffer, Number(indirectOffset));
+        }
+    },
+
     wgpuRenderPassEncoderSetViewport: (passHandle, x, y, width, height, minDepth, maxDepth) => {
         const passObj = getHandle(passHandle);
         if (passObj && passObj.pass) {
@@ -1419,6 +2789,58 @@ const webgpuStubs = {
         }
     },
 
+    wgpuRenderPassEncoderSetScissorRect: (passHandle, x, y, width, height) => {
+        const passObj = getHandle(passHandle);
+        if (passObj && passObj.pass) {
+            passObj.pass.setScissorRect(x, y, width, height);
+        }
+    },
+
+    wgpuRenderPassEncoderSetBlendConstant: (passHandle, colorPtr) => {
+        const passObj = getHandle(passHandle);
+        if (passObj && passObj.pass) {
+            passObj.pass.setBlendConstant(traceDescriptor(readStruct("Color", colorPtr)));
+        }
+    },
+
+    wgpuRenderPassEncoderSetStencilReference: (passHandle, reference) => {
+        const passObj = getHandle(passHandle);
+        if (passObj && passObj.pass) {
+            passObj.pass.setStencilReference(reference);
+        }
+    },
+
+    wgpuRenderPassEncoderBeginOcclusionQuery: (passHandle, queryIndex) => {
+        const passObj = getHandle(passHandle);
+        if (passObj && passObj.pass) {
+            passObj.pass.beginOcclusionQuery(queryIndex);
+        }
+    },
+
+    wgpuRenderPassEncoderEndOcclusionQuery: (passHandle) => {
+        const passObj = getHandle(passHandle);
+        if (passObj && passObj.pass) {
+            passObj.pass.endOcclusionQuery();
+        }
+    },
+
+    wgpuRenderPassEncoderExecuteBundles: (passHandle, bundleCount, bundlesPtr) => {
+        const passObj = getHandle(passHandle);
+        if (!passObj || !passObj.pass) return;
+
+        const bundles = [];
+        readArray("handle", bundlesPtr, bundleCount).forEach((bundleHandle, i) => {
+            const bundleObj = getHandle(bundleHandle);
+            if (bundleObj && bundleObj.bundle) {
+                bundles.push(bundleObj.bundle);
+            } else {
+                console.error("wgpuRenderPassEncoderExecuteBundles: invalid render bundle handle at index " + i);
+            }
+        });
+        traceDescriptor({ bundles: bundles });
+        passObj.pass.executeBundles(bundles);
+    },
+
     wgpuRenderPassEncoderEnd: (passHandle) => {
         const passObj = getHandle(passHandle);
         if (passObj && passObj.pass) {
@@ -1427,21 +2849,537 @@ const webgpuStubs = {
         }
     },
 
+    // -------------------------------------------------------------------------
+    // Compute Pass Encoder
+    // -------------------------------------------------------------------------
+
+    wgpuComputePassEncoderSetPipeline: (passHandle, pipelineHandle) => {
+        const passObj = getHandle(passHandle);
+        const pipelineObj = getHandle(pipelineHandle);
+        if (passObj && passObj.pass && pipelineObj && pipelineObj.type === "computePipeline") {
+            passObj.pass.setPipeline(pipelineObj.pipeline);
+        }
+    },
+
+    wgpuComputePassEncoderSetBindGroup: (passHandle, groupIndex, groupHandle, dynamicOffsetCount, dynamicOffsetsPtr) => {
+        const passObj = getHandle(passHandle);
+        const groupObj = getHandle(groupHandle);
+        if (passObj && passObj.pass && groupObj && groupObj.group) {
+            passObj.pass.setBindGroup(groupIndex, groupObj.group, readDynamicOffsets(dynamicOffsetCount, dynamicOffsetsPtr));
+        }
+    },
+
+    wgpuComputePassEncoderDispatchWorkgroups: (passHandle, workgroupCountX, workgroupCountY, workgroupCountZ) => {
+        const passObj = getHandle(passHandle);
+        if (passObj && passObj.pass) {
+            passObj.pass.dispatchWorkgroups(workgroupCountX, workgroupCountY, workgroupCountZ);
+        }
+    },
+
+    wgpuComputePassEncoderDispatchWorkgroupsIndirect: (passHandle, indirectBufferHandle, indirectOffset) => {
+        const passObj = getHandle(passHandle);
+        const bufferObj = getHandle(indirectBufferHandle);
+        if (passObj && passObj.pass && bufferObj && bufferObj.buffer) {
+            passObj.pass.dispatchWorkgroupsIndirect(bufferObj.buffer, Number(indirectOffset));
+        }
+    },
+
+    wgpuComputePassEncoderEnd: (passHandle) => {
+        const passObj = getHandle(passHandle);
+        if (passObj && passObj.pass) {
+            passObj.pass.end();
+            freeHandle(passHandle);
+        }
+    },
+
+    // -------------------------------------------------------------------------
+    // Shader Module
+    // -------------------------------------------------------------------------
+
+    wgpuShaderModuleGetCompilationInfo: (moduleHandle, callback, userdata) => {
+        // CompilationInfoRequestStatus: 0=success, 1=error, 2=device_lost, 3=unknown.
+        // The CompilationInfo, its message array and the message strings are
+        // allocated in WASM memory for the duration of the callback.
+        const respond = (status, messages) => {
+            const callbackFunc = getWasmCallback(callback, "wgpuShaderModuleGetCompilationInfo");
+            if (!callbackFunc) return;
+
+            const infoSize = structLayout("CompilationInfo").size;
+            const messageSize = structLayout("CompilationMessage").size;
+            const infoPtr = wasmAlloc(infoSize);
+            const arraySize = messages.length * messageSize;
+            const arrayPtr = arraySize ? wasmAlloc(arraySize) : 0;
+            if (!infoPtr || (arraySize && !arrayPtr)) {
+                wasmFree(infoPtr, infoSize);
+                wasmFree(arrayPtr, arraySize);
+                return;
+            }
+            new Uint8Array(wasmMemory.buffer, infoPtr, infoSize).fill(0);
+            if (arraySize) new Uint8Array(wasmMemory.buffer, arrayPtr, arraySize).fill(0);
+
+            const strings = messages.map((m, i) => {
+                const str = allocCString(m.message);
+                writeStruct("CompilationMessage", arrayPtr + i * messageSize, {
+                    message: str.ptr,
+                    message_type: COMPILATION_MESSAGE_TYPE_FROM_JS[m.type] || 0,
+                    line_num: m.lineNum,
+                    line_pos: m.linePos,
+                    offset: m.offset,
+                    length: m.length,
+                    // Browsers report positions in UTF-16 code units
+                    utf16_line_pos: m.linePos,
+                    utf16_offset: m.offset,
+                    utf16_length: m.length,
+                });
+                return str;
+            });
+            writeStruct("CompilationInfo", infoPtr, { message_count: messages.length, messages: arrayPtr });
+
+            callbackFunc(status, infoPtr, userdata);
+
+            strings.forEach((str) => wasmFree(str.ptr, str.size));
+            wasmFree(arrayPtr, arraySize);
+            wasmFree(infoPtr, infoSize);
+        };
+
+        const obj = getHandle(moduleHandle);
+        if (!obj || !obj.compilationMessages) {
+            Promise.resolve().then(() => respond(1, []));
+            return;
+        }
+        obj.compilationMessages.then(
+            (messages) => respond(0, messages),
+            () => respond(3, []));
+    },
+
+    // -------------------------------------------------------------------------
+    // Query Set
+    // -------------------------------------------------------------------------
+
+    wgpuQuerySetGetCount: (querySetHandle) => {
+        const obj = getHandle(querySetHandle);
+        return obj && obj.querySet ? obj.querySet.count : 0;
+    },
+
+    wgpuQuerySetDestroy: (querySetHandle) => {
+        const obj = getHandle(querySetHandle);
+        if (obj && obj.querySet) {
+            obj.querySet.destroy();
+        }
+    },
+
+    // -------------------------------------------------------------------------
+    // Render Bundle Encoder
+    // Records draws once; the finished bundle is replayed with
+    // wgpuRenderPassEncoderExecuteBundles without crossing into JS per draw.
+    // -------------------------------------------------------------------------
+
+    wgpuRenderBundleEncoderSetPipeline: (encoderHandle, pipelineHandle) => {
+        const encoderObj = getHandle(encoderHandle);
+        const pipelineObj = getHandle(pipelineHandle);
+        if (encoderObj && encoderObj.bundleEncoder && pipelineObj && pipelineObj.type === "renderPipeline") {
+            encoderObj.bundleEncoder.setPipeline(pipelineObj.pipeline);
+        }
+    },
+
+    wgpuRenderBundleEncoderSetBindGroup: (encoderHandle, groupIndex, groupHandle, dynamicOffsetCount, dynamicOffsetsPtr) => {
+        const encoderObj = getHandle(encoderHandle);
+        const groupObj = getHandle(groupHandle);
+        if (encoderObj && encoderObj.bundleEncoder && groupObj && groupObj.group) {
+            encoderObj.bundleEncoder.setBindGroup(groupIndex, groupObj.group, readDynamicOffsets(dynamicOffsetCount, dynamicOffsetsPtr));
+        }
+    },
+
+    wgpuRenderBundleEncoderSetVertexBuffer: (encoderHandle, slot, bufferHandle, offset, size) => {
+        const encoderObj = getHandle(encoderHandle);
+        const bufferObj = getHandle(bufferHandle);
+        if (encoderObj && encoderObj.bundleEncoder && bufferObj && bufferObj.buffer) {
+            encoderObj.bundleEncoder.setVertexBuffer(slot, bufferObj.buffer, Number(offset), bufferSizeToJS(size));
+        }
+    },
+
+    wgpuRenderBundleEncoderSetIndexBuffer: (encoderHandle, bufferHandle, format, offset, size) => {
+        const encoderObj = getHandle(encoderHandle);
+        const bufferObj = getHandle(bufferHandle);
+        if (encoderObj && encoderObj.bundleEncoder && bufferObj && bufferObj.buffer) {
+            encoderObj.bundleEncoder.setIndexBuffer(bufferObj.buffer, indexFormatToJS(format), Number(offset), bufferSizeToJS(size));
+        }
+    },
+
+    wgpuRenderBundleEncoderDraw: (encoderHandle, vertexCount, instanceCount, firstVertex, firstInstance) => {
+        const encoderObj = getHandle(encoderHandle);
+        if (encoderObj && encoderObj.bundleEncoder) {
+            encoderObj.bundleEncoder.draw(vertexCount, instanceCount, firstVertex, firstInstance);
+        }
+    },
+
+    wgpuRenderBundleEncoderDrawIndexed: (encoderHandle, indexCount, instanceCount, firstIndex, baseVertex, firstInstance) => {
+        const encoderObj = getHandle(encoderHandle);
+        if (encoderObj && encoderObj.bundleEncoder) {
+            encoderObj.bundleEncoder.drawIndexed(indexCount, instanceCount, firstIndex, baseVertex, firstInstance);
+        }
+    },
+
+    wgpuRenderBundleEncoderDrawIndirect: (encoderHandle, indirectBufferHandle, indirectOffset) => {
+        const encoderObj = getHandle(encoderHandle);
+        const bufferObj = getHandle(indirectBufferHandle);
+        if (encoderObj && encoderObj.bundleEncoder && bufferObj && bufferObj.buffer) {
+            encoderObj.bundleEncoder.drawIndirect(bufferObj.buffer, Number(indirectOffset));
+        }
+    },
+
+    wgpuRenderBundleEncoderDrawIndexedIndirect: (encoderHandle, indirectBufferHandle, indirectOffset) => {
+        const encoderObj = getHandle(encoderHandle);
+        const bufferObj = getHandle(indirectBufferHandle);
+        if (encoderObj && encoderObj.bundleEncoder && bufferObj && bufferObj.buffer) {
+            encoderObj.bundleEncoder.drawIndexedIndirect(bufferObj.buffer, Number(indirectOffset));
+        }
+    },
+
+    wgpuRenderBundleEncoderFinish: (encoderHandle, descriptorPtr) => {
+        const encoderObj = getHandle(encoderHandle);
+        if (!encoderObj || !encoderObj.bundleEncoder) return 0;
+
+        try {
+            const bundle = encoderObj.bundleEncoder.finish();
+            return registerHandle({ type: "renderBundle", bundle: bundle });
+        } catch (e) {
+            console.error("Render bundle finish failed:", e);
+            return 0;
+        }
+    },
+
     // -------------------------------------------------------------------------
     // Resource Release
     // -------------------------------------------------------------------------
 
-    wgpuShaderModuleRelease: (handle) => { freeHandle(handle); },
+    wgpuShaderModuleRelease: (handle) => {
+        if (HOT_RELOAD) hotReloadUntrackModule(handle);
+        freeHandle(handle);
+    },
     wgpuPipelineLayoutRelease: (handle) => { freeHandle(handle); },
     wgpuBindGroupLayoutRelease: (handle) => { freeHandle(handle); },
     wgpuSurfaceRelease: (handle) => { freeHandle(handle); },
     wgpuTextureViewRelease: (handle) => { freeHandle(handle); },
     wgpuRenderPipelineRelease: (handle) => { freeHandle(handle); },
+    wgpuComputePipelineRelease: (handle) => { freeHandle(handle); },
     wgpuBufferRelease: (handle) => { freeHandle(handle); },
     wgpuBindGroupRelease: (handle) => { freeHandle(handle); },
     wgpuTextureRelease: (handle) => { freeHandle(handle); },
+    wgpuSamplerRelease: (handle) => { freeHandle(handle); },
+    wgpuRenderBundleEncoderRelease: (handle) => { freeHandle(handle); },
+    wgpuRenderBundleRelease: (handle) => { freeHandle(handle); },
+    wgpuQuerySetRelease: (handle) => { freeHandle(handle); },
 };
 
+// =============================================================================
+// Keyboard Input
+// =============================================================================
+
+// DOM KeyboardEvent.code of each Key enum value in platform.zig, indexed by
+// enum ordinal. Keep in the enum's order; new keys are appended at the end.
+const KEY_CODES = [
+    "Escape", "Space", "Enter", "ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight",
+    "Tab", "Backspace", "Insert", "Delete", "Home", "End", "PageUp", "PageDown", "CapsLock",
+    ..."ABCDEFGHIJKLMNOPQRSTUVWXYZ".split("").map((letter) => "Key" + letter),
+    ...Array.from({ length: 10 }, (_, i) => "Digit" + i),
+    ...Array.from({ length: 12 }, (_, i) => "F" + (i + 1)),
+    "Minus", "Equal", "BracketLeft", "BracketRight", "Backslash", "Semicolon", "Quote",
+    "Comma", "Period", "Slash", "Backquote",
+    "ShiftLeft", "ShiftRight", "ControlLeft", "ControlRight", "AltLeft", "AltRight", "MetaLeft", "MetaRight",
+];
+
+// event.code → Key ordinal. The keypad Enter reports as Enter.
+const KEY_CODE_MAP = {
+    ...Object.fromEntries(KEY_CODES.map((code, i) => [code, i])),
+    "NumpadEnter": KEY_CODES.indexOf("Enter"),
+};
+
+// Modifier bits passed to web_update_key_state (KeyMods in platform.zig)
+function keyModsFromEvent(e) {
+    return (e.shiftKey ? 1 : 0) | (e.ctrlKey ? 2 : 0) | (e.altKey ? 4 : 0) | (e.metaKey ? 8 : 0);
+}
+
+// Suppress browser defaults (scrolling, focus changes, find-as-you-type) for
+// keys the app receives, but keep Ctrl/Cmd shortcuts and function keys
+// (reload, devtools, fullscreen) working. While text input is active the
+// keys have to reach the hidden text field; only Tab is held back so focus
+// stays there.
+function shouldPreventKeyDefault(e) {
+    if (textInput.active) return e.code === "Tab";
+    return !e.ctrlKey && !e.metaKey && !/^F\d+$/.test(e.code);
+}
+
+// =============================================================================
+// Text Input
+// Typed characters, dead keys and IME composition come from a hidden
+// <textarea> focused while WASM has text input enabled. Committed text is
+// sent with web_text_input(ptr, len), the IME preedit with
+// web_text_composition(ptr, len, cursor); both are UTF-8 in WASM memory.
+// =============================================================================
+
+const textInput = {
+    element: null,
+    active: false,
+    composing: false,
+};
+
+// Hand a UTF-8 copy of `text` to a WASM export taking (ptr, len, ...rest)
+function sendUtf8(exportFn, text, ...rest) {
+    const bytes = new TextEncoder().encode(text);
+    if (bytes.length === 0) {
+        exportFn(0, 0, ...rest);
+        return;
+    }
+    const ptr = wasmAlloc(bytes.length);
+    if (!ptr) return;
+    new Uint8Array(wasmMemory.buffer).set(bytes, ptr);
+    exportFn(ptr, bytes.length, ...rest);
+    wasmFree(ptr, bytes.length);
+}
+
+// Send the text field's contents as committed text and clear it. Control
+// characters (Enter, Tab) are dropped; the app sees those as key presses.
+function commitTextInput() {
+    const el = textInput.element;
+    const text = el.value.replace(/[\x00-\x1f\x7f]/g, "");
+    el.value = "";
+    const exports = wasmInstance.exports;
+    if (text && exports.web_text_input) sendUtf8(exports.web_text_input, text);
+}
+
+function sendComposition(text, cursorUtf16) {
+    const exports = wasmInstance.exports;
+    if (!exports.web_text_composition) return;
+    const cursor = new TextEncoder().encode(text.slice(0, cursorUtf16)).length;
+    sendUtf8(exports.web_text_composition, text, cursor);
+}
+
+function createTextInputElement() {
+    const el = document.createElement("textarea");
+    el.setAttribute("autocomplete", "off");
+    el.setAttribute("autocorrect", "off");
+    el.setAttribute("autocapitalize", "off");
+    el.setAttribute("spellcheck", "false");
+    el.setAttribute("aria-hidden", "true");
+    // Invisible but focusable and laid out, so the IME candidate window and
+    // the mobile keyboard follow its position
+    Object.assign(el.style, {
+        position: "fixed",
+        opacity: "0",
+        pointerEvents: "none",
+        resize: "none",
+        overflow: "hidden",
+        border: "0",
+        padding: "0",
+        margin: "0",
+        outline: "none",
+        background: "transparent",
+        color: "transparent",
+        caretColor: "transparent",
+        zIndex: "-1",
+    });
+
+    el.addEventListener("compositionstart", () => {
+        textInput.composing = true;
+    });
+    // compositionupdate fires before the field is updated, so the caret is
+    // only known in the input event that follows it (where the field, emptied
+    // after every commit, holds just the preedit)
+    el.addEventListener("compositionupdate", (e) => {
+        sendComposition(e.data, e.data.length);
+    });
+    el.addEventListener("compositionend", () => {
+        textInput.composing = false;
+        sendComposition("", 0);
+        commitTextInput();
+    });
+    el.addEventListener("input", (e) => {
+        if (textInput.composing || e.isComposing) {
+            sendComposition(el.value, el.selectionStart);
+            return;
+        }
+        commitTextInput();
+    });
+
+    document.body.appendChild(el);
+    return el;
+}
+
+// Called from WASM. x, y, width, height: caret/field rectangle in canvas
+// backing-buffer pixels, where IME candidate windows should appear.
+function startTextInput(x, y, width, height) {
+    if (!canvasElement) return;
+    if (!textInput.element) textInput.element = createTextInputElement();
+
+    const el = textInput.element;
+    const rect = canvasElement.getBoundingClientRect();
+    const scaleX = rect.width / canvasElement.width;
+    const scaleY = rect.height / canvasElement.height;
+    el.style.left = (rect.left + x * scaleX) + "px";
+    el.style.top = (rect.top + y * scaleY) + "px";
+    el.style.width = Math.max(1, width * scaleX) + "px";
+    el.style.height = Math.max(1, height * scaleY) + "px";
+    el.style.fontSize = Math.max(1, height * scaleY) + "px";
+
+    if (!textInput.active) {
+        textInput.active = true;
+        dbg("Text input started");
+    }
+    if (document.activeElement !== el) el.focus({ preventScroll: true });
+}
+
+// Called from WASM
+function stopTextInput() {
+    if (!textInput.active) return;
+    textInput.active = false;
+    const el = textInput.element;
+    if (textInput.composing) {
+        textInput.composing = false;
+        sendComposition("", 0);
+    }
+    el.value = "";
+    el.blur();
+    dbg("Text input stopped");
+}
+
+// Imports for the text input externs in web.zig (bridge namespace)
+const textInputImports = {
+    web_text_input_start: startTextInput,
+    web_text_input_stop: stopTextInput,
+};
+
+// =============================================================================
+// Pointer Input
+// =============================================================================
+
+// Values of the `phase` argument of web_update_touch (TouchPhase in web.zig)
+const TOUCH_PHASE = Object.freeze({ down: 0, move: 1, up: 2, cancel: 3 });
+
+// PointerEvent.buttons bit of each PointerEvent.button (0=left, 1=middle, 2=right)
+const MOUSE_BUTTON_BITS = [1, 4, 2];
+
+// Pointer position in canvas backing-buffer pixels. offsetX/offsetY are CSS
+// pixels relative to the canvas, also while the pointer is captured.
+function canvasPosition(canvas, e) {
+    const scaleX = canvas.width / canvas.clientWidth;
+    const scaleY = canvas.height / canvas.clientHeight;
+    return [e.offsetX * scaleX, e.offsetY * scaleY];
+}
+
+// Report the button that changed in a mouse pointer event. The new state is
+// read from the `buttons` mask, which is correct for down, up and chorded moves.
+function forwardMouseButton(exports, e) {
+    const bit = MOUSE_BUTTON_BITS[e.button];
+    if (bit !== undefined) exports.web_update_mouse_button(e.button, (e.buttons & bit) !== 0);
+}
+
+// =============================================================================
+// Pointer Lock and Cursor
+// Imports letting WASM lock the pointer to the canvas and pick the cursor.
+// Lock state comes back through web_pointer_lock_changed(locked); movement
+// while locked through web_update_mouse_delta(dx, dy).
+// =============================================================================
+
+// CSS cursor of each CursorStyle ordinal (platform.zig)
+const CURSOR_STYLES = ["default", "pointer", "grab", "grabbing", "crosshair", "text", "none"];
+
+const pointerLock = {
+    // WASM asked for the lock and has not released it
+    wanted: false,
+};
+
+function requestCanvasPointerLock() {
+    if (!canvasElement || typeof canvasElement.requestPointerLock !== "function") return;
+    if (document.pointerLockElement === canvasElement) return;
+    try {
+        // Returns a promise in newer browsers, undefined in older ones
+        const result = canvasElement.requestPointerLock();
+        if (result && typeof result.catch === "function") {
+            result.catch((e) => dbg("Pointer lock request deferred: " + e.message));
+        }
+    } catch (e) {
+        dbg("Pointer lock request deferred: " + e.message);
+    }
+}
+
+// Browsers refuse pointer lock outside a user gesture, which calls from the
+// frame loop are not. A refused request is retried on the next click on the
+// canvas (see the pointerup listener in init()).
+const pointerLockImports = {
+    web_pointer_lock_request: () => {
+        pointerLock.wanted = true;
+        requestCanvasPointerLock();
+    },
+    web_pointer_lock_release: () => {
+        pointerLock.wanted = false;
+        if (canvasElement && document.pointerLockElement === canvasElement) document.exitPointerLock();
+    },
+    web_set_cursor: (style) => {
+        if (!canvasElement) return;
+        const cursor = CURSOR_STYLES[style];
+        if (cursor === undefined) {
+            console.warn("web_set_cursor: unknown cursor style " + style);
+            return;
+        }
+        canvasElement.style.cursor = cursor;
+    },
+    web_set_cursor_image: (urlPtr, hotspotX, hotspotY) => {
+        if (!canvasElement) return;
+        const url = readCString(urlPtr).replace(/["\\]/g, "\\$&");
+        canvasElement.style.cursor = 'url("' + url + '") ' + hotspotX + " " + hotspotY + ", auto";
+    },
+};
+
+// =============================================================================
+// Gamepad Input
+// =============================================================================
+
+// Slots forwarded to WASM (MAX_GAMEPADS in platform.zig)
+const MAX_GAMEPADS = 4;
+
+// Slots currently reported as connected to WASM
+const gamepadConnected = new Array(MAX_GAMEPADS).fill(false);
+
+// Forward the state of all gamepads to WASM. Called at the start of every
+// frame: the Gamepad API has no input events, and connect/disconnect are
+// detected here too because gamepadconnected only fires for pads the page
+// has already seen a button press from.
+function pollGamepads(exports) {
+    if (!exports.web_update_gamepad_button || typeof navigator.getGamepads !== "function") return;
+
+    let pads;
+    try {
+        pads = navigator.getGamepads();
+    } catch (e) {
+        // Blocked by a permissions policy
+        return;
+    }
+
+    for (let index = 0; index < MAX_GAMEPADS; index++) {
+        const pad = pads[index];
+        const connected = !!(pad && pad.connected);
+
+        if (connected && !gamepadConnected[index]) {
+            dbg("Gamepad " + index + " connected: " + pad.id + " (mapping: " + (pad.mapping || "none") + ")");
+            exports.web_gamepad_connected(index, pad.mapping === "standard");
+        } else if (!connected && gamepadConnected[index]) {
+            dbg("Gamepad " + index + " disconnected");
+            exports.web_gamepad_disconnected(index);
+        }
+        gamepadConnected[index] = connected;
+        if (!connected) continue;
+
+        for (let i = 0; i < pad.buttons.length; i++) {
+            const button = pad.buttons[i];
+            exports.web_update_gamepad_button(index, i, button.pressed, button.value);
+        }
+        for (let i = 0; i < pad.axes.length; i++) {
+            exports.web_update_gamepad_axis(index, i, pad.axes[i]);
+        }
+    }
+}
+
 // =============================================================================
 // Module Initialization
 // =============================================================================
@@ -1461,51 +3399,16 @@ export async function init(wasmPath) {
     preferredCanvasFormat = navigator.gpu.getPreferredCanvasFormat();
     dbg("Preferred canvas format:", preferredCanvasFormat);
 
-    // Pre-initialize WebGPU adapter and device BEFORE loading WASM.
-    // This solves the async initialization problem - the WASM code uses synchronous
-    // patterns (requestAdapterSync, requestDeviceSync) which expect callbacks to
-    // fire synchronously. By pre-creating these objects, we can return them
-    // immediately when the wgpu functions are called.
-    dbg("Initializing WebGPU...");
-    
-    preInitAdapter = await navigator.gpu.requestAdapter({
-        powerPreference: "high-performance"
-    });
-    if (!preInitAdapter) {
-        throw new Error("Failed to get WebGPU adapter");
-    }
-    dbg("Adapter obtained");
-    if (preInitAdapter.info) {
-        const info = preInitAdapter.info;
-        dbg("Adapter info: " + JSON.stringify({vendor: info.vendor, architecture: info.architecture, device: info.device, description: info.description}));
-    }
-    // Log adapter features
-    const features = [];
-    preInitAdapter.features.forEach(f => features.push(f));
-    dbg("Adapter features: " + features.join(", "));
-
-    preInitDevice = await preInitAdapter.requestDevice();
-    if (!preInitDevice) {
-        throw new Error("Failed to get WebGPU device");
-    }
-    dbg("Device obtained");
-
-    // Listen for device lost
-    preInitDevice.lost.then(info => {
-        console.error("WebGPU device lost: " + info.reason + " - " + info.message);
-    });
-
     // Get WebGPU context for canvas
     gpuContext = canvasElement.getContext("webgpu");
     if (!gpuContext) {
         throw new Error("Failed to get WebGPU context from canvas");
     }
 
-    // Pre-register handles for the WebGPU objects.
-    // The WASM code will get these handles when it calls wgpuCreateInstance, etc.
+    // Pre-register handles for the instance and canvas surface.
+    // The WASM code will get these handles when it calls wgpuCreateInstance and
+    // wgpuInstanceCreateSurface; adapter and device are requested from WASM.
     preInitInstanceHandle = registerHandle({ type: "instance", gpu: navigator.gpu });
-    preInitAdapterHandle = registerHandle({ type: "adapter", adapter: preInitAdapter });
-    preInitDeviceHandle = registerHandle({ type: "device", device: preInitDevice });
     preInitSurfaceHandle = registerHandle({ type: "surface", context: gpuContext, canvas: canvasElement });
 
     dbg("WebGPU initialized");
@@ -1517,10 +3420,17 @@ export async function init(wasmPath) {
     const importObject = {
         env: {
             ...emscriptenStubs,
-            ...webgpuStubs,
+            ...textInputImports,
+            ...pointerLockImports,
+            ...(CAPTURE_ENABLED ? traceWrapStubs(webgpuStubs) : webgpuStubs),
         },
     };
 
+    if (CAPTURE_FRAMES > 0) {
+        dbg("WebGPU capture: recording " + CAPTURE_FRAMES + " frame(s)");
+        beginCapture(CAPTURE_FRAMES, true).then((result) => downloadTrace(result));
+    }
+
     const { instance } = await WebAssembly.instantiate(wasmBytes, importObject);
     wasmInstance = instance;
     wasmMemory = instance.exports.memory;
@@ -1531,73 +3441,217 @@ export async function init(wasmPath) {
 
     dbg("WASM module loaded");
 
-    // Wire up mouse event listeners on the canvas.
-    // The Zig web platform exports web_update_mouse_position(x, y) and
-    // web_update_mouse_button(button, pressed) which update the platform's
-    // mouse state directly. We use offsetX/offsetY for canvas-relative CSS
-    // coordinates, then scale to backing-buffer pixels.
+    // Fail here rather than decode garbage descriptors later
+    setStructMemory(wasmMemory);
+    if (checkStructLayouts(instance.exports)) {
+        dbg("Struct layout check passed");
+    }
+
+    if (HOT_RELOAD) {
+        startShaderHotReload();
+    }
+
+    // Wire up pointer event listeners on the canvas.
+    // Pointer Events cover mouse, touch and pen input. Mouse pointers update
+    // the platform's mouse state through web_update_mouse_position(x, y) and
+    // web_update_mouse_button(button, pressed); touch and pen contacts go to
+    // web_update_touch(id, phase, x, y, pressure). The primary touch also
+    // drives the mouse state so mouse-only apps stay usable on phones.
     const exports = instance.exports;
     if (canvasElement && exports.web_update_mouse_position && exports.web_update_mouse_button) {
-        canvasElement.addEventListener("mousemove", (e) => {
-            const scaleX = canvasElement.width / canvasElement.clientWidth;
-            const scaleY = canvasElement.height / canvasElement.clientHeight;
-            exports.web_update_mouse_position(e.offsetX * scaleX, e.offsetY * scaleY);
-        });
+        // Keep the browser from scrolling or zooming the page for gestures
+        // that start on the canvas; the app receives them instead.
+        canvasElement.style.touchAction = "none";
+
+        const forwardTouch = exports.web_update_touch
+            ? (e, phase) => {
+                const [x, y] = canvasPosition(canvasElement, e);
+                exports.web_update_touch(e.pointerId, phase, x, y, e.pressure);
+            }
+            : () => {};
+        // Touch and pen pointers that are down; pens also move while hovering
+        const activeTouches = new Set();
 
-        canvasElement.addEventListener("mousedown", (e) => {
-            exports.web_update_mouse_button(e.button, true);
+        canvasElement.addEventListener("pointerdown", (e) => {
+            // Capture so a drag keeps reporting moves and its release after
+            // leaving the canvas
+            try {
+                canvasElement.setPointerCapture(e.pointerId);
+            } catch (err) {
+                dbg("setPointerCapture failed: " + err);
+            }
+            if (e.pointerType === "mouse") {
+                // Keep focus (and the IME) on the hidden text field
+                if (textInput.active) e.preventDefault();
+                forwardMouseButton(exports, e);
+                return;
+            }
+            // Also suppresses the emulated mouse events that follow a touch
+            e.preventDefault();
+            activeTouches.add(e.pointerId);
+            forwardTouch(e, TOUCH_PHASE.down);
+            if (e.isPrimary) {
+                const [x, y] = canvasPosition(canvasElement, e);
+                exports.web_update_mouse_position(x, y);
+                exports.web_update_mouse_button(0, true);
+            }
         });
 
-        canvasElement.addEventListener("mouseup", (e) => {
-            exports.web_update_mouse_button(e.button, false);
+        canvasElement.addEventListener("pointermove", (e) => {
+            const [x, y] = canvasPosition(canvasElement, e);
+            if (e.pointerType === "mouse") {
+                // Relative movement, the only movement reported while locked
+                if (exports.web_update_mouse_delta && (e.movementX || e.movementY)) {
+                    const scaleX = canvasElement.width / canvasElement.clientWidth;
+                    const scaleY = canvasElement.height / canvasElement.clientHeight;
+                    exports.web_update_mouse_delta(e.movementX * scaleX, e.movementY * scaleY);
+                }
+                exports.web_update_mouse_position(x, y);
+                // Pressing a second button while one is held arrives as a
+                // move ("chorded" button change), not as pointerdown
+                if (e.button >= 0) forwardMouseButton(exports, e);
+                return;
+            }
+            if (activeTouches.has(e.pointerId)) forwardTouch(e, TOUCH_PHASE.move);
+            if (e.isPrimary) exports.web_update_mouse_position(x, y);
         });
 
-        dbg("Mouse event listeners registered on canvas");
+        const pointerEnd = (phase) => (e) => {
+            // Mobile browsers only open the on-screen keyboard for focus()
+            // inside a user gesture, which startTextInput() from the frame
+            // loop is not. Retry on the tap that follows.
+            if (textInput.active && document.activeElement !== textInput.element) {
+                textInput.element.focus({ preventScroll: true });
+            }
+            // Same for pointer lock requested from the frame loop
+            if (pointerLock.wanted && document.pointerLockElement !== canvasElement) {
+                requestCanvasPointerLock();
+            }
+            if (e.pointerType === "mouse") {
+                if (phase === TOUCH_PHASE.up) forwardMouseButton(exports, e);
+                return;
+            }
+            activeTouches.delete(e.pointerId);
+            forwardTouch(e, phase);
+            if (e.isPrimary) exports.web_update_mouse_button(0, false);
+        };
+        canvasElement.addEventListener("pointerup", pointerEnd(TOUCH_PHASE.up));
+        canvasElement.addEventListener("pointercancel", pointerEnd(TOUCH_PHASE.cancel));
+
+        if (exports.web_pointer_lock_changed) {
+            document.addEventListener("pointerlockchange", () => {
+                const locked = document.pointerLockElement === canvasElement;
+                // Unlocked by the user (Escape): don't grab the pointer again on
+                // the next click until WASM asks for it
+                if (!locked) pointerLock.wanted = false;
+                exports.web_pointer_lock_changed(locked);
+            });
+            document.addEventListener("pointerlockerror", () => {
+                dbg("Pointer lock refused; retrying on the next click");
+            });
+        }
+
+        dbg("Pointer event listeners registered on canvas");
+    } else {
+        console.warn("Could not register pointer event listeners: missing canvas or WASM exports");
+    }
+
+    // Wire up wheel events on the canvas. Raw deltas and deltaMode are passed
+    // through; Zig normalizes pixel/line/page deltas to wheel notches and
+    // accumulates them per frame. The listener is non-passive so it can stop
+    // the page from scrolling while the pointer is over the canvas.
+    if (canvasElement && exports.web_update_mouse_wheel) {
+        canvasElement.addEventListener("wheel", (e) => {
+            exports.web_update_mouse_wheel(e.deltaX, e.deltaY, e.deltaMode);
+            e.preventDefault();
+        }, { passive: false });
+
+        dbg("Wheel event listener registered on canvas");
     } else {
-        console.warn("Could not register mouse event listeners: missing canvas or WASM exports");
+        console.warn("Could not register wheel event listener: missing canvas or WASM export web_update_mouse_wheel");
     }
 
     // Wire up keyboard event listeners on the window.
     // Keyboard events are registered on `window` (not the canvas) because keyboard
     // events require focus and the canvas may not always have it.
-    // Maps DOM event.code strings to Key enum ordinals:
-    //   Escape=0, Space=1, Enter=2, ArrowUp=3, ArrowDown=4, ArrowLeft=5, ArrowRight=6
     if (exports.web_update_key_state) {
-        const keyCodeMap = {
-            "Escape": 0,
-            "Space": 1,
-            "Enter": 2,
-            "ArrowUp": 3,
-            "ArrowDown": 4,
-            "ArrowLeft": 5,
-            "ArrowRight": 6,
-        };
+        const pressedKeys = new Set();
 
         window.addEventListener("keydown", (e) => {
-            const keyCode = keyCodeMap[e.code];
+            // Keystrokes consumed by an IME composition are not key presses
+            if (e.isComposing || e.keyCode === 229) return;
+            const keyCode = KEY_CODE_MAP[e.code];
             if (keyCode !== undefined) {
-                exports.web_update_key_state(keyCode, true);
-                e.preventDefault();
+                pressedKeys.add(keyCode);
+                exports.web_update_key_state(keyCode, true, keyModsFromEvent(e));
+                if (shouldPreventKeyDefault(e)) e.preventDefault();
             }
         });
 
         window.addEventListener("keyup", (e) => {
-            const keyCode = keyCodeMap[e.code];
+            const keyCode = KEY_CODE_MAP[e.code];
             if (keyCode !== undefined) {
-                exports.web_update_key_state(keyCode, false);
-                e.preventDefault();
+                pressedKeys.delete(keyCode);
+                exports.web_update_key_state(keyCode, false, keyModsFromEvent(e));
+                if (shouldPreventKeyDefault(e)) e.preventDefault();
             }
         });
 
+        // Keys released while the page is unfocused never send keyup (e.g.
+        // after Alt+Tab), so release everything on blur.
+        window.addEventListener("blur", () => {
+            for (const keyCode of pressedKeys) exports.web_update_key_state(keyCode, false, 0);
+            pressedKeys.clear();
+        });
+
         dbg("Keyboard event listeners registered on window");
     } else {
         console.warn("Could not register keyboard event listeners: missing WASM export web_update_key_state");
     }
 
+    // imports: the env import object WASM was instantiated with, so tests can
+    // call wgpu* imports directly
     return {
         instance,
         exports: exports,
+        imports: importObject.env,
     };
 }
 
-export default { init };
+// GPU time of each render/compute pass in the most recently measured frame,
+// as [{ label, ms }] in submission order. Empty unless the device has
+// "timestamp-query" (requested by the app, or by ?gputimer / ?debug).
+export function getGpuPassTimings() {
+    return gpuTimer.lastTimings;
+}
+
+// Record every wgpu* call for the next `frames` frames. Resolves with the
+// trace once the last frame has run. Resources created before the capture
+// started appear only as handle ids; use ?capture=N for a self-contained trace.
+// Rejects unless the page was opened with ?capture and `frames` is a
+// positive integer.
+export function startCapture(frames) {
+    return beginCapture(frames, false);
+}
+
+// The most recently completed capture, or null
+export function getTrace() {
+    return trace.last;
+}
+
+// Save a trace (by default the most recent capture) as a JSON file
+export function downloadTrace(result, fileName) {
+    const data = result || trace.last;
+    if (!data) {
+        console.warn("downloadTrace: no capture available");
+        return;
+    }
+    const blob = new Blob([JSON.stringify(data)], { type: "application/json" });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName || "webgpu-trace.json";
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+export default { init, getGpuPassTimings, startCapture, getTrace, downloadTrace };
@@ -0,0 +1,657 @@
+// WebGPU struct layouts for zig_webgpu_platform
+// Declarative description of the zgpu wgpu.* extern structs the web bridge
+// (wasm_bindings.js) reads and writes, and the generic readers and writers
+// built on it. Offsets and sizes are computed from the field list with the
+// wasm32 C ABI rules (pointers and usize are 4 bytes, u64/f64 8-byte aligned),
+// and checked at init against the layout the Zig build actually has
+// (web_wgpu_struct_size / web_wgpu_field_offset), so zgpu changes fail loudly
+// at startup instead of producing garbage descriptors.
+//
+// Field types:
+//   "u16" "u32" "i32" "u64" "f32" "f64" "bool" (1 byte) "usize"
+//   "ptr"     raw pointer (number)
+//   "handle"  WebGPU object handle (number, 0 = null)
+//   "string"  pointer to a NUL-terminated string (read as a JS string)
+//   { struct: "Name" }                 nested struct
+//   { pointer: "Name" }                nullable pointer to a struct (object or null)
+//   { array: type, count: "field" }    pointer to `field` elements of `type`
+// Field names are the Zig field names; readStruct() returns objects keyed by them.
+
+// WASM memory the structs live in (set by the bridge once WASM is instantiated)
+let memory = null;
+
+export function setStructMemory(wasmMemory) {
+    memory = wasmMemory;
+}
+
+function view() {
+    return new DataView(memory.buffer);
+}
+
+// Read a NUL-terminated string from WASM memory ("" for a null pointer)
+export function readCString(ptr) {
+    if (!ptr || !memory) return "";
+    const mem = new Uint8Array(memory.buffer);
+    let end = ptr;
+    while (mem[end] !== 0) end++;
+    return new TextDecoder().decode(mem.subarray(ptr, end));
+}
+
+// =============================================================================
+// Sizes and Limits
+// =============================================================================
+
+// WGPU_WHOLE_SIZE (u64 all ones) means "to the end of the buffer".
+// Browser WebGPU expresses that by omitting the size, so map it to undefined.
+export const WHOLE_SIZE = 0xFFFFFFFFFFFFFFFFn;
+
+// u64 import arguments arrive as signed BigInts (WGPU_WHOLE_SIZE as -1n), so
+// compare them as unsigned
+export function bufferSizeToJS(size) {
+    return BigInt.asUintN(64, BigInt(size)) === WHOLE_SIZE ? undefined : Number(size);
+}
+
+// Limits struct fields in declaration order (zgpu wgpu.Limits), as
+// [GPUSupportedLimits name, type]. u64 fields are 8-byte aligned.
+export const LIMIT_FIELDS = [
+    ["maxTextureDimension1D", "u32"],
+    ["maxTextureDimension2D", "u32"],
+    ["maxTextureDimension3D", "u32"],
+    ["maxTextureArrayLayers", "u32"],
+    ["maxBindGroups", "u32"],
+    ["maxBindGroupsPlusVertexBuffers", "u32"],
+    ["maxBindingsPerBindGroup", "u32"],
+    ["maxDynamicUniformBuffersPerPipelineLayout", "u32"],
+    ["maxDynamicStorageBuffersPerPipelineLayout", "u32"],
+    ["maxSampledTexturesPerShaderStage", "u32"],
+    ["maxSamplersPerShaderStage", "u32"],
+    ["maxStorageBuffersPerShaderStage", "u32"],
+    ["maxStorageTexturesPerShaderStage", "u32"],
+    ["maxUniformBuffersPerShaderStage", "u32"],
+    ["maxUniformBufferBindingSize", "u64"],
+    ["maxStorageBufferBindingSize", "u64"],
+    ["minUniformBufferOffsetAlignment", "u32"],
+    ["minStorageBufferOffsetAlignment", "u32"],
+    ["maxVertexBuffers", "u32"],
+    ["maxBufferSize", "u64"],
+    ["maxVertexAttributes", "u32"],
+    ["maxVertexBufferArrayStride", "u32"],
+    ["maxInterStageShaderComponents", "u32"],
+    ["maxInterStageShaderVariables", "u32"],
+    ["maxColorAttachments", "u32"],
+    ["maxColorAttachmentBytesPerSample", "u32"],
+    ["maxComputeWorkgroupStorageSize", "u32"],
+    ["maxComputeInvocationsPerWorkgroup", "u32"],
+    ["maxComputeWorkgroupSizeX", "u32"],
+    ["maxComputeWorkgroupSizeY", "u32"],
+    ["maxComputeWorkgroupSizeZ", "u32"],
+    ["maxComputeWorkgroupsPerDimension", "u32"],
+];
+
+// Zig field name of a LIMIT_FIELDS entry (maxTextureDimension1D → max_texture_dimension_1d)
+export function limitFieldName(name) {
+    return name.replace(/\d+D|[A-Z]/g, (m) => "_" + m.toLowerCase());
+}
+
+// =============================================================================
+// Struct Schema
+// =============================================================================
+
+export const WGPU_STRUCTS = {
+    ChainedStruct: [
+        ["next", "ptr"],
+        ["struct_type", "u32"],
+    ],
+    Extent3D: [
+        ["width", "u32"],
+        ["height", "u32"],
+        ["depth_or_array_layers", "u32"],
+    ],
+    Origin3D: [
+        ["x", "u32"],
+        ["y", "u32"],
+        ["z", "u32"],
+    ],
+    Color: [
+        ["r", "f64"],
+        ["g", "f64"],
+        ["b", "f64"],
+        ["a", "f64"],
+    ],
+
+    // Adapter and device
+    RequestAdapterOptions: [
+        ["next_in_chain", "ptr"],
+        ["compatible_surface", "handle"],
+        ["power_preference", "u32"],
+        ["backend_type", "u32"],
+        ["force_fallback_adapter", "bool"],
+        ["compatibility_mode", "bool"],
+    ],
+    AdapterProperties: [
+        ["next_in_chain", "ptr"],
+        ["vendor_id", "u32"],
+        ["vendor_name", "ptr"],
+        ["architecture", "ptr"],
+        ["device_id", "u32"],
+        ["name", "ptr"],
+        ["driver_description", "ptr"],
+        ["adapter_type", "u32"],
+        ["backend_type", "u32"],
+        ["compatibility_mode", "bool"],
+    ],
+    Limits: LIMIT_FIELDS.map(([name, type]) => [limitFieldName(name), type]),
+    RequiredLimits: [
+        ["next_in_chain", "ptr"],
+        ["limits", { struct: "Limits" }],
+    ],
+    SupportedLimits: [
+        ["next_in_chain", "ptr"],
+        ["limits", { struct: "Limits" }],
+    ],
+    QueueDescriptor: [
+        ["next_in_chain", "ptr"],
+        ["label", "string"],
+    ],
+    DeviceDescriptor: [
+        ["next_in_chain", "ptr"],
+        ["label", "string"],
+        ["required_features_count", "usize"],
+        ["required_features", { array: "u32", count: "required_features_count" }],
+        ["required_limits", "ptr"],
+        ["default_queue", { struct: "QueueDescriptor" }],
+        ["device_lost_callback", "ptr"],
+        ["device_lost_user_data", "ptr"],
+    ],
+    SwapChainDescriptor: [
+        ["next_in_chain", "ptr"],
+        ["label", "string"],
+        ["usage", "u32"],
+        ["format", "u32"],
+        ["width", "u32"],
+        ["height", "u32"],
+        ["present_mode", "u32"],
+    ],
+
+    // Shaders
+    ShaderModuleDescriptor: [
+        ["next_in_chain", "ptr"],
+        ["label", "string"],
+    ],
+    ShaderModuleWGSLDescriptor: [
+        ["chain", { struct: "ChainedStruct" }],
+        ["code", "string"],
+    ],
+    CompilationMessage: [
+        ["next_in_chain", "ptr"],
+        ["message", "ptr"],
+        ["message_type", "u32"],
+        ["line_num", "u64"],
+        ["line_pos", "u64"],
+        ["offset", "u64"],
+        ["length", "u64"],
+        ["utf16_line_pos", "u64"],
+        ["utf16_offset", "u64"],
+        ["utf16_length", "u64"],
+    ],
+    CompilationInfo: [
+        ["next_in_chain", "ptr"],
+        ["message_count", "usize"],
+        ["messages", "ptr"],
+    ],
+
+    // Resources
+    BufferDescriptor: [
+        ["next_in_chain", "ptr"],
+        ["label", "string"],
+        ["usage", "u32"],
+        ["size", "u64"],
+        ["mapped_at_creation", "u32"],
+    ],
+    TextureDescriptor: [
+        ["next_in_chain", "ptr"],
+        ["label", "string"],
+        ["usage", "u32"],
+        ["dimension", "u32"],
+        ["size", { struct: "Extent3D" }],
+        ["format", "u32"],
+        ["mip_level_count", "u32"],
+        ["sample_count", "u32"],
+        ["view_format_count", "usize"],
+        ["view_formats", { array: "u32", count: "view_format_count" }],
+    ],
+    TextureViewDescriptor: [
+        ["next_in_chain", "ptr"],
+        ["label", "string"],
+        ["format", "u32"],
+        ["dimension", "u32"],
+        ["base_mip_level", "u32"],
+        ["mip_level_count", "u32"],
+        ["base_array_layer", "u32"],
+        ["array_layer_count", "u32"],
+        ["aspect", "u32"],
+    ],
+    SamplerDescriptor: [
+        ["next_in_chain", "ptr"],
+        ["label", "string"],
+        ["address_mode_u", "u32"],
+        ["address_mode_v", "u32"],
+        ["address_mode_w", "u32"],
+        ["mag_filter", "u32"],
+        ["min_filter", "u32"],
+        ["mipmap_filter", "u32"],
+        ["lod_min_clamp", "f32"],
+        ["lod_max_clamp", "f32"],
+        ["compare", "u32"],
+        ["max_anisotropy", "u16"],
+    ],
+    QuerySetDescriptor: [
+        ["next_in_chain", "ptr"],
+        ["label", "string"],
+        ["query_type", "u32"],
+        ["count", "u32"],
+    ],
+    ImageCopyTexture: [
+        ["next_in_chain", "ptr"],
+        ["texture", "handle"],
+        ["mip_level", "u32"],
+        ["origin", { struct: "Origin3D" }],
+        ["aspect", "u32"],
+    ],
+    TextureDataLayout: [
+        ["next_in_chain", "ptr"],
+        ["offset", "u64"],
+        ["bytes_per_row", "u32"],
+        ["rows_per_image", "u32"],
+    ],
+    ImageCopyBuffer: [
+        ["next_in_chain", "ptr"],
+        ["layout", { struct: "TextureDataLayout" }],
+        ["buffer", "handle"],
+    ],
+
+    // Bind groups
+    BufferBindingLayout: [
+        ["next_in_chain", "ptr"],
+        ["binding_type", "u32"],
+        ["has_dynamic_offset", "u32"],
+        ["min_binding_size", "u64"],
+    ],
+    SamplerBindingLayout: [
+        ["next_in_chain", "ptr"],
+        ["binding_type", "u32"],
+    ],
+    TextureBindingLayout: [
+        ["next_in_chain", "ptr"],
+        ["sample_type", "u32"],
+        ["view_dimension", "u32"],
+        ["multisampled", "bool"],
+    ],
+    StorageTextureBindingLayout: [
+        ["next_in_chain", "ptr"],
+        ["access", "u32"],
+        ["format", "u32"],
+        ["view_dimension", "u32"],
+    ],
+    BindGroupLayoutEntry: [
+        ["next_in_chain", "ptr"],
+        ["binding", "u32"],
+        ["visibility", "u32"],
+        ["buffer", { struct: "BufferBindingLayout" }],
+        ["sampler", { struct: "SamplerBindingLayout" }],
+        ["texture", { struct: "TextureBindingLayout" }],
+        ["storage_texture", { struct: "StorageTextureBindingLayout" }],
+    ],
+    BindGroupLayoutDescriptor: [
+        ["next_in_chain", "ptr"],
+        ["label", "string"],
+        ["entry_count", "usize"],
+        ["entries", { array: { struct: "BindGroupLayoutEntry" }, count: "entry_count" }],
+    ],
+    BindGroupEntry: [
+        ["next_in_chain", "ptr"],
+        ["binding", "u32"],
+        ["buffer", "handle"],
+        ["offset", "u64"],
+        ["size", "u64"],
+        ["sampler", "handle"],
+        ["texture_view", "handle"],
+    ],
+    BindGroupDescriptor: [
+        ["next_in_chain", "ptr"],
+        ["label", "string"],
+        ["layout", "handle"],
+        ["entry_count", "usize"],
+        ["entries", { array: { struct: "BindGroupEntry" }, count: "entry_count" }],
+    ],
+    PipelineLayoutDescriptor: [
+        ["next_in_chain", "ptr"],
+        ["label", "string"],
+        ["bind_group_layout_count", "usize"],
+        ["bind_group_layouts", { array: "handle", count: "bind_group_layout_count" }],
+    ],
+
+    // Pipelines
+    VertexAttribute: [
+        ["format", "u32"],
+        ["offset", "u64"],
+        ["shader_location", "u32"],
+    ],
+    VertexBufferLayout: [
+        ["array_stride", "u64"],
+        ["step_mode", "u32"],
+        ["attribute_count", "usize"],
+        ["attributes", { array: { struct: "VertexAttribute" }, count: "attribute_count" }],
+    ],
+    VertexState: [
+        ["next_in_chain", "ptr"],
+        ["module", "handle"],
+        ["entry_point", "string"],
+        ["constant_count", "usize"],
+        ["constants", "ptr"],
+        ["buffer_count", "usize"],
+        ["buffers", { array: { struct: "VertexBufferLayout" }, count: "buffer_count" }],
+    ],
+    PrimitiveState: [
+        ["next_in_chain", "ptr"],
+        ["topology", "u32"],
+        ["strip_index_format", "u32"],
+        ["front_face", "u32"],
+        ["cull_mode", "u32"],
+    ],
+    StencilFaceState: [
+        ["compare", "u32"],
+        ["fail_op", "u32"],
+        ["depth_fail_op", "u32"],
+        ["pass_op", "u32"],
+    ],
+    DepthStencilState: [
+        ["next_in_chain", "ptr"],
+        ["format", "u32"],
+        ["depth_write_enabled", "bool"],
+        ["depth_compare", "u32"],
+        ["stencil_front", { struct: "StencilFaceState" }],
+        ["stencil_back", { struct: "StencilFaceState" }],
+        ["stencil_read_mask", "u32"],
+        ["stencil_write_mask", "u32"],
+        ["depth_bias", "i32"],
+        ["depth_bias_slope_scale", "f32"],
+        ["depth_bias_clamp", "f32"],
+    ],
+    MultisampleState: [
+        ["next_in_chain", "ptr"],
+        ["count", "u32"],
+        ["mask", "u32"],
+        ["alpha_to_coverage_enabled", "bool"],
+    ],
+    BlendComponent: [
+        ["operation", "u32"],
+        ["src_factor", "u32"],
+        ["dst_factor", "u32"],
+    ],
+    BlendState: [
+        ["color", { struct: "BlendComponent" }],
+        ["alpha", { struct: "BlendComponent" }],
+    ],
+    ColorTargetState: [
+        ["next_in_chain", "ptr"],
+        ["format", "u32"],
+        ["blend", { pointer: "BlendState" }],
+        ["write_mask", "u32"],
+    ],
+    FragmentState: [
+        ["next_in_chain", "ptr"],
+        ["module", "handle"],
+        ["entry_point", "string"],
+        ["constant_count", "usize"],
+        ["constants", "ptr"],
+        ["target_count", "usize"],
+        ["targets", { array: { struct: "ColorTargetState" }, count: "target_count" }],
+    ],
+    RenderPipelineDescriptor: [
+        ["next_in_chain", "ptr"],
+        ["label", "string"],
+        ["layout", "handle"],
+        ["vertex", { struct: "VertexState" }],
+        ["primitive", { struct: "PrimitiveState" }],
+        ["depth_stencil", { pointer: "DepthStencilState" }],
+        ["multisample", { struct: "MultisampleState" }],
+        ["fragment", { pointer: "FragmentState" }],
+    ],
+    ProgrammableStageDescriptor: [
+        ["next_in_chain", "ptr"],
+        ["module", "handle"],
+        ["entry_point", "string"],
+        ["constant_count", "usize"],
+        ["constants", "ptr"],
+    ],
+    ComputePipelineDescriptor: [
+        ["next_in_chain", "ptr"],
+        ["label", "string"],
+        ["layout", "handle"],
+        ["compute", { struct: "ProgrammableStageDescriptor" }],
+    ],
+
+    // Passes and bundles
+    RenderPassColorAttachment: [
+        ["next_in_chain", "ptr"],
+        ["view", "handle"],
+        ["depth_slice", "u32"],
+        ["resolve_target", "handle"],
+        ["load_op", "u32"],
+        ["store_op", "u32"],
+        ["clear_value", { struct: "Color" }],
+    ],
+    RenderPassDepthStencilAttachment: [
+        ["view", "handle"],
+        ["depth_load_op", "u32"],
+        ["depth_store_op", "u32"],
+        ["depth_clear_value", "f32"],
+        ["depth_read_only", "bool"],
+        ["stencil_load_op", "u32"],
+        ["stencil_store_op", "u32"],
+        ["stencil_clear_value", "u32"],
+        ["stencil_read_only", "bool"],
+    ],
+    RenderPassTimestampWrites: [
+        ["query_set", "handle"],
+        ["beginning_of_pass_write_index", "u32"],
+        ["end_of_pass_write_index", "u32"],
+    ],
+    ComputePassTimestampWrites: [
+        ["query_set", "handle"],
+        ["beginning_of_pass_write_index", "u32"],
+        ["end_of_pass_write_index", "u32"],
+    ],
+    RenderPassDescriptor: [
+        ["next_in_chain", "ptr"],
+        ["label", "string"],
+        ["color_attachment_count", "usize"],
+        ["color_attachments", { array: { struct: "RenderPassColorAttachment" }, count: "color_attachment_count" }],
+        ["depth_stencil_attachment", { pointer: "RenderPassDepthStencilAttachment" }],
+        ["occlusion_query_set", "handle"],
+        ["timestamp_writes", { pointer: "RenderPassTimestampWrites" }],
+    ],
+    ComputePassDescriptor: [
+        ["next_in_chain", "ptr"],
+        ["label", "string"],
+        ["timestamp_writes", { pointer: "ComputePassTimestampWrites" }],
+    ],
+    RenderBundleEncoderDescriptor: [
+        ["next_in_chain", "ptr"],
+        ["label", "string"],
+        ["color_formats_count", "usize"],
+        ["color_formats", { array: "u32", count: "color_formats_count" }],
+        ["depth_stencil_format", "u32"],
+        ["sample_count", "u32"],
+        ["depth_read_only", "bool"],
+        ["stencil_read_only", "bool"],
+    ],
+};
+
+// =============================================================================
+// Layout, Reading and Writing
+// =============================================================================
+
+// Size and alignment of the scalar field types on wasm32
+const SCALAR_LAYOUTS = {
+    bool: 1, u16: 2, u32: 4, i32: 4, f32: 4, usize: 4, ptr: 4, handle: 4, string: 4, u64: 8, f64: 8,
+};
+
+const structLayouts = new Map();
+
+// { size, align } of a field type
+function fieldTypeLayout(type) {
+    if (typeof type === "string") {
+        const size = SCALAR_LAYOUTS[type];
+        if (!size) throw new Error("Unknown struct field type: " + type);
+        return { size: size, align: size };
+    }
+    if (type.struct) return structLayout(type.struct);
+    return { size: 4, align: 4 }; // pointer / array
+}
+
+// Computed layout of a schema struct: { size, align, fields: [{ name, type, offset }] }
+export function structLayout(name) {
+    let layout = structLayouts.get(name);
+    if (layout) return layout;
+    const fields = WGPU_STRUCTS[name];
+    if (!fields) throw new Error("No layout for wgpu struct " + name);
+
+    let offset = 0;
+    let align = 1;
+    layout = { size: 0, align: 1, fields: [] };
+    for (const [fieldName, type] of fields) {
+        const field = fieldTypeLayout(type);
+        offset = Math.ceil(offset / field.align) * field.align;
+        layout.fields.push({ name: fieldName, type: type, offset: offset });
+        offset += field.size;
+        align = Math.max(align, field.align);
+    }
+    layout.size = Math.ceil(offset / align) * align;
+    layout.align = align;
+    structLayouts.set(name, layout);
+    return layout;
+}
+
+// Byte offset of a field within a schema struct
+export function fieldOffset(structName, fieldName) {
+    const field = structLayout(structName).fields.find((f) => f.name === fieldName);
+    if (!field) throw new Error("wgpu struct " + structName + " has no field " + fieldName);
+    return field.offset;
+}
+
+function readScalar(type, ptr) {
+    switch (type) {
+        case "bool": return new Uint8Array(memory.buffer)[ptr] !== 0;
+        case "u16": return view().getUint16(ptr, true);
+        case "i32": return view().getInt32(ptr, true);
+        case "f32": return view().getFloat32(ptr, true);
+        case "f64": return view().getFloat64(ptr, true);
+        case "u64": return view().getBigUint64(ptr, true);
+        case "string": return readCString(view().getUint32(ptr, true));
+        default: return view().getUint32(ptr, true); // u32, usize, ptr, handle
+    }
+}
+
+function readField(type, ptr, struct) {
+    if (typeof type === "string") return readScalar(type, ptr);
+    if (type.struct) return readStruct(type.struct, ptr);
+    const target = view().getUint32(ptr, true);
+    if (type.pointer) return target ? readStruct(type.pointer, target) : null;
+    return readArray(type.array, target, struct[type.count]);
+}
+
+// Read `count` consecutive elements of a field type starting at ptr
+export function readArray(type, ptr, count) {
+    const items = [];
+    if (!ptr) return items;
+    const stride = fieldTypeLayout(type).size;
+    for (let i = 0; i < count; i++) {
+        items.push(readField(type, ptr + i * stride, null));
+    }
+    return items;
+}
+
+// Read a schema struct from WASM memory into an object keyed by Zig field names
+export function readStruct(name, ptr) {
+    const struct = {};
+    for (const field of structLayout(name).fields) {
+        struct[field.name] = readField(field.type, ptr + field.offset, struct);
+    }
+    return struct;
+}
+
+// Write scalar fields of a schema struct. Only the fields present in `values`
+// are written; pointers and handles are written as numbers.
+export function writeStruct(name, ptr, values) {
+    const data = view();
+    for (const field of structLayout(name).fields) {
+        if (!(field.name in values)) continue;
+        const value = values[field.name];
+        const at = ptr + field.offset;
+        switch (field.type) {
+            case "bool": new Uint8Array(memory.buffer)[at] = value ? 1 : 0; break;
+            case "u64": data.setBigUint64(at, BigInt(value), true); break;
+            case "f64": data.setFloat64(at, value, true); break;
+            case "i32": data.setInt32(at, value, true); break;
+            case "u32": case "usize": case "ptr": case "handle": data.setUint32(at, value, true); break;
+            default: throw new Error("writeStruct: can't write " + name + "." + field.name);
+        }
+    }
+}
+
+// =============================================================================
+// Layout Check
+// =============================================================================
+
+// Compare the schema with the layout compiled into the WASM module. Throws if
+// a size or offset differs, or if zgpu doesn't know a struct or field the
+// schema describes. Returns false if the module can't report its layout.
+export function checkStructLayouts(exports) {
+    if (!exports.web_wgpu_struct_size || !exports.web_wgpu_field_offset) {
+        console.warn("WASM module does not export web_wgpu_struct_size/web_wgpu_field_offset, skipping struct layout check");
+        return false;
+    }
+    const LAYOUT_UNKNOWN = 0xFFFFFFFF;
+    // Pass a name to a layout export as (ptr, len) in scratch WASM memory
+    const withName = (str, fn) => {
+        const bytes = new TextEncoder().encode(str);
+        const ptr = exports.web_alloc(bytes.length);
+        if (!ptr) throw new Error("Struct layout check: web_alloc failed");
+        new Uint8Array(memory.buffer).set(bytes, ptr);
+        try {
+            return fn(ptr, bytes.length) >>> 0;
+        } finally {
+            exports.web_free(ptr, bytes.length);
+        }
+    };
+
+    const mismatches = [];
+    for (const name of Object.keys(WGPU_STRUCTS)) {
+        const layout = structLayout(name);
+        const zigSize = withName(name, (p, n) => exports.web_wgpu_struct_size(p, n));
+        if (zigSize === LAYOUT_UNKNOWN) {
+            mismatches.push(name + ": not found in zgpu");
+            continue;
+        }
+        if (zigSize !== layout.size) {
+            mismatches.push(name + ": size " + layout.size + " in wgpu_structs.js, " + zigSize + " in zgpu");
+        }
+        for (const field of layout.fields) {
+            const zigOffset = withName(name, (sp, sn) => withName(field.name, (fp, fn) =>
+                exports.web_wgpu_field_offset(sp, sn, fp, fn)));
+            if (zigOffset === LAYOUT_UNKNOWN) {
+                mismatches.push(name + "." + field.name + ": not found in zgpu");
+            } else if (zigOffset !== field.offset) {
+                mismatches.push(name + "." + field.name + ": offset " + field.offset + " in wgpu_structs.js, " + zigOffset + " in zgpu");
+            }
+        }
+    }
+
+    if (mismatches.length > 0) {
+        throw new Error("WebGPU struct layouts in wgpu_structs.js don't match the zgpu the WASM was built with:\n  " +
+            mismatches.join("\n  "));
+    }
+    return true;
+}